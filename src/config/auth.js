@@ -0,0 +1,14 @@
+const config = require('./index');
+
+// Configuración de autenticación (JWT en cookie httpOnly o header Authorization)
+module.exports = {
+    jwtSecret: config.auth.jwtSecret,
+    jwtExpiresIn: config.auth.jwtExpiresIn,
+    // API key opcional para integraciones de administración (header X-API-Key)
+    adminApiKey: config.auth.adminApiKey,
+    cookieName: 'authToken',
+    cookieMaxAge: 24 * 60 * 60 * 1000,
+    // Administrador inicial creado al arrancar si no existe
+    adminEmail: config.auth.adminEmail,
+    adminPassword: config.auth.adminPassword
+};
@@ -0,0 +1,14 @@
+const config = require('./index');
+
+// Configuración de importación y exportación del catálogo de productos
+module.exports = {
+    // Tamaño máximo del archivo a importar
+    maxImportSize: config.catalog.importMaxSizeMb * 1024 * 1024,
+    // Filas por tanda: se validan juntas y se escriben con un solo bulkWrite
+    importBatchSize: config.catalog.importBatchSize,
+    // Máximo de filas por archivo
+    maxImportRows: 10000,
+    // Máximo de productos que puede modificar una operación masiva (PATCH /api/products/bulk)
+    maxBulkProducts: 5000,
+    allowedImportTypes: ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain', 'application/json']
+};
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const config = require('./index');
+
+// Configuración de monedas y tabla de tipos de cambio.
+// La tabla es un JSON local: { "base": "USD", "rates": { "USD": 1, "EUR": 0.92 } }
+// donde cada tasa indica cuántas unidades de la moneda equivalen a 1 de la base.
+const ratesFile = config.currency.ratesFile;
+
+function loadExchangeRates(file) {
+    const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const base = String(table.base || '').toUpperCase();
+    const rates = {};
+
+    Object.entries(table.rates || {}).forEach(([currency, rate]) => {
+        if (!/^[A-Za-z]{3}$/.test(currency) || !Number.isFinite(rate) || rate <= 0) {
+            throw new Error(`Tipo de cambio inválido en ${file}: ${currency}=${rate}`);
+        }
+        rates[currency.toUpperCase()] = rate;
+    });
+
+    if (rates[base] !== 1) {
+        throw new Error(`La moneda base ${base || '(vacía)'} debe tener tasa 1 en ${file}`);
+    }
+
+    return { base, rates, updatedAt: table.updatedAt || null };
+}
+
+const table = loadExchangeRates(ratesFile);
+
+module.exports = {
+    // Moneda por defecto de los productos, en la que se cobran las órdenes y
+    // se comparan precios (filtros y ordenamiento)
+    baseCurrency: table.base,
+    rates: table.rates,
+    ratesUpdatedAt: table.updatedAt,
+    supportedCurrencies: Object.keys(table.rates),
+    // Idioma/región para formatear montos
+    locale: config.currency.locale
+};
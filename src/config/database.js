@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const config = require('./index');
+const logger = require('../utils/logger');
 
 class Database {
     constructor() {
@@ -10,57 +12,44 @@ class Database {
         try {
             // Evitar múltiples conexiones
             if (this.isConnected) {
-                console.log('📊 MongoDB ya está conectado');
+                logger.info('📊 MongoDB ya está conectado');
                 return this.connection;
             }
 
-            const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/ecommerce';
-
-            // Opciones de conexión
+            // Opciones de conexión (ver config/index.js)
             const options = {
-                useNewUrlParser: true,
-                useUnifiedTopology: true,
-                serverSelectionTimeoutMS: 5000,
-                socketTimeoutMS: 45000,
+                maxPoolSize: config.database.maxPoolSize,
+                minPoolSize: config.database.minPoolSize,
+                serverSelectionTimeoutMS: config.database.serverSelectionTimeoutMs,
+                socketTimeoutMS: config.database.socketTimeoutMs
             };
 
-            await mongoose.connect(MONGODB_URI, options);
+            await mongoose.connect(config.database.uri, options);
 
             this.connection = mongoose.connection;
             this.isConnected = true;
 
             // Event listeners
             this.connection.on('connected', () => {
-                console.log('✅ MongoDB conectado exitosamente');
-                console.log(`📍 Base de datos: ${this.connection.name}`);
+                logger.info('✅ MongoDB conectado exitosamente');
+                logger.info(`📍 Base de datos: ${this.connection.name}`);
             });
 
             this.connection.on('error', (err) => {
-                console.error('❌ Error de conexión a MongoDB:', err.message);
+                logger.error('❌ Error de conexión a MongoDB:', err.message);
                 this.isConnected = false;
             });
 
             this.connection.on('disconnected', () => {
-                console.log('⚠️  MongoDB desconectado');
+                logger.warn('⚠️  MongoDB desconectado');
                 this.isConnected = false;
             });
 
-            // Manejo de cierre graceful
-            process.on('SIGINT', async () => {
-                await this.disconnect();
-                process.exit(0);
-            });
-
-            process.on('SIGTERM', async () => {
-                await this.disconnect();
-                process.exit(0);
-            });
-
             return this.connection;
         } catch (error) {
-            console.error('❌ Error fatal al conectar a MongoDB:', error.message);
-            console.error('💡 Verifica que MongoDB esté ejecutándose');
-            console.error(`💡 URI: ${process.env.MONGODB_URI || 'mongodb://localhost:27017/ecommerce'}`);
+            logger.error('❌ Error fatal al conectar a MongoDB:', error.message);
+            logger.error('💡 Verifica que MongoDB esté ejecutándose');
+            logger.error(`💡 URI: ${config.database.uri}`);
             throw error;
         }
     }
@@ -70,10 +59,10 @@ class Database {
             if (this.connection) {
                 await mongoose.connection.close();
                 this.isConnected = false;
-                console.log('🔌 MongoDB desconectado correctamente');
+                logger.info('🔌 MongoDB desconectado correctamente');
             }
         } catch (error) {
-            console.error('❌ Error al desconectar MongoDB:', error.message);
+            logger.error('❌ Error al desconectar MongoDB:', error.message);
             throw error;
         }
     }
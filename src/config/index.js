@@ -0,0 +1,245 @@
+require('dotenv').config();
+const path = require('path');
+
+// Configuración central de la aplicación. Cada valor se lee de una variable de
+// entorno, se convierte a su tipo y se valida; si alguno es inválido la
+// aplicación no arranca y se informan todos los errores juntos.
+// Los valores por defecto dependen del entorno (NODE_ENV) y las variables de
+// entorno tienen prioridad sobre ellos.
+
+const ENVIRONMENTS = ['development', 'test', 'production'];
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+// Drivers de almacenamiento incluidos; si se registra otro con
+// registerStorageDriver (services/storage.service.js) hay que agregar su nombre
+const STORAGE_DRIVERS = ['local'];
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isLocale(value) {
+    try {
+        new Intl.NumberFormat(value);
+        return true;
+    } catch (error) {
+        return 'no es un locale válido (ej: es-AR)';
+    }
+}
+
+// Esquema: { env, type, default, min, max, values, requiredIn, validate }
+// type: 'string' | 'integer' | 'boolean' | 'enum' | 'list'
+const SCHEMA = {
+    server: {
+        port: { env: 'PORT', type: 'integer', min: 0, max: 65535, default: 8080 },
+        // Tiempo máximo para que terminen las peticiones en curso al cerrar
+        shutdownTimeoutMs: { env: 'SHUTDOWN_TIMEOUT_MS', type: 'integer', min: 0, default: 10000 }
+    },
+    database: {
+        uri: {
+            env: 'MONGODB_URI',
+            type: 'string',
+            default: 'mongodb://localhost:27017/ecommerce',
+            requiredIn: ['production'],
+            validate: value => /^mongodb(\+srv)?:\/\//.test(value) || 'debe empezar con mongodb:// o mongodb+srv://'
+        },
+        maxPoolSize: { env: 'DB_MAX_POOL_SIZE', type: 'integer', min: 1, default: 10 },
+        minPoolSize: { env: 'DB_MIN_POOL_SIZE', type: 'integer', min: 0, default: 0 },
+        serverSelectionTimeoutMs: { env: 'DB_SERVER_SELECTION_TIMEOUT_MS', type: 'integer', min: 1, default: 5000 },
+        socketTimeoutMs: { env: 'DB_SOCKET_TIMEOUT_MS', type: 'integer', min: 0, default: 45000 }
+    },
+    auth: {
+        jwtSecret: { env: 'JWT_SECRET', type: 'string', default: 'ecommerce-dev-secret', requiredIn: ['production'] },
+        jwtExpiresIn: {
+            env: 'JWT_EXPIRES_IN',
+            type: 'string',
+            default: '24h',
+            validate: value => /^\d+(ms|s|m|h|d|w|y)?$/.test(value) || 'debe ser un número seguido de una unidad (ej: 30m, 24h, 7d)'
+        },
+        // API key opcional para integraciones de administración (header X-API-Key)
+        adminApiKey: { env: 'ADMIN_API_KEY', type: 'string', default: null },
+        // Administrador inicial creado al arrancar si no existe
+        adminEmail: {
+            env: 'ADMIN_EMAIL',
+            type: 'string',
+            default: null,
+            validate: value => EMAIL_REGEX.test(value) || 'debe ser un email válido'
+        },
+        adminPassword: { env: 'ADMIN_PASSWORD', type: 'string', default: null }
+    },
+    pagination: {
+        defaultLimit: { env: 'PAGINATION_DEFAULT_LIMIT', type: 'integer', min: 1, default: 10 },
+        maxLimit: { env: 'PAGINATION_MAX_LIMIT', type: 'integer', min: 1, default: 100 }
+    },
+    cors: {
+        // Orígenes permitidos para la API y Socket.IO ("*" permite cualquiera; vacío: solo el mismo origen)
+        origins: {
+            env: 'CORS_ORIGINS',
+            type: 'list',
+            default: [],
+            validate: origins => origins.every(origin => origin === '*' || /^https?:\/\/[^/]+$/.test(origin)) ||
+                'cada origen debe ser "*" o protocolo y host sin ruta (ej: https://tienda.com)'
+        }
+    },
+    log: {
+        level: { env: 'LOG_LEVEL', type: 'enum', values: LOG_LEVELS, default: 'info' }
+    },
+    reservations: {
+        ttlMinutes: { env: 'RESERVATION_TTL_MINUTES', type: 'integer', min: 1, default: 15 },
+        // Cada cuánto se liberan las reservas vencidas
+        sweepSeconds: { env: 'RESERVATION_SWEEP_SECONDS', type: 'integer', min: 1, default: 60 }
+    },
+    storage: {
+        driver: { env: 'STORAGE_DRIVER', type: 'enum', values: STORAGE_DRIVERS, default: 'local' },
+        uploadsDir: { env: 'UPLOADS_DIR', type: 'string', default: path.join(__dirname, '..', 'public', 'uploads') },
+        maxImageSizeMb: { env: 'MAX_IMAGE_SIZE_MB', type: 'integer', min: 1, default: 5 }
+    },
+    catalog: {
+        importMaxSizeMb: { env: 'IMPORT_MAX_SIZE_MB', type: 'integer', min: 1, default: 10 },
+        importBatchSize: { env: 'IMPORT_BATCH_SIZE', type: 'integer', min: 1, max: 10000, default: 200 }
+    },
+    currency: {
+        ratesFile: { env: 'EXCHANGE_RATES_FILE', type: 'string', default: path.join(__dirname, 'exchangeRates.json') },
+        locale: { env: 'CURRENCY_LOCALE', type: 'string', default: 'es-AR', validate: isLocale }
+    },
+    pricing: {
+        rulesFile: { env: 'PRICING_RULES_FILE', type: 'string', default: path.join(__dirname, 'pricingRules.json') }
+    },
+    features: {
+        // Retener stock al agregar productos al carrito (ver config/reservations.js)
+        stockReservations: { env: 'STOCK_RESERVATIONS', type: 'boolean', default: false },
+        // Cargar los datos de ejemplo al iniciar el servidor
+        seedOnStart: { env: 'SEED_ON_START', type: 'boolean', default: true },
+        // Incluir el mensaje de los errores internos en las respuestas de la API
+        errorDetails: { env: 'EXPOSE_ERROR_DETAILS', type: 'boolean', default: false }
+    }
+};
+
+// Valores por defecto de cada entorno (por ruta del esquema)
+const ENVIRONMENT_DEFAULTS = {
+    development: {
+        'log.level': 'debug',
+        'features.errorDetails': true
+    },
+    test: {
+        'database.uri': 'mongodb://localhost:27017/ecommerce-test',
+        'log.level': 'warn',
+        'features.seedOnStart': false
+    },
+    production: {}
+};
+
+// Reglas que involucran más de un valor
+const CROSS_CHECKS = [
+    config => config.database.minPoolSize <= config.database.maxPoolSize ||
+        'DB_MIN_POOL_SIZE no puede ser mayor a DB_MAX_POOL_SIZE',
+    config => config.pagination.defaultLimit <= config.pagination.maxLimit ||
+        'PAGINATION_DEFAULT_LIMIT no puede ser mayor a PAGINATION_MAX_LIMIT',
+    config => Boolean(config.auth.adminEmail) === Boolean(config.auth.adminPassword) ||
+        'ADMIN_EMAIL y ADMIN_PASSWORD se definen juntas'
+];
+
+const BOOLEAN_VALUES = { true: true, '1': true, yes: true, false: false, '0': false, no: false };
+
+// Convertir el texto de una variable de entorno al tipo del campo.
+// Devuelve { value } o { error }.
+function parseValue(field, raw) {
+    const text = String(raw).trim();
+
+    switch (field.type) {
+        case 'integer': {
+            const number = Number(text);
+            if (text === '' || !Number.isInteger(number)) {
+                return { error: 'debe ser un número entero' };
+            }
+            if (field.min !== undefined && number < field.min) {
+                return { error: `debe ser mayor o igual a ${field.min}` };
+            }
+            if (field.max !== undefined && number > field.max) {
+                return { error: `debe ser menor o igual a ${field.max}` };
+            }
+            return { value: number };
+        }
+        case 'boolean': {
+            const value = BOOLEAN_VALUES[text.toLowerCase()];
+            return value === undefined ? { error: 'debe ser true o false' } : { value };
+        }
+        case 'enum':
+            return field.values.includes(text)
+                ? { value: text }
+                : { error: `debe ser uno de: ${field.values.join(', ')}` };
+        case 'list':
+            return { value: text.split(',').map(item => item.trim()).filter(Boolean) };
+        default:
+            return text === '' ? { error: 'no puede estar vacío' } : { value: text };
+    }
+}
+
+// Construir y validar la configuración a partir de las variables de entorno.
+// Lanza un ConfigError con todos los problemas encontrados.
+function loadConfig(source = process.env) {
+    const errors = [];
+
+    const envResult = source.NODE_ENV === undefined || source.NODE_ENV === ''
+        ? { value: 'development' }
+        : parseValue({ type: 'enum', values: ENVIRONMENTS }, source.NODE_ENV);
+    if (envResult.error) {
+        errors.push(`NODE_ENV=${source.NODE_ENV}: ${envResult.error}`);
+    }
+    const env = envResult.value || 'development';
+    const overrides = ENVIRONMENT_DEFAULTS[env];
+
+    const build = (schema, prefix) => {
+        const result = {};
+        Object.entries(schema).forEach(([key, field]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (!field.type) {
+                result[key] = build(field, path);
+                return;
+            }
+
+            const raw = source[field.env];
+            if (raw === undefined || raw === '') {
+                if ((field.requiredIn || []).includes(env)) {
+                    errors.push(`${field.env}: es obligatoria en ${env}`);
+                }
+                result[key] = path in overrides ? overrides[path] : field.default;
+                return;
+            }
+
+            const { value, error } = parseValue(field, raw);
+            const check = error || !field.validate ? true : field.validate(value);
+            if (error || check !== true) {
+                errors.push(`${field.env}=${raw}: ${error || check}`);
+                return;
+            }
+            result[key] = value;
+        });
+        return result;
+    };
+
+    const config = {
+        env,
+        isDevelopment: env === 'development',
+        isTest: env === 'test',
+        isProduction: env === 'production',
+        ...build(SCHEMA, '')
+    };
+
+    // Las reglas combinadas solo tienen sentido si cada valor es válido
+    if (errors.length === 0) {
+        CROSS_CHECKS.forEach(check => {
+            const result = check(config);
+            if (result !== true) {
+                errors.push(result);
+            }
+        });
+    }
+
+    if (errors.length > 0) {
+        const error = new Error(`Configuración inválida:\n${errors.map(message => `  • ${message}`).join('\n')}`);
+        error.name = 'ConfigError';
+        error.errors = errors;
+        throw error;
+    }
+
+    return config;
+}
+
+module.exports = loadConfig();
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const config = require('./index');
+const currencyConfig = require('./currency');
+
+// Configuración de impuestos y envíos del carrito.
+// Las reglas están en un JSON local (PRICING_RULES_FILE); los montos están en
+// unidades menores de "currency" y los pesos en gramos.
+const rulesFile = config.pricing.rulesFile;
+
+const SHIPPING_TYPES = ['weight', 'price', 'flat'];
+
+function isAmount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+function isRate(value) {
+    return Number.isFinite(value) && value >= 0 && value <= 100;
+}
+
+function loadPricingRules(file) {
+    const rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const fail = (message) => {
+        throw new Error(`Reglas de precios inválidas en ${file}: ${message}`);
+    };
+
+    const currency = String(rules.currency || currencyConfig.baseCurrency).toUpperCase();
+    if (!currencyConfig.rates[currency]) {
+        fail(`moneda ${currency} sin tipo de cambio`);
+    }
+
+    const tax = rules.tax || {};
+    const regions = tax.regions || [];
+    if (regions.length === 0) {
+        fail('se requiere al menos una región');
+    }
+    regions.forEach(region => {
+        if (!region.code || !isRate(region.rate)) {
+            fail(`región inválida ${JSON.stringify(region)}`);
+        }
+    });
+    const regionCodes = regions.map(region => region.code);
+    const defaultRegion = tax.defaultRegion || regionCodes[0];
+    if (!regionCodes.includes(defaultRegion)) {
+        fail(`la región por defecto ${defaultRegion} no existe`);
+    }
+    (tax.rules || []).forEach(rule => {
+        if (!rule.category || !isRate(rule.rate) || (rule.region && !regionCodes.includes(rule.region))) {
+            fail(`regla de impuesto inválida ${JSON.stringify(rule)}`);
+        }
+    });
+
+    const shipping = rules.shipping || {};
+    const methods = shipping.methods || [];
+    if (methods.length === 0) {
+        fail('se requiere al menos un método de envío');
+    }
+    methods.forEach(method => {
+        if (!method.id || !SHIPPING_TYPES.includes(method.type)) {
+            fail(`método de envío inválido ${JSON.stringify(method)}`);
+        }
+        if (method.type === 'flat' ? !isAmount(method.amount) : !(method.rates || []).every(rate => isAmount(rate.amount))) {
+            fail(`montos inválidos en el método de envío ${method.id}`);
+        }
+        if (method.type !== 'flat' && (method.rates || []).length === 0) {
+            fail(`el método de envío ${method.id} no tiene tarifas`);
+        }
+        (method.regions || []).forEach(code => {
+            if (!regionCodes.includes(code)) {
+                fail(`región ${code} desconocida en el método de envío ${method.id}`);
+            }
+        });
+    });
+    if (shipping.freeShippingThreshold !== undefined && shipping.freeShippingThreshold !== null &&
+        !isAmount(shipping.freeShippingThreshold)) {
+        fail('freeShippingThreshold debe ser un monto entero');
+    }
+
+    return {
+        currency,
+        regions,
+        defaultRegion,
+        taxRules: tax.rules || [],
+        shippingMethods: methods,
+        freeShippingThreshold: shipping.freeShippingThreshold || null
+    };
+}
+
+module.exports = loadPricingRules(rulesFile);
@@ -0,0 +1,12 @@
+const config = require('./index');
+
+// Configuración de reservas de stock para productos en carritos
+module.exports = {
+    // Con reservas activas, agregar al carrito retiene el stock hasta que vence
+    enabled: config.features.stockReservations,
+    ttlMs: config.reservations.ttlMinutes * 60 * 1000,
+    // Cada cuánto se liberan las reservas vencidas
+    sweepIntervalMs: config.reservations.sweepSeconds * 1000,
+    // Máximo de reservas liberadas por pasada
+    sweepBatchSize: 200
+};
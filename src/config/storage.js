@@ -0,0 +1,18 @@
+const config = require('./index');
+
+// Configuración de almacenamiento de imágenes de productos
+module.exports = {
+    // Driver de almacenamiento registrado en services/storage.service.js
+    driver: config.storage.driver,
+    // Carpeta donde el driver local guarda los archivos (servida como estático)
+    uploadsDir: config.storage.uploadsDir,
+    publicPath: '/uploads',
+    // Validación de archivos subidos
+    maxFileSize: config.storage.maxImageSizeMb * 1024 * 1024,
+    allowedMimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+    maxFilesPerRequest: 5,
+    maxImagesPerProduct: 10,
+    // Tamaños generados (en píxeles)
+    imageMaxWidth: 1200,
+    thumbnailSize: 300
+};
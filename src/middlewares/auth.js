@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+const User = require('../models/User.model');
+
+// Generar token JWT para un usuario
+function signToken(user) {
+    return jwt.sign(
+        {
+            id: user._id.toString(),
+            email: user.email,
+            role: user.role
+        },
+        authConfig.jwtSecret,
+        { expiresIn: authConfig.jwtExpiresIn }
+    );
+}
+
+// Leer el token desde el header Authorization o desde la cookie
+function extractToken(req) {
+    const header = req.headers.authorization;
+    if (header && header.startsWith('Bearer ')) {
+        return header.slice(7).trim();
+    }
+    if (req.cookies && req.cookies[authConfig.cookieName]) {
+        return req.cookies[authConfig.cookieName];
+    }
+    return null;
+}
+
+// Obtener el usuario asociado a un token (null si es inválido)
+async function getUserFromToken(token) {
+    if (!token) {
+        return null;
+    }
+    try {
+        const payload = jwt.verify(token, authConfig.jwtSecret);
+        return await User.findById(payload.id);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Identidad de administrador asociada a la API key
+const API_KEY_IDENTITY = Object.freeze({
+    name: 'API Key',
+    role: 'admin',
+    apiKey: true,
+    toJSON() {
+        return { name: this.name, role: this.role, apiKey: true };
+    }
+});
+
+// Validar la API key comparando en tiempo constante
+function isValidApiKey(candidate) {
+    if (!authConfig.adminApiKey || typeof candidate !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(authConfig.adminApiKey);
+    const received = Buffer.from(candidate);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Obtener la identidad de una petición: usuario del token o API key
+async function resolveIdentity(token, apiKey) {
+    const user = await getUserFromToken(token);
+    if (user) {
+        return user;
+    }
+    return isValidApiKey(apiKey) ? API_KEY_IDENTITY : null;
+}
+
+// Determinar si la petición espera una respuesta JSON
+function isApiRequest(req) {
+    return req.originalUrl.startsWith('/api/');
+}
+
+// Middleware: Cargar el usuario si hay token (no bloquea la petición)
+async function authenticate(req, res, next) {
+    try {
+        const user = await resolveIdentity(extractToken(req), req.get('x-api-key'));
+        req.user = user;
+        res.locals.user = user ? user.toJSON() : null;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Middleware: Exigir usuario autenticado
+function requireAuth(req, res, next) {
+    if (req.user) {
+        return next();
+    }
+
+    if (isApiRequest(req)) {
+        return res.status(401).json({
+            status: 'error',
+            code: 'UNAUTHORIZED',
+            message: 'Debes iniciar sesión para realizar esta acción'
+        });
+    }
+
+    res.redirect(`/login?redirect=${encodeURIComponent(req.originalUrl)}`);
+}
+
+// Responder 401/403 como JSON (API) o como vista renderizada
+function denyAccess(req, res, statusCode, message) {
+    if (isApiRequest(req)) {
+        return res.status(statusCode).json({
+            status: 'error',
+            code: statusCode === 401 ? 'UNAUTHORIZED' : 'FORBIDDEN',
+            message
+        });
+    }
+
+    res.status(statusCode).render('accessDenied', {
+        title: statusCode === 401 ? 'No autenticado' : 'Acceso denegado',
+        statusCode,
+        message,
+        requiresLogin: statusCode === 401,
+        redirect: encodeURIComponent(req.originalUrl)
+    });
+}
+
+// Middleware: Exigir uno de los roles indicados
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return denyAccess(req, res, 401, 'Debes iniciar sesión para realizar esta acción');
+        }
+        if (!roles.includes(req.user.role)) {
+            return denyAccess(req, res, 403, 'No tienes permisos para realizar esta acción');
+        }
+        next();
+    };
+}
+
+// Middleware: Exigir que el carrito (:cid) pertenezca al usuario autenticado
+function requireCartOwner(req, res, next) {
+    if (!req.user) {
+        return denyAccess(req, res, 401, 'Debes iniciar sesión para modificar el carrito');
+    }
+    if (!req.user.cart || req.user.cart.toString() !== req.params.cid) {
+        return denyAccess(req, res, 403, 'Solo puedes modificar tu propio carrito');
+    }
+    next();
+}
+
+// Verificar si una identidad tiene alguno de los roles indicados
+function hasRole(user, ...roles) {
+    return Boolean(user) && roles.includes(user.role);
+}
+
+// Middleware de Socket.IO: Cargar el usuario desde la cookie del handshake
+async function authenticateSocket(socket, next) {
+    try {
+        const cookies = parseCookieHeader(socket.handshake.headers.cookie);
+        const auth = socket.handshake.auth || {};
+        const token = auth.token || cookies[authConfig.cookieName];
+        const apiKey = auth.apiKey || socket.handshake.headers['x-api-key'];
+        socket.data.user = await resolveIdentity(token, apiKey);
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+function parseCookieHeader(header) {
+    if (!header) {
+        return {};
+    }
+    return header.split(';').reduce((cookies, pair) => {
+        const index = pair.indexOf('=');
+        if (index !== -1) {
+            const name = pair.slice(0, index).trim();
+            cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+        }
+        return cookies;
+    }, {});
+}
+
+module.exports = {
+    signToken,
+    authenticate,
+    requireAuth,
+    requireRole,
+    requireCartOwner,
+    hasRole,
+    isApiRequest,
+    authenticateSocket
+};
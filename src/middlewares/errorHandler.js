@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { AppError, NotFoundError } = require('../utils/errors');
+const { isApiRequest } = require('./auth');
+const logger = require('../utils/logger');
+
+// Títulos de la página de error (vistas HTML)
+const PAGE_TITLES = {
+    400: 'Solicitud inválida',
+    404: 'No encontrado',
+    409: 'Conflicto',
+    413: 'Archivo demasiado grande'
+};
+
+// Traducir cualquier error a { status, code, message, details }
+function describeError(error) {
+    if (error instanceof AppError) {
+        return { status: error.status, code: error.code, message: error.message, details: error.details };
+    }
+
+    if (error instanceof mongoose.Error.ValidationError) {
+        return {
+            status: 400,
+            code: 'VALIDATION_ERROR',
+            message: 'Datos inválidos',
+            details: { errors: Object.values(error.errors).map(err => err.message) }
+        };
+    }
+
+    if (error instanceof mongoose.Error.CastError) {
+        return {
+            status: 400,
+            code: 'VALIDATION_ERROR',
+            message: 'Datos inválidos',
+            details: { errors: [`Valor inválido para ${error.path}`] }
+        };
+    }
+
+    // Índice único (ej: código de producto repetido)
+    if (error.code === 11000) {
+        const [field, value] = Object.entries(error.keyValue || {})[0] || ['valor', ''];
+        return {
+            status: 409,
+            code: 'DUPLICATE_KEY',
+            message: `Ya existe un registro con ${field} ${value}`.trim(),
+            details: {}
+        };
+    }
+
+    // Errores de express.json()/express.text()
+    if (error.type === 'entity.parse.failed') {
+        return { status: 400, code: 'INVALID_JSON', message: 'El body no es un JSON válido', details: {} };
+    }
+    if (error.type === 'entity.too.large') {
+        return { status: 413, code: 'PAYLOAD_TOO_LARGE', message: 'El body es demasiado grande', details: {} };
+    }
+
+    return { status: 500, code: 'INTERNAL_ERROR', message: 'Error interno del servidor', details: {} };
+}
+
+// Rutas inexistentes: 404 con el mismo formato que el resto de los errores
+function notFoundHandler(req, res, next) {
+    next(new NotFoundError(`Ruta ${req.originalUrl} no encontrada`, { code: 'ROUTE_NOT_FOUND' }));
+}
+
+// Middleware de errores: JSON { status, code, message, ...details } para la API
+// y la página de error para las vistas. errorDetails agrega el mensaje
+// original de los errores internos (solo para desarrollo).
+function createErrorHandler({ errorDetails = false } = {}) {
+    // Express reconoce el middleware de errores por sus cuatro parámetros
+    return (error, req, res, next) => {
+        const { status, code, message, details } = describeError(error);
+
+        if (status >= 500) {
+            logger.error(`❌ Error en ${req.method} ${req.originalUrl}:`, error);
+        } else {
+            logger.debug(`⚠️  ${status} ${code} en ${req.method} ${req.originalUrl}: ${message}`);
+        }
+
+        // Si la respuesta ya empezó (ej: exportación en curso) solo queda cortarla
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+
+        const internalError = errorDetails && status >= 500 ? error.message : undefined;
+
+        if (isApiRequest(req)) {
+            return res.status(status).json({
+                status: 'error',
+                code,
+                message,
+                ...details,
+                error: internalError
+            });
+        }
+
+        res.status(status).render('error', {
+            title: PAGE_TITLES[status] || 'Error',
+            statusCode: status,
+            code,
+            message,
+            errors: details.errors,
+            error: internalError
+        });
+    };
+}
+
+module.exports = {
+    describeError,
+    notFoundHandler,
+    createErrorHandler
+};
@@ -0,0 +1,86 @@
+const multer = require('multer');
+const storageConfig = require('../config/storage');
+const catalogConfig = require('../config/catalog');
+const { ValidationError } = require('../utils/errors');
+
+// Los archivos quedan en memoria: se procesan con sharp antes de guardarlos
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: storageConfig.maxFileSize,
+        files: storageConfig.maxFilesPerRequest
+    },
+    fileFilter: (req, file, cb) => {
+        if (!storageConfig.allowedMimeTypes.includes(file.mimetype)) {
+            const error = new Error(`Tipo de archivo no permitido: ${file.mimetype}. Se aceptan ${storageConfig.allowedMimeTypes.join(', ')}`);
+            error.code = 'INVALID_FILE_TYPE';
+            return cb(error);
+        }
+        cb(null, true);
+    }
+});
+
+// Mensajes de error de multer
+function uploadErrorMessage(error) {
+    switch (error.code) {
+        case 'LIMIT_FILE_SIZE':
+            return `La imagen supera el tamaño máximo de ${storageConfig.maxFileSize / (1024 * 1024)} MB`;
+        case 'LIMIT_FILE_COUNT':
+            return `Se pueden subir como máximo ${storageConfig.maxFilesPerRequest} imágenes por solicitud`;
+        case 'LIMIT_UNEXPECTED_FILE':
+            return `Campo de archivo inesperado: ${error.field}. Usa el campo "images"`;
+        default:
+            return error.message;
+    }
+}
+
+// Middleware: recibir imágenes de producto (multipart/form-data, campo "images")
+function uploadProductImages(req, res, next) {
+    upload.array('images', storageConfig.maxFilesPerRequest)(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+        next(new ValidationError(uploadErrorMessage(error), [], { code: 'INVALID_UPLOAD' }));
+    });
+}
+
+// Archivo del catálogo a importar (CSV o JSON, campo "file")
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: catalogConfig.maxImportSize,
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        if (!catalogConfig.allowedImportTypes.includes(file.mimetype)) {
+            const error = new Error(`Tipo de archivo no permitido: ${file.mimetype}. Se aceptan archivos CSV o JSON`);
+            error.code = 'INVALID_FILE_TYPE';
+            return cb(error);
+        }
+        cb(null, true);
+    }
+});
+
+function importErrorMessage(error) {
+    switch (error.code) {
+        case 'LIMIT_FILE_SIZE':
+            return `El archivo supera el tamaño máximo de ${catalogConfig.maxImportSize / (1024 * 1024)} MB`;
+        case 'LIMIT_FILE_COUNT':
+        case 'LIMIT_UNEXPECTED_FILE':
+            return 'Se espera un solo archivo en el campo "file"';
+        default:
+            return error.message;
+    }
+}
+
+// Middleware: recibir el archivo a importar (multipart/form-data, campo "file")
+function uploadImportFile(req, res, next) {
+    importUpload.single('file')(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+        next(new ValidationError(importErrorMessage(error), [], { code: 'INVALID_UPLOAD' }));
+    });
+}
+
+module.exports = { uploadProductImages, uploadImportFile };
@@ -0,0 +1,36 @@
+const { validateSchema } = require('../utils/validation');
+const { ValidationError } = require('../utils/errors');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Validar params, query y body con esquemas declarativos (ver utils/validation.js)
+// antes de llegar a la ruta. Si todo es válido se reemplazan por los valores
+// convertidos y sin campos desconocidos; si no, pasa un ValidationError (400)
+// con todos los errores al middleware de errores.
+// Uso: router.put('/:pid', validate({ params, body }), handler)
+function validate(schemas) {
+    return (req, res, next) => {
+        const errors = [];
+        const values = {};
+
+        LOCATIONS.forEach(location => {
+            if (schemas[location]) {
+                const result = validateSchema(schemas[location], req[location]);
+                errors.push(...result.errors);
+                values[location] = result.value;
+            }
+        });
+
+        if (errors.length > 0) {
+            return next(new ValidationError(
+                'Datos de la solicitud inválidos',
+                errors.map(error => error.message)
+            ));
+        }
+
+        Object.assign(req, values);
+        next();
+    };
+}
+
+module.exports = { validate };
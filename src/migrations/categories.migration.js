@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category.model');
+const Product = require('../models/Product.model');
+const logger = require('../utils/logger');
+
+// Migración: convertir la categoría de texto libre de los productos en una
+// referencia a Category. Los textos equivalentes ("Laptops" y "laptops ")
+// terminan en la misma categoría porque se agrupan por slug.
+async function migrateProductCategories() {
+    // Se usa la colección directamente: el esquema actual ya espera un ObjectId
+    const collection = Product.collection;
+    const legacyProducts = await collection
+        .find({ category: { $type: 'string' } }, { projection: { category: 1 } })
+        .toArray();
+
+    if (legacyProducts.length === 0) {
+        return { migrated: 0, categoriesCreated: 0 };
+    }
+
+    const categoryIds = new Map();
+    let categoriesCreated = 0;
+
+    for (const product of legacyProducts) {
+        const name = product.category.trim();
+        const slug = Category.slugify(name);
+
+        if (!slug) {
+            logger.warn(`⚠️  Producto ${product._id} con categoría vacía, se omite`);
+            continue;
+        }
+
+        if (!categoryIds.has(slug)) {
+            const exists = await Category.exists({ slug });
+            const category = await Category.findOrCreateByName(name);
+            if (!exists) categoriesCreated++;
+            categoryIds.set(slug, category._id);
+        }
+
+        await collection.updateOne(
+            { _id: product._id },
+            { $set: { category: categoryIds.get(slug) } }
+        );
+    }
+
+    return { migrated: legacyProducts.length, categoriesCreated };
+}
+
+// Ejecutar desde la terminal: npm run migrate:categories
+if (require.main === module) {
+    const database = require('../config/database');
+
+    (async () => {
+        try {
+            await database.connect();
+            const result = await migrateProductCategories();
+            logger.info(`✅ Migración completada: ${result.migrated} producto(s), ${result.categoriesCreated} categoría(s) creada(s)`);
+            await database.disconnect();
+            process.exit(0);
+        } catch (error) {
+            logger.error('❌ Error en la migración de categorías:', error.message);
+            await mongoose.disconnect();
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = { migrateProductCategories };
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product.model');
+const Order = require('../models/Order.model');
+const Coupon = require('../models/Coupon.model');
+const currencyConfig = require('../config/currency');
+const { toMinorUnits } = require('../utils/money');
+const logger = require('../utils/logger');
+
+// Migración: convertir los montos decimales (2499.99) a enteros en unidades
+// menores de la moneda base (249999) y registrar la moneda. Los documentos
+// que ya tienen "currency" se consideran migrados, así se puede correr varias veces.
+async function migrateMoneyAmounts() {
+    const currency = currencyConfig.baseCurrency;
+    const toMinor = (amount) => (typeof amount === 'number' ? toMinorUnits(amount, currency) : amount);
+    const legacy = { currency: { $exists: false } };
+    const result = { products: 0, orders: 0, coupons: 0 };
+
+    // Se usan las colecciones directamente: los esquemas actuales ya esperan enteros
+    const products = await Product.collection.find(legacy).toArray();
+    for (const product of products) {
+        await Product.collection.updateOne({ _id: product._id }, {
+            $set: {
+                currency,
+                price: toMinor(product.price),
+                variants: (product.variants || []).map(variant => (
+                    variant.price === undefined ? variant : { ...variant, price: toMinor(variant.price) }
+                ))
+            }
+        });
+        result.products++;
+    }
+
+    const orders = await Order.collection.find(legacy).toArray();
+    for (const order of orders) {
+        await Order.collection.updateOne({ _id: order._id }, {
+            $set: {
+                currency,
+                items: (order.items || []).map(item => ({
+                    ...item,
+                    price: toMinor(item.price),
+                    subtotal: toMinor(item.subtotal)
+                })),
+                subtotal: toMinor(order.subtotal),
+                discounts: (order.discounts || []).map(discount => ({ ...discount, amount: toMinor(discount.amount) })),
+                discountTotal: toMinor(order.discountTotal),
+                total: toMinor(order.total)
+            }
+        });
+        result.orders++;
+    }
+
+    // En los cupones solo son montos el valor de los fijos y la compra mínima
+    const coupons = await Coupon.collection.find(legacy).toArray();
+    for (const coupon of coupons) {
+        await Coupon.collection.updateOne({ _id: coupon._id }, {
+            $set: {
+                currency,
+                value: coupon.type === 'fixed' ? toMinor(coupon.value) : coupon.value,
+                minCartTotal: toMinor(coupon.minCartTotal)
+            }
+        });
+        result.coupons++;
+    }
+
+    if (result.products > 0) {
+        await Product.syncBasePrices({ _id: { $in: products.map(product => product._id) } });
+    }
+
+    return result;
+}
+
+// Ejecutar desde la terminal: npm run migrate:money
+if (require.main === module) {
+    const database = require('../config/database');
+
+    (async () => {
+        try {
+            await database.connect();
+            const result = await migrateMoneyAmounts();
+            logger.info(`✅ Migración completada: ${result.products} producto(s), ${result.orders} orden(es), ${result.coupons} cupón(es)`);
+            await database.disconnect();
+            process.exit(0);
+        } catch (error) {
+            logger.error('❌ Error en la migración de montos:', error.message);
+            await mongoose.disconnect();
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = { migrateMoneyAmounts };
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const Reservation = require('./Reservation.model');
+const reservationsConfig = require('../config/reservations');
+const currencyConfig = require('../config/currency');
+const { buildCartLines, summarizeCart } = require('../utils/discounts');
+const { NotFoundError, OutOfStockError, ValidationError } = require('../utils/errors');
 
 const cartSchema = new mongoose.Schema({
     products: [{
@@ -7,94 +12,180 @@ const cartSchema = new mongoose.Schema({
             ref: 'Product',
             required: true
         },
+        // Variante elegida (solo para productos con variantes)
+        variant: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null
+        },
         quantity: {
             type: Number,
             required: true,
             min: [1, 'La cantidad debe ser mayor a 0'],
             default: 1
         }
-    }]
+    }],
+    // Cupón aplicado (se valida al aplicarlo y otra vez al comprar)
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        default: null
+    }
 }, {
     timestamps: true,
-    versionKey: false
+    versionKey: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
 });
 
-// Método para agregar producto al carrito
-cartSchema.methods.addProduct = async function(productId, quantity = 1) {
-    const Product = mongoose.model('Product');
-    
-    // Verificar que el producto existe
-    const product = await Product.findById(productId);
+// Obtener el ID de producto de un item (populado o no)
+function itemProductId(item) {
+    return (item.product && item.product._id ? item.product._id : item.product).toString();
+}
+
+// Verificar si un item corresponde al producto y variante indicados
+function matchesItem(item, productId, variantId) {
+    if (itemProductId(item) !== productId.toString()) {
+        return false;
+    }
+    const itemVariant = item.variant ? item.variant.toString() : null;
+    return itemVariant === (variantId ? variantId.toString() : null);
+}
+
+// Validar producto/variante y devolver el stock libre (descontando reservas)
+function checkAvailability(product, productId, variantId) {
     if (!product) {
-        throw new Error(`Producto con ID ${productId} no encontrado`);
+        throw new NotFoundError(`Producto con ID ${productId} no encontrado`, { code: 'PRODUCT_NOT_FOUND' });
+    }
+
+    if (product.hasVariants && !variantId) {
+        throw new ValidationError(`El producto ${product.title} requiere elegir una variante`, [], { code: 'VARIANT_REQUIRED' });
+    }
+
+    if (variantId) {
+        const variant = product.getVariant(variantId);
+        if (!variant) {
+            throw new NotFoundError(`Variante con ID ${variantId} no encontrada en el producto ${product.title}`, { code: 'VARIANT_NOT_FOUND' });
+        }
+        if (!product.status || !variant.status) {
+            throw new OutOfStockError(`Variante ${variant.sku} no disponible`);
+        }
+        return variant.availableStock;
     }
 
-    // Verificar disponibilidad
-    if (!product.status || product.stock < quantity) {
-        throw new Error(`Producto no disponible. Stock disponible: ${product.stock}`);
+    if (!product.status) {
+        throw new OutOfStockError(`Producto no disponible. Stock disponible: ${product.availableStock}`);
     }
+    return product.availableStock;
+}
 
-    // Buscar si el producto ya existe en el carrito
+// Reservar unidades para una línea del carrito (modo reservas)
+async function holdStock(cartId, productId, variantId, quantity) {
+    const held = await Reservation.hold(cartId, productId, variantId, quantity);
+    if (!held) {
+        const product = await mongoose.model('Product').findById(productId);
+        const available = product ? product.availableStockFor(variantId) : 0;
+        throw new OutOfStockError(`Stock insuficiente. Disponible: ${available}, solicitado: ${quantity}`);
+    }
+}
+
+// Método para agregar producto (o variante) al carrito
+cartSchema.methods.addProduct = async function(productId, quantity = 1, variantId = null) {
+    const Product = mongoose.model('Product');
+    
+    // Verificar que el producto (y la variante) existe y está disponible
+    const product = await Product.findById(productId);
+    const available = checkAvailability(product, productId, variantId);
+
+    // Buscar si el producto/variante ya existe en el carrito
     const existingProductIndex = this.products.findIndex(
-        item => item.product.toString() === productId.toString()
+        item => matchesItem(item, productId, variantId)
     );
 
+    if (reservationsConfig.enabled) {
+        // Reservar solo las unidades que se agregan (las anteriores ya están reservadas)
+        await holdStock(this._id, productId, variantId, quantity);
+    } else if (available < quantity) {
+        throw new OutOfStockError(`Producto no disponible. Stock disponible: ${available}`);
+    }
+
     if (existingProductIndex !== -1) {
         // Si existe, actualizar cantidad
         const newQuantity = this.products[existingProductIndex].quantity + quantity;
-        if (product.stock < newQuantity) {
-            throw new Error(`Stock insuficiente. Disponible: ${product.stock}, solicitado: ${newQuantity}`);
+        if (!reservationsConfig.enabled && available < newQuantity) {
+            throw new OutOfStockError(`Stock insuficiente. Disponible: ${available}, solicitado: ${newQuantity}`);
         }
         this.products[existingProductIndex].quantity = newQuantity;
     } else {
         // Si no existe, agregarlo
         this.products.push({
             product: productId,
+            variant: variantId || null,
             quantity
         });
     }
 
-    return await this.save();
+    try {
+        return await this.save();
+    } catch (error) {
+        if (reservationsConfig.enabled) {
+            await Reservation.release(this._id, productId, variantId, quantity);
+        }
+        throw error;
+    }
 };
 
 // Método para eliminar producto del carrito
-cartSchema.methods.removeProduct = async function(productId) {
-    const productIndex = this.products.findIndex(
-        item => item.product.toString() === productId.toString()
+// Sin variante se eliminan todas las líneas de ese producto
+cartSchema.methods.removeProduct = async function(productId, variantId = null) {
+    const remaining = this.products.filter(item => variantId
+        ? !matchesItem(item, productId, variantId)
+        : itemProductId(item) !== productId.toString()
     );
 
-    if (productIndex === -1) {
-        throw new Error(`Producto con ID ${productId} no encontrado en el carrito`);
+    if (remaining.length === this.products.length) {
+        throw new NotFoundError(`Producto con ID ${productId} no encontrado en el carrito`, { code: 'PRODUCT_NOT_IN_CART' });
     }
 
-    this.products.splice(productIndex, 1);
-    return await this.save();
+    const removed = this.products.filter(item => !remaining.includes(item));
+    this.products = remaining;
+    await this.save();
+
+    if (reservationsConfig.enabled) {
+        for (const item of removed) {
+            await Reservation.release(this._id, itemProductId(item), item.variant);
+        }
+    }
+    return this;
 };
 
-// Método para actualizar cantidad de un producto
-cartSchema.methods.updateProductQuantity = async function(productId, quantity) {
+// Método para actualizar cantidad de un producto (o variante)
+cartSchema.methods.updateProductQuantity = async function(productId, quantity, variantId = null) {
     const Product = mongoose.model('Product');
     
     if (quantity < 1) {
-        throw new Error('La cantidad debe ser mayor a 0');
+        throw new ValidationError('La cantidad debe ser mayor a 0');
     }
 
     const productIndex = this.products.findIndex(
-        item => item.product.toString() === productId.toString()
+        item => matchesItem(item, productId, variantId)
     );
 
     if (productIndex === -1) {
-        throw new Error(`Producto con ID ${productId} no encontrado en el carrito`);
+        throw new NotFoundError(`Producto con ID ${productId} no encontrado en el carrito`, { code: 'PRODUCT_NOT_IN_CART' });
     }
 
     // Verificar stock disponible
     const product = await Product.findById(productId);
-    if (!product) {
-        throw new Error(`Producto con ID ${productId} no encontrado`);
-    }
+    const available = checkAvailability(product, productId, variantId);
 
-    if (!product.status || product.stock < quantity) {
-        throw new Error(`Stock insuficiente. Disponible: ${product.stock}`);
+    if (reservationsConfig.enabled) {
+        // Ajustar la reserva a la nueva cantidad (reserva o libera la diferencia)
+        const held = await Reservation.setQuantity(this._id, productId, variantId, quantity);
+        if (!held) {
+            throw new OutOfStockError(`Stock insuficiente. Disponible: ${available}`);
+        }
+    } else if (available < quantity) {
+        throw new OutOfStockError(`Stock insuficiente. Disponible: ${available}`);
     }
 
     this.products[productIndex].quantity = quantity;
@@ -107,54 +198,105 @@ cartSchema.methods.updateCart = async function(productsArray) {
 
     // Validar que productsArray sea un array válido
     if (!Array.isArray(productsArray)) {
-        throw new Error('El campo products debe ser un array');
+        throw new ValidationError('El campo products debe ser un array');
     }
 
     // Validar estructura de cada producto
     for (const item of productsArray) {
         if (!item.product || !item.quantity) {
-            throw new Error('Cada producto debe tener product y quantity');
+            throw new ValidationError('Cada producto debe tener product y quantity');
         }
         if (typeof item.quantity !== 'number' || item.quantity < 1) {
-            throw new Error('La cantidad debe ser un número mayor a 0');
+            throw new ValidationError('La cantidad debe ser un número mayor a 0');
         }
 
-        // Verificar que el producto existe y tiene stock
+        // Verificar que el producto (y la variante) existe y tiene stock
         const product = await Product.findById(item.product);
-        if (!product) {
-            throw new Error(`Producto con ID ${item.product} no encontrado`);
-        }
-        if (!product.status || product.stock < item.quantity) {
-            throw new Error(`Producto ${product.title} no disponible. Stock: ${product.stock}`);
+        const available = checkAvailability(product, item.product, item.variant);
+        if (!reservationsConfig.enabled && available < item.quantity) {
+            throw new OutOfStockError(`Producto ${product.title} no disponible. Stock: ${available}`);
         }
     }
 
+    if (reservationsConfig.enabled) {
+        await this.replaceReservations(productsArray);
+    }
+
     // Actualizar el carrito
     this.products = productsArray.map(item => ({
         product: item.product,
+        variant: item.variant || null,
         quantity: item.quantity
     }));
 
     return await this.save();
 };
 
+// Reemplazar las reservas del carrito por las de las nuevas líneas.
+// Si alguna línea no tiene stock libre se vuelven a reservar las líneas
+// actuales (en lo posible) y se informa el error.
+cartSchema.methods.replaceReservations = async function(lines) {
+    const previous = this.products.map(item => ({
+        product: itemProductId(item),
+        variant: item.variant,
+        quantity: item.quantity
+    }));
+
+    await Reservation.releaseCart(this._id);
+
+    try {
+        for (const line of lines) {
+            await holdStock(this._id, line.product, line.variant || null, line.quantity);
+        }
+    } catch (error) {
+        await Reservation.releaseCart(this._id);
+        for (const line of previous) {
+            await Reservation.hold(this._id, line.product, line.variant, line.quantity).catch(() => null);
+        }
+        throw error;
+    }
+};
+
 // Método para vaciar el carrito
 cartSchema.methods.clearCart = async function() {
     this.products = [];
-    return await this.save();
+    await this.save();
+
+    if (reservationsConfig.enabled) {
+        await Reservation.releaseCart(this._id);
+    }
+    return this;
 };
 
-// Virtual: Calcular total del carrito
-cartSchema.virtual('total').get(function() {
+// Método de instancia: Resumen de precios (subtotal, descuentos y total) en
+// unidades menores de la moneda indicada (por defecto la moneda base).
+// Requiere products.product populado; el cupón se considera si está populado.
+cartSchema.methods.getSummary = function({ currency = currencyConfig.baseCurrency, now = new Date() } = {}) {
     if (!this.populated('products.product')) {
-        return 0;
+        return { currency, subtotal: 0, discounts: [], discountTotal: 0, total: 0, couponError: null };
     }
-    return this.products.reduce((sum, item) => {
-        if (item.product && item.product.price) {
-            return sum + (item.product.price * item.quantity);
-        }
-        return sum;
-    }, 0);
+    const coupon = this.coupon && this.coupon.code ? this.coupon : null;
+    return summarizeCart(buildCartLines(this.products, currency), coupon, { currency, now });
+};
+
+// Virtual: Moneda de los montos del carrito
+cartSchema.virtual('currency').get(function() {
+    return currencyConfig.baseCurrency;
+});
+
+// Virtual: Subtotal del carrito (sin descuentos)
+cartSchema.virtual('subtotal').get(function() {
+    return this.getSummary().subtotal;
+});
+
+// Virtual: Líneas de descuento del cupón aplicado
+cartSchema.virtual('discounts').get(function() {
+    return this.getSummary().discounts;
+});
+
+// Virtual: Calcular total del carrito (subtotal menos descuentos)
+cartSchema.virtual('total').get(function() {
+    return this.getSummary().total;
 });
 
 // Virtual: Cantidad total de productos
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const { ValidationError } = require('../utils/errors');
+
+// Generar slug a partir de un texto: "Audio & Video " -> "audio-video"
+function slugify(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+const categorySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'El nombre es requerido'],
+        trim: true,
+        minlength: [2, 'El nombre debe tener al menos 2 caracteres'],
+        maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+    },
+    slug: {
+        type: String,
+        required: [true, 'El slug es requerido'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        index: true,
+        match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'El slug solo puede contener letras minúsculas, números y guiones']
+    },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null,
+        index: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'La descripción no puede exceder 500 caracteres'],
+        default: ''
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+// Middleware pre-validate: Generar slug desde el nombre si no se envió
+categorySchema.pre('validate', function(next) {
+    if (!this.slug && this.name) {
+        this.slug = slugify(this.name);
+    } else if (this.isModified('slug') && this.slug) {
+        this.slug = slugify(this.slug);
+    }
+    next();
+});
+
+// Middleware pre-save: Validar que el padre exista y no genere ciclos
+categorySchema.pre('save', async function(next) {
+    if (this.isModified('parent') && this.parent) {
+        if (this.parent.equals(this._id)) {
+            throw new ValidationError('Una categoría no puede ser su propia categoría padre', [], { code: 'INVALID_CATEGORY_PARENT' });
+        }
+
+        const parent = await this.constructor.findById(this.parent);
+        if (!parent) {
+            throw new ValidationError(`Categoría padre con ID ${this.parent} no encontrada`, [], { code: 'INVALID_CATEGORY_PARENT' });
+        }
+
+        const descendants = await this.constructor.getDescendantIds([this._id]);
+        if (descendants.some(id => id.equals(this.parent))) {
+            throw new ValidationError('La categoría padre no puede ser una subcategoría de esta categoría', [], { code: 'INVALID_CATEGORY_PARENT' });
+        }
+    }
+    next();
+});
+
+// Método estático: Obtener los IDs de las categorías indicadas y todas sus subcategorías
+categorySchema.statics.getDescendantIds = async function(ids) {
+    const result = [...ids];
+    let frontier = [...ids];
+
+    while (frontier.length > 0) {
+        const children = await this.find({ parent: { $in: frontier } }).select('_id').lean();
+        frontier = children
+            .map(child => child._id)
+            .filter(id => !result.some(existing => existing.equals(id)));
+        result.push(...frontier);
+    }
+
+    return result;
+};
+
+// Método estático: Buscar una categoría por ID, slug o nombre
+categorySchema.statics.resolve = function(value) {
+    if (value instanceof mongoose.Types.ObjectId) {
+        return this.findById(value);
+    }
+    const text = String(value).trim();
+    if (mongoose.Types.ObjectId.isValid(text) && /^[0-9a-fA-F]{24}$/.test(text)) {
+        return this.findById(text);
+    }
+    return this.findOne({ slug: slugify(text) });
+};
+
+// Método estático: Buscar por nombre/slug o crear la categoría
+categorySchema.statics.findOrCreateByName = async function(name, parent = null) {
+    const slug = slugify(name);
+    const existing = await this.findOne({ slug });
+    if (existing) {
+        return existing;
+    }
+    return this.create({ name: String(name).trim(), slug, parent });
+};
+
+categorySchema.statics.slugify = slugify;
+
+const Category = mongoose.model('Category', categorySchema);
+
+module.exports = Category;
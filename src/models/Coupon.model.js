@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const Category = require('./Category.model');
+const currencyConfig = require('../config/currency');
+const { couponUnavailableReason, evaluateCoupon } = require('../utils/discounts');
+const { isSupportedCurrency } = require('../utils/money');
+
+const COUPON_TYPES = ['percentage', 'fixed', 'free_item'];
+
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'El código es requerido'],
+        unique: true,
+        trim: true,
+        uppercase: true,
+        index: true,
+        match: [/^[A-Z0-9-]+$/, 'El código solo puede contener letras mayúsculas, números y guiones']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'La descripción no puede exceder 200 caracteres'],
+        default: ''
+    },
+    // percentage: value % de descuento; fixed: value de descuento (en unidades
+    // menores de currency, 1000 = $10.00); free_item: freeQuantity unidades gratis (las más baratas alcanzadas)
+    type: {
+        type: String,
+        required: [true, 'El tipo de cupón es requerido'],
+        enum: {
+            values: COUPON_TYPES,
+            message: 'Tipo de cupón inválido: {VALUE}'
+        }
+    },
+    value: {
+        type: Number,
+        min: [0, 'El valor debe ser mayor o igual a 0'],
+        validate: {
+            validator: function(value) {
+                if (this.type === 'percentage') {
+                    return value > 0 && value <= 100;
+                }
+                if (this.type === 'fixed') {
+                    return value > 0 && Number.isInteger(value);
+                }
+                return true;
+            },
+            message: 'El valor debe ser mayor a 0 (hasta 100 en cupones de porcentaje y entero en centavos en cupones fijos)'
+        }
+    },
+    // Moneda del descuento fijo y de la compra mínima (se convierten a la del carrito)
+    currency: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        default: () => currencyConfig.baseCurrency,
+        validate: {
+            validator: isSupportedCurrency,
+            message: 'Moneda no soportada: {VALUE}'
+        }
+    },
+    freeQuantity: {
+        type: Number,
+        default: 1,
+        min: [1, 'La cantidad de unidades gratis debe ser mayor a 0'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'La cantidad de unidades gratis debe ser un número entero'
+        }
+    },
+    // Categorías alcanzadas (vacío = todo el carrito)
+    categories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    // Categorías alcanzadas incluyendo subcategorías (se calcula al guardar)
+    eligibleCategories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    // En unidades menores de currency
+    minCartTotal: {
+        type: Number,
+        default: 0,
+        min: [0, 'La compra mínima debe ser mayor o igual a 0'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'La compra mínima debe ser un entero en unidades menores (centavos)'
+        }
+    },
+    // null = usos ilimitados
+    usageLimit: {
+        type: Number,
+        default: null,
+        min: [1, 'El límite de usos debe ser mayor a 0']
+    },
+    usageLimitPerUser: {
+        type: Number,
+        default: null,
+        min: [1, 'El límite de usos por usuario debe ser mayor a 0']
+    },
+    usedCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    startsAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        default: null,
+        validate: {
+            validator: function(value) {
+                return !value || !this.startsAt || value > this.startsAt;
+            },
+            message: 'La fecha de vencimiento debe ser posterior a la de inicio'
+        }
+    },
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+// Middleware pre-validate: Los cupones de porcentaje y monto fijo necesitan value
+couponSchema.pre('validate', function(next) {
+    if (['percentage', 'fixed'].includes(this.type) && (this.value === undefined || this.value === null)) {
+        this.invalidate('value', 'El valor es requerido para cupones de porcentaje o monto fijo');
+    }
+    next();
+});
+
+// Middleware pre-save: Expandir las categorías con sus subcategorías
+// (si después se crean subcategorías nuevas, volver a guardar el cupón)
+couponSchema.pre('save', async function(next) {
+    if (this.isModified('categories')) {
+        this.eligibleCategories = this.categories.length > 0
+            ? await Category.getDescendantIds(this.categories)
+            : [];
+    }
+    next();
+});
+
+// Método de instancia: Motivo por el que no se puede usar (null si está vigente)
+couponSchema.methods.unavailableReason = function(now = new Date()) {
+    return couponUnavailableReason(this, now);
+};
+
+// Método de instancia: Evaluar el cupón sobre las líneas de un carrito
+couponSchema.methods.evaluate = function(lines, options) {
+    return evaluateCoupon(this, lines, options);
+};
+
+// Método de instancia: Verificar el límite de usos por usuario (órdenes no canceladas)
+couponSchema.methods.checkUserLimit = async function(user) {
+    if (!this.usageLimitPerUser || !user || !user._id) {
+        return null;
+    }
+    const used = await mongoose.model('Order').countDocuments({
+        user: user._id,
+        'coupon.code': this.code,
+        status: { $ne: 'cancelled' }
+    });
+    return used >= this.usageLimitPerUser
+        ? `Ya usaste el cupón ${this.code} la cantidad máxima de veces`
+        : null;
+};
+
+// Método estático: Buscar por código
+couponSchema.statics.findByCode = function(code) {
+    return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Método estático: Registrar un uso de forma atómica (respeta usageLimit).
+// Devuelve el cupón actualizado o null si ya no tiene usos disponibles.
+couponSchema.statics.redeem = function(couponId) {
+    return this.findOneAndUpdate(
+        {
+            _id: couponId,
+            active: true,
+            $or: [
+                { usageLimit: null },
+                { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+            ]
+        },
+        { $inc: { usedCount: 1 } },
+        { new: true }
+    );
+};
+
+// Método estático: Devolver un uso (por ejemplo, al cancelar una orden)
+couponSchema.statics.restoreUse = function(couponId) {
+    return this.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
+
+couponSchema.statics.TYPES = COUPON_TYPES;
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
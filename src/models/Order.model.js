@@ -0,0 +1,557 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+const currencyConfig = require('../config/currency');
+const { summarizeCart } = require('../utils/discounts');
+const { convertAmount, formatMoney } = require('../utils/money');
+const { ConflictError, ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { loadCategoryPaths, resolveShippingMethod, applyTaxAndShipping } = require('../services/pricing.service');
+
+// Estados de una orden y transiciones permitidas desde cada uno
+const ORDER_STATUSES = ['pending', 'paid', 'shipped', 'delivered', 'cancelled'];
+const ORDER_TRANSITIONS = {
+    pending: ['paid', 'cancelled'],
+    paid: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+// Nombres en español para mensajes y vistas
+const ORDER_STATUS_LABELS = {
+    pending: 'Pendiente',
+    paid: 'Pagada',
+    shipped: 'Enviada',
+    delivered: 'Entregada',
+    cancelled: 'Cancelada'
+};
+
+const orderItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Copia de los datos del producto al momento de la compra
+    title: {
+        type: String,
+        required: true
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    },
+    // Variante comprada (SKU y atributos copiados al momento de la compra)
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    sku: {
+        type: String
+    },
+    attributes: {
+        type: Map,
+        of: String
+    },
+    // Montos en unidades menores de la moneda de la orden
+    price: {
+        type: Number,
+        required: true,
+        min: [0, 'El precio debe ser mayor o igual a 0']
+    },
+    // Peso unitario en gramos usado para calcular el envío
+    weight: {
+        type: Number,
+        default: 0,
+        min: [0, 'El peso debe ser mayor o igual a 0']
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'La cantidad debe ser mayor a 0']
+    },
+    subtotal: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
+
+// Línea de descuento aplicada a la orden
+const discountLineSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true
+    },
+    description: {
+        type: String
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
+
+// Impuesto aplicado por alícuota
+const taxLineSchema = new mongoose.Schema({
+    rate: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    taxable: {
+        type: Number,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
+
+// Registro de cada cambio de estado
+const statusChangeSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ORDER_STATUSES,
+        required: true
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'La nota no puede exceder 300 caracteres']
+    }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    cart: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Cart',
+        required: true,
+        index: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    buyer: {
+        name: {
+            type: String,
+            trim: true
+        },
+        email: {
+            type: String,
+            trim: true,
+            lowercase: true
+        }
+    },
+    items: {
+        type: [orderItemSchema],
+        validate: {
+            validator: function(arr) {
+                return arr.length > 0;
+            },
+            message: 'La orden debe tener al menos un producto'
+        }
+    },
+    // Moneda de todos los montos de la orden (unidades menores)
+    currency: {
+        type: String,
+        default: () => currencyConfig.baseCurrency
+    },
+    // Total de los items antes de descuentos
+    subtotal: {
+        type: Number,
+        min: 0
+    },
+    discounts: {
+        type: [discountLineSchema],
+        default: []
+    },
+    discountTotal: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Región de destino (define impuestos y métodos de envío)
+    region: {
+        code: {
+            type: String
+        },
+        name: {
+            type: String
+        }
+    },
+    taxes: {
+        type: [taxLineSchema],
+        default: []
+    },
+    taxTotal: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    shipping: {
+        method: {
+            type: String
+        },
+        name: {
+            type: String
+        },
+        amount: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        free: {
+            type: Boolean,
+            default: false
+        },
+        // Peso total en gramos
+        weight: {
+            type: Number,
+            min: 0
+        }
+    },
+    // Cupón usado en la compra
+    coupon: {
+        _id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon'
+        },
+        code: {
+            type: String
+        }
+    },
+    // Total cobrado: subtotal - descuentos + impuestos + envío
+    total: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ORDER_STATUSES,
+            message: 'Estado de orden inválido: {VALUE}'
+        },
+        default: 'pending',
+        index: true
+    },
+    statusHistory: {
+        type: [statusChangeSchema],
+        default: []
+    }
+}, {
+    timestamps: true,
+    versionKey: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Plugin de paginación
+orderSchema.plugin(mongoosePaginate);
+
+orderSchema.index({ user: 1, createdAt: -1 });
+
+// Virtual: Cantidad total de unidades
+orderSchema.virtual('totalItems').get(function() {
+    return this.items.reduce((sum, item) => sum + item.quantity, 0);
+});
+
+// Virtual: Total formateado en la moneda de la orden
+orderSchema.virtual('totalFormatted').get(function() {
+    return formatMoney(this.total, this.currency);
+});
+
+// Virtual: Nombre del estado en español
+orderSchema.virtual('statusLabel').get(function() {
+    return ORDER_STATUS_LABELS[this.status];
+});
+
+// Error de cambio de estado no permitido (se responde con 409)
+function statusTransitionError(message) {
+    return new ConflictError(message, { code: 'INVALID_ORDER_TRANSITION' });
+}
+
+// Método de instancia: Verificar si se puede pasar al estado indicado
+orderSchema.methods.canTransitionTo = function(status) {
+    return (ORDER_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Método de instancia: Cambiar el estado de la orden
+// El cambio es condicional al estado actual, así dos cambios simultáneos no
+// pueden aplicarse ambos (por ejemplo, cancelar dos veces y devolver el stock doble).
+// Al cancelar se devuelve al stock lo que se había descontado en la compra.
+// Devuelve la orden y los items cuyo stock no se pudo devolver ("failed").
+orderSchema.methods.changeStatus = async function(status, { user = null, note } = {}) {
+    if (!ORDER_STATUSES.includes(status)) {
+        throw new ValidationError(`Estado de orden inválido: ${status}. Valores permitidos: ${ORDER_STATUSES.join(', ')}`, [], { code: 'INVALID_ORDER_STATUS' });
+    }
+    if (!this.canTransitionTo(status)) {
+        throw statusTransitionError(`No se puede pasar una orden ${ORDER_STATUS_LABELS[this.status].toLowerCase()} a ${ORDER_STATUS_LABELS[status].toLowerCase()}`);
+    }
+
+    const change = { status, changedAt: new Date(), changedBy: user && user._id ? user._id : null, note };
+    const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id, status: this.status },
+        { $set: { status }, $push: { statusHistory: change } },
+        { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+        throw statusTransitionError('La orden cambió de estado mientras se procesaba. Vuelve a intentarlo');
+    }
+
+    this.set({ status: updated.status, statusHistory: updated.statusHistory });
+
+    let failed = [];
+    if (status === 'cancelled') {
+        failed = await restoreStock(this.items);
+        // Devolver el uso del cupón
+        if (this.coupon && this.coupon._id) {
+            await mongoose.model('Coupon').restoreUse(this.coupon._id);
+        }
+        // La orden ya quedó cancelada: no es un error de la solicitud, pero el
+        // stock de estos items hay que corregirlo a mano
+        if (failed.length > 0) {
+            logger.error(`Orden ${this.code} cancelada sin devolver el stock de: ${failed.map(item => item.code).join(', ')}`);
+        }
+    }
+
+    return { order: this, failed };
+};
+
+// Devolver al stock las unidades de los items de una orden cancelada con un
+// $inc atómico (igual que el descuento de la compra, así no se pisan).
+// Los productos o variantes eliminados se omiten; devuelve los items cuyo
+// stock no se pudo devolver por un error.
+async function restoreStock(items) {
+    const Product = mongoose.model('Product');
+    const failed = [];
+
+    for (const item of items) {
+        try {
+            const product = await Product.incrementStock(item.product, item.quantity, item.variant);
+            if (!product) {
+                logger.warn(`⚠️  Producto ${item.code} (o su variante) eliminado, no se devuelve su stock`);
+            }
+        } catch (error) {
+            logger.error(`Error devolviendo stock del producto ${item.code}:`, error.message);
+            failed.push({ product: item.product, variant: item.variant || null, code: item.code, quantity: item.quantity });
+        }
+    }
+    return failed;
+}
+
+// Generar código único de orden
+function generateOrderCode() {
+    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+    return `ORD-${Date.now()}-${random}`;
+}
+
+// Método estático: Crear una orden a partir de un carrito
+// La orden se cobra en la moneda base: los precios se convierten con la tabla
+// de tipos de cambio al momento de la compra. Suma impuestos y envío según la
+// región y el método de envío elegidos. Descuenta stock de forma atómica producto por producto. Las unidades que el
+// carrito tenía reservadas se usan para la compra. Los productos que no se
+// pueden cubrir quedan en el carrito y se devuelven como "unprocessed".
+orderSchema.statics.createFromCart = async function(cart, user = null, { region, shippingMethod } = {}) {
+    const Product = mongoose.model('Product');
+    const Reservation = mongoose.model('Reservation');
+    const currency = currencyConfig.baseCurrency;
+
+    // Validar el envío antes de tocar el stock
+    resolveShippingMethod(region, shippingMethod);
+
+    const items = [];
+    const unprocessed = [];
+
+    // Línea cuya reserva ya se tomó pero todavía no se descontó
+    let claimed = null;
+    try {
+        for (const item of cart.products) {
+            const productId = item.product._id || item.product;
+            const variantId = item.variant || null;
+
+            const reserved = await Reservation.claim(cart._id, productId, variantId);
+            claimed = { productId, variantId, reserved };
+            const product = await Product.decrementStock(productId, item.quantity, variantId, { reserved });
+            claimed = null;
+
+            if (!product) {
+                // La reserva ya se tomó: devolver sus unidades al stock libre
+                if (reserved > 0) {
+                    await Product.releaseStock(productId, reserved, variantId);
+                }
+                const current = await Product.findById(productId);
+                const variant = current && variantId ? current.getVariant(variantId) : null;
+                unprocessed.push({
+                    product: productId,
+                    variant: variantId,
+                    quantity: item.quantity,
+                    reason: !current
+                        ? 'Producto no encontrado'
+                        : variantId && !variant
+                            ? 'Variante no encontrada'
+                            : !current.status || (variant && !variant.status)
+                                ? 'Producto no disponible'
+                                : `Stock insuficiente. Disponible: ${current.availableStockFor(variantId)}`
+                });
+                continue;
+            }
+
+            const variant = variantId ? product.getVariant(variantId) : null;
+            const price = convertAmount(product.priceFor(variantId), product.currency || currency, currency);
+            const weight = variant && variant.weight !== undefined && variant.weight !== null ? variant.weight : product.weight;
+
+            items.push({
+                product: product._id,
+                category: product.category,
+                title: product.title,
+                code: product.code,
+                variant: variantId,
+                sku: variant ? variant.sku : undefined,
+                attributes: variant ? variant.attributes : undefined,
+                price,
+                weight: weight || 0,
+                quantity: item.quantity,
+                subtotal: price * item.quantity
+            });
+        }
+    } catch (error) {
+        // Un error a mitad de camino: devolver el stock de las líneas ya
+        // descontadas y las unidades de la reserva tomada antes de propagarlo
+        await restoreStock(items);
+        if (claimed && claimed.reserved > 0) {
+            await Product.releaseStock(claimed.productId, claimed.reserved, claimed.variantId)
+                .catch(releaseError => logger.error(`Error liberando la reserva del producto ${claimed.productId}:`, releaseError.message));
+        }
+        throw error;
+    }
+
+    if (items.length === 0) {
+        return { order: null, unprocessed };
+    }
+
+    // Aplicar el cupón del carrito sobre los items que se pudieron comprar y
+    // sumar impuestos y envío
+    const { coupon, summary, lines, couponError } = await applyCartCoupon(cart, items, user, currency);
+    const pricing = applyTaxAndShipping(lines, summary, {
+        region,
+        shippingMethod,
+        categoryPaths: await loadCategoryPaths()
+    });
+
+    let order;
+    try {
+        order = await this.create({
+            code: generateOrderCode(),
+            cart: cart._id,
+            user: user ? user._id : undefined,
+            buyer: user ? { name: user.name, email: user.email } : undefined,
+            items,
+            currency,
+            subtotal: summary.subtotal,
+            discounts: summary.discounts,
+            discountTotal: summary.discountTotal,
+            coupon: coupon ? { _id: coupon._id, code: coupon.code } : undefined,
+            region: pricing.region,
+            taxes: pricing.taxes,
+            taxTotal: pricing.taxTotal,
+            shipping: pricing.shipping,
+            total: pricing.grandTotal,
+            status: 'pending',
+            statusHistory: [{ status: 'pending', changedBy: user && user._id ? user._id : null }]
+        });
+    } catch (error) {
+        // Devolver el stock descontado si la orden no se pudo guardar
+        await Promise.all(items.map(item => Product.incrementStock(item.product, item.quantity, item.variant)));
+        if (coupon) {
+            await mongoose.model('Coupon').restoreUse(coupon._id);
+        }
+        throw error;
+    }
+
+    // Dejar en el carrito solo los productos que no se pudieron procesar
+    const lineKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+    const unprocessedKeys = unprocessed.map(item => lineKey(item.product, item.variant));
+    cart.products = cart.products.filter(item =>
+        unprocessedKeys.includes(lineKey(item.product._id || item.product, item.variant))
+    );
+    // El cupón usado se quita del carrito
+    if (coupon) {
+        cart.coupon = null;
+    }
+    await cart.save();
+
+    return { order, unprocessed, couponError };
+};
+
+// Calcular los totales de la compra con el cupón del carrito (si tiene).
+// El uso del cupón se registra de forma atómica; si ya no es válido la compra
+// sigue sin descuento y se informa el motivo en couponError.
+async function applyCartCoupon(cart, items, user, currency) {
+    const Coupon = mongoose.model('Coupon');
+    const lines = items.map(item => ({
+        product: item.product.toString(),
+        category: item.category ? item.category.toString() : null,
+        price: item.price,
+        weight: item.weight,
+        quantity: item.quantity
+    }));
+    const withoutCoupon = { coupon: null, lines, summary: summarizeCart(lines, null, { currency }) };
+
+    if (!cart.coupon) {
+        return { ...withoutCoupon, couponError: null };
+    }
+
+    const coupon = await Coupon.findById(cart.coupon._id || cart.coupon);
+    if (!coupon) {
+        return { ...withoutCoupon, couponError: 'El cupón del carrito ya no existe' };
+    }
+
+    const summary = summarizeCart(lines, coupon, { currency });
+    const userLimitError = await coupon.checkUserLimit(user);
+    const couponError = summary.couponError || userLimitError;
+    if (couponError || summary.discountTotal === 0) {
+        return { ...withoutCoupon, couponError };
+    }
+
+    const redeemed = await Coupon.redeem(coupon._id);
+    if (!redeemed) {
+        return { ...withoutCoupon, couponError: `El cupón ${coupon.code} alcanzó su límite de usos` };
+    }
+
+    return { coupon, lines, summary, couponError: null };
+}
+
+orderSchema.statics.STATUSES = ORDER_STATUSES;
+orderSchema.statics.TRANSITIONS = ORDER_TRANSITIONS;
+orderSchema.statics.STATUS_LABELS = ORDER_STATUS_LABELS;
+
+const Order = mongoose.model('Order', orderSchema);
+
+module.exports = Order;
@@ -1,5 +1,89 @@
 const mongoose = require('mongoose');
 const mongoosePaginate = require('mongoose-paginate-v2');
+const Category = require('./Category.model');
+const currencyConfig = require('../config/currency');
+const { getProductImage } = require('../utils/productImages');
+const { isSupportedCurrency, convertAmount, conversionFactor, formatMoney } = require('../utils/money');
+const { ConflictError, ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Formato de código/SKU compartido por productos y variantes
+const CODE_REGEX = /^[A-Z0-9-]+$/;
+
+// Variante de un producto (talle/color/almacenamiento) con SKU, precio y stock propios
+const variantSchema = new mongoose.Schema({
+    sku: {
+        type: String,
+        required: [true, 'El SKU de la variante es requerido'],
+        trim: true,
+        uppercase: true,
+        match: [CODE_REGEX, 'El SKU solo puede contener letras mayúsculas, números y guiones']
+    },
+    attributes: {
+        type: Map,
+        of: String,
+        default: {}
+    },
+    // Si no se indica, la variante usa el precio del producto (misma moneda)
+    price: {
+        type: Number,
+        min: [0, 'El precio de la variante debe ser mayor o igual a 0'],
+        validate: {
+            validator: function(value) {
+                return value === null || value === undefined || Number.isInteger(value);
+            },
+            message: 'El precio de la variante debe ser un entero en unidades menores (centavos)'
+        }
+    },
+    stock: {
+        type: Number,
+        required: [true, 'El stock de la variante es requerido'],
+        min: [0, 'El stock de la variante debe ser mayor o igual a 0'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'El stock de la variante debe ser un número entero'
+        }
+    },
+    // Peso en gramos para calcular el envío (si no se indica, el del producto)
+    weight: {
+        type: Number,
+        min: [0, 'El peso de la variante debe ser mayor o igual a 0']
+    },
+    // Unidades retenidas por reservas de carritos (ver Reservation.model.js)
+    reserved: {
+        type: Number,
+        default: 0,
+        min: [0, 'Las unidades reservadas no pueden ser negativas']
+    },
+    status: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual: Stock de la variante descontando las reservas
+variantSchema.virtual('availableStock').get(function() {
+    return Math.max(0, this.stock - (this.reserved || 0));
+});
+
+// Imagen subida de un producto (versión optimizada + miniatura generada)
+const imageSchema = new mongoose.Schema({
+    url: { type: String, required: true },
+    thumbnailUrl: { type: String, required: true },
+    // Claves en el almacenamiento, necesarias para borrar los archivos
+    key: { type: String, required: true },
+    thumbnailKey: { type: String, required: true },
+    originalName: { type: String, trim: true },
+    mimeType: { type: String },
+    size: { type: Number, min: 0 },
+    width: { type: Number, min: 0 },
+    height: { type: Number, min: 0 }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
 
 const productSchema = new mongoose.Schema({
     title: {
@@ -23,19 +107,34 @@ const productSchema = new mongoose.Schema({
         trim: true,
         uppercase: true,
         index: true,
-        match: [/^[A-Z0-9-]+$/, 'El código solo puede contener letras mayúsculas, números y guiones']
+        match: [CODE_REGEX, 'El código solo puede contener letras mayúsculas, números y guiones']
     },
+    // Precio en unidades menores de currency (249999 = 2499.99)
     price: {
         type: Number,
         required: [true, 'El precio es requerido'],
         min: [0, 'El precio debe ser mayor o igual a 0'],
         validate: {
-            validator: function(value) {
-                return !isNaN(value) && isFinite(value);
-            },
-            message: 'El precio debe ser un número válido'
+            validator: Number.isInteger,
+            message: 'El precio debe ser un entero en unidades menores (centavos)'
         }
     },
+    currency: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        default: () => currencyConfig.baseCurrency,
+        validate: {
+            validator: isSupportedCurrency,
+            message: 'Moneda no soportada: {VALUE}'
+        }
+    },
+    // Precio convertido a la moneda base (se calcula al guardar); se usa para
+    // filtrar y ordenar por precio productos en distintas monedas
+    basePrice: {
+        type: Number,
+        min: 0
+    },
     status: {
         type: Boolean,
         default: true,
@@ -50,13 +149,46 @@ const productSchema = new mongoose.Schema({
             message: 'El stock debe ser un número entero'
         }
     },
+    // Peso en gramos de una unidad, para calcular el envío
+    weight: {
+        type: Number,
+        default: 0,
+        min: [0, 'El peso debe ser mayor o igual a 0']
+    },
+    // Unidades retenidas por reservas de carritos (con variantes, suma de las variantes)
+    reserved: {
+        type: Number,
+        default: 0,
+        min: [0, 'Las unidades reservadas no pueden ser negativas']
+    },
     category: {
-        type: String,
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
         required: [true, 'La categoría es requerida'],
-        trim: true,
         index: true,
-        minlength: [2, 'La categoría debe tener al menos 2 caracteres']
+        validate: {
+            validator: async function(value) {
+                return Boolean(await Category.exists({ _id: value }));
+            },
+            message: 'La categoría no existe'
+        }
+    },
+    variants: {
+        type: [variantSchema],
+        default: [],
+        validate: {
+            validator: function(variants) {
+                const skus = variants.map(variant => variant.sku);
+                return new Set(skus).size === skus.length;
+            },
+            message: 'Los SKU de las variantes no pueden repetirse'
+        }
+    },
+    images: {
+        type: [imageSchema],
+        default: []
     },
+    // URLs de imágenes externas (las subidas se guardan en images)
     thumbnails: {
         type: [String],
         default: [],
@@ -79,44 +211,280 @@ productSchema.plugin(mongoosePaginate);
 
 // Índices compuestos para optimizar consultas
 productSchema.index({ category: 1, status: 1 });
-productSchema.index({ price: 1 });
+productSchema.index({ basePrice: 1 });
 productSchema.index({ stock: 1, status: 1 });
 productSchema.index({ title: 'text', description: 'text' });
+productSchema.index(
+    { 'variants.sku': 1 },
+    { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+// Virtual: Stock que se puede vender (descontando reservas de carritos)
+productSchema.virtual('availableStock').get(function() {
+    return Math.max(0, this.stock - (this.reserved || 0));
+});
 
 // Virtual: Verificar disponibilidad
 productSchema.virtual('available').get(function() {
-    return this.status && this.stock > 0;
+    return this.status && this.availableStock > 0;
 });
 
-// Virtual: Precio formateado
+// Virtual: Precio formateado en la moneda del producto
 productSchema.virtual('priceFormatted').get(function() {
-    return `$${this.price.toFixed(2)}`;
+    return formatMoney(this.price, this.currency);
+});
+
+// Virtual: Imagen principal (miniatura) o null si no tiene imágenes
+productSchema.virtual('coverImage').get(function() {
+    return getProductImage(this);
+});
+
+// Virtual: Indica si el producto se vende por variantes
+productSchema.virtual('hasVariants').get(function() {
+    return Array.isArray(this.variants) && this.variants.length > 0;
+});
+
+// Middleware pre-validate: Con variantes, el stock y las reservas del producto son la suma de sus variantes
+productSchema.pre('validate', function(next) {
+    if (this.variants && this.variants.length > 0) {
+        this.stock = this.variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+        this.reserved = this.variants.reduce((sum, variant) => sum + (variant.reserved || 0), 0);
+    }
+    if (Number.isInteger(this.price) && isSupportedCurrency(this.currency)) {
+        this.basePrice = convertAmount(this.price, this.currency);
+    }
+    next();
+});
+
+// Middleware post-findOneAndUpdate: Recalcular basePrice si cambió el precio o la moneda
+productSchema.post('findOneAndUpdate', async function(doc) {
+    const update = this.getUpdate() || {};
+    const fields = Object.keys({ ...update, ...(update.$set || {}) });
+    if (!doc || !fields.some(field => field === 'price' || field === 'currency')) {
+        return;
+    }
+    const basePrice = convertAmount(doc.price, doc.currency || currencyConfig.baseCurrency);
+    if (doc.basePrice !== basePrice) {
+        await this.model.updateOne({ _id: doc._id }, { $set: { basePrice } });
+        doc.basePrice = basePrice;
+    }
 });
 
+// Método de instancia: Obtener una variante por ID
+productSchema.methods.getVariant = function(variantId) {
+    if (!variantId || !this.variants) {
+        return null;
+    }
+    return this.variants.find(variant => variant._id.toString() === variantId.toString()) || null;
+};
+
+// Método de instancia: Precio efectivo (precio de la variante o del producto)
+productSchema.methods.priceFor = function(variantId = null) {
+    const variant = this.getVariant(variantId);
+    return variant && variant.price !== undefined && variant.price !== null ? variant.price : this.price;
+};
+
+// Método de instancia: Stock disponible del producto o de una variante
+productSchema.methods.stockFor = function(variantId = null) {
+    if (!variantId) {
+        return this.stock;
+    }
+    const variant = this.getVariant(variantId);
+    return variant ? variant.stock : 0;
+};
+
+// Método de instancia: Stock vendible del producto o de una variante (descontando reservas)
+productSchema.methods.availableStockFor = function(variantId = null) {
+    if (!variantId) {
+        return this.availableStock;
+    }
+    const variant = this.getVariant(variantId);
+    return variant ? variant.availableStock : 0;
+};
+
 // Método de instancia: Decrementar stock
-productSchema.methods.decrementStock = async function(quantity) {
+// Usa una actualización condicional para no vender de más con compras concurrentes
+productSchema.methods.decrementStock = async function(quantity, variantId = null) {
     if (quantity <= 0) {
         throw new Error('La cantidad debe ser mayor a 0');
     }
-    if (this.stock < quantity) {
-        throw new Error(`Stock insuficiente. Disponible: ${this.stock}, solicitado: ${quantity}`);
+    const updated = await this.constructor.decrementStock(this._id, quantity, variantId);
+    if (!updated) {
+        const current = await this.constructor.findById(this._id);
+        const available = current ? current.availableStockFor(variantId) : 0;
+        throw new Error(`Stock insuficiente. Disponible: ${available}, solicitado: ${quantity}`);
     }
-    this.stock -= quantity;
-    return await this.save();
+    this.stock = updated.stock;
+    if (variantId) {
+        this.getVariant(variantId).stock = updated.stockFor(variantId);
+    }
+    return updated;
 };
 
 // Método de instancia: Incrementar stock
-productSchema.methods.incrementStock = async function(quantity) {
+// Usa el $inc atómico del método estático para no pisar compras concurrentes
+productSchema.methods.incrementStock = async function(quantity, variantId = null) {
     if (quantity <= 0) {
         throw new Error('La cantidad debe ser mayor a 0');
     }
-    this.stock += quantity;
-    return await this.save();
+    const updated = await this.constructor.incrementStock(this._id, quantity, variantId);
+    if (!updated) {
+        throw new Error(variantId
+            ? `Variante con ID ${variantId} no encontrada`
+            : `Producto con ID ${this._id} no encontrado`);
+    }
+    this.stock = updated.stock;
+    if (variantId) {
+        this.getVariant(variantId).stock = updated.stockFor(variantId);
+    }
+    return updated;
 };
 
 // Método de instancia: Verificar disponibilidad con cantidad
-productSchema.methods.hasStock = function(quantity) {
-    return this.status && this.stock >= quantity;
+productSchema.methods.hasStock = function(quantity, variantId = null) {
+    if (variantId) {
+        const variant = this.getVariant(variantId);
+        return Boolean(this.status && variant && variant.status && variant.availableStock >= quantity);
+    }
+    return this.status && this.availableStock >= quantity;
+};
+
+// Filtro de un producto activo con al menos "quantity" unidades libres.
+// Las unidades libres son stock - reservado; "ownReserved" son unidades
+// reservadas por quien compra, que sí puede usar.
+function availabilityFilter(productId, quantity, variantId, ownReserved = 0) {
+    const freeUnits = (stockPath, reservedPath) => ({
+        $gte: [
+            { $subtract: [stockPath, { $subtract: [{ $ifNull: [reservedPath, 0] }, ownReserved] }] },
+            quantity
+        ]
+    });
+
+    if (variantId) {
+        // $expr no castea tipos: el ID de la variante tiene que ser ObjectId
+        const variantObjectId = new mongoose.Types.ObjectId(String(variantId));
+        return {
+            _id: productId,
+            status: true,
+            variants: { $elemMatch: { _id: variantObjectId, status: true } },
+            $expr: {
+                $anyElementTrue: [{
+                    $map: {
+                        input: '$variants',
+                        as: 'variant',
+                        in: {
+                            $and: [
+                                { $eq: ['$$variant._id', variantObjectId] },
+                                freeUnits('$$variant.stock', '$$variant.reserved')
+                            ]
+                        }
+                    }
+                }]
+            }
+        };
+    }
+
+    return {
+        _id: productId,
+        status: true,
+        'variants.0': { $exists: false },
+        $expr: freeUnits('$stock', '$reserved')
+    };
+}
+
+// Método estático: Decrementar stock de forma atómica
+// Solo descuenta si el producto (y la variante, si se indica) está activo y
+// tiene stock libre suficiente. Con variante también descuenta el stock total.
+// "reserved" son las unidades que el comprador tenía reservadas: se pueden
+// usar para la compra y se descuentan también del contador de reservas.
+// Devuelve el producto actualizado o null si no se pudo descontar.
+productSchema.statics.decrementStock = function(productId, quantity, variantId = null, { reserved = 0 } = {}) {
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new Error('La cantidad debe ser un número entero mayor a 0');
+    }
+    const inc = variantId
+        ? { 'variants.$.stock': -quantity, stock: -quantity }
+        : { stock: -quantity };
+    if (reserved > 0) {
+        inc.reserved = -reserved;
+        if (variantId) {
+            inc['variants.$.reserved'] = -reserved;
+        }
+    }
+    return this.findOneAndUpdate(
+        availabilityFilter(productId, quantity, variantId, reserved),
+        { $inc: inc },
+        { new: true }
+    );
+};
+
+// Método estático: Incrementar stock de forma atómica (inverso de decrementStock)
+// Con variante también suma al stock total. Devuelve el producto actualizado
+// o null si el producto (o la variante) ya no existe.
+productSchema.statics.incrementStock = function(productId, quantity, variantId = null) {
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new Error('La cantidad debe ser un número entero mayor a 0');
+    }
+    if (variantId) {
+        return this.findOneAndUpdate(
+            { _id: productId, 'variants._id': variantId },
+            { $inc: { 'variants.$.stock': quantity, stock: quantity } },
+            { new: true }
+        );
+    }
+    return this.findOneAndUpdate(
+        { _id: productId },
+        { $inc: { stock: quantity } },
+        { new: true }
+    );
+};
+
+// Método estático: Reservar unidades de forma atómica
+// Devuelve el producto actualizado o null si no hay stock libre suficiente.
+productSchema.statics.reserveStock = function(productId, quantity, variantId = null) {
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new Error('La cantidad debe ser un número entero mayor a 0');
+    }
+    const inc = variantId
+        ? { 'variants.$.reserved': quantity, reserved: quantity }
+        : { reserved: quantity };
+    return this.findOneAndUpdate(
+        availabilityFilter(productId, quantity, variantId),
+        { $inc: inc },
+        { new: true }
+    );
+};
+
+// Método estático: Liberar unidades reservadas
+productSchema.statics.releaseStock = function(productId, quantity, variantId = null) {
+    if (variantId) {
+        return this.findOneAndUpdate(
+            { _id: productId, variants: { $elemMatch: { _id: variantId, reserved: { $gte: quantity } } } },
+            { $inc: { 'variants.$.reserved': -quantity, reserved: -quantity } },
+            { new: true }
+        );
+    }
+    return this.findOneAndUpdate(
+        { _id: productId, reserved: { $gte: quantity } },
+        { $inc: { reserved: -quantity } },
+        { new: true }
+    );
+};
+
+// Método estático: Recalcular basePrice con la tabla de tipos de cambio actual
+// (se ejecuta al iniciar, por si la tabla cambió desde el último guardado)
+productSchema.statics.syncBasePrices = async function(filter = {}) {
+    let modified = 0;
+    for (const currency of currencyConfig.supportedCurrencies) {
+        const factor = conversionFactor(currency);
+        const result = await this.updateMany(
+            { ...filter, currency },
+            // Redondeo hacia arriba desde la mitad, igual que roundMinor
+            [{ $set: { basePrice: { $floor: { $add: [{ $multiply: ['$price', factor] }, 0.5] } } } }]
+        );
+        modified += result.modifiedCount;
+    }
+    return modified;
 };
 
 // Método estático: Buscar por código
@@ -124,14 +492,20 @@ productSchema.statics.findByCode = function(code) {
     return this.findOne({ code: code.toUpperCase() });
 };
 
-// Método estático: Productos disponibles
+// Método estático: Buscar el producto que tiene una variante con ese SKU
+productSchema.statics.findBySku = function(sku) {
+    return this.findOne({ 'variants.sku': sku.toUpperCase() });
+};
+
+// Método estático: Productos disponibles (con stock libre de reservas)
 productSchema.statics.findAvailable = function() {
-    return this.find({ status: true, stock: { $gt: 0 } });
+    return this.find({ status: true, $expr: { $gt: [{ $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] }, 0] } });
 };
 
-// Método estático: Productos por categoría
-productSchema.statics.findByCategory = function(category) {
-    return this.find({ category: category });
+// Método estático: Productos por categoría (incluye subcategorías)
+productSchema.statics.findByCategory = async function(categoryId) {
+    const ids = await Category.getDescendantIds([new mongoose.Types.ObjectId(String(categoryId))]);
+    return this.find({ category: { $in: ids } });
 };
 
 // Middleware pre-save: Validar código único
@@ -142,7 +516,7 @@ productSchema.pre('save', async function(next) {
             _id: { $ne: this._id }
         });
         if (existingProduct) {
-            throw new Error(`Ya existe un producto con el código ${this.code}`);
+            throw new ConflictError(`Ya existe un producto con el código ${this.code}`, { code: 'DUPLICATE_PRODUCT_CODE' });
         }
     }
     next();
@@ -154,23 +528,33 @@ productSchema.pre('save', function(next) {
     if (this.isModified('code')) {
         this.code = this.code.toUpperCase().trim();
     }
-    // Normalizar categoría
-    if (this.isModified('category')) {
-        this.category = this.category.trim();
-    }
     next();
 });
 
 // Middleware post-save: Log
 productSchema.post('save', function(doc) {
-    console.log(`✅ Producto guardado: ${doc.title} (${doc.code})`);
+    logger.debug(`✅ Producto guardado: ${doc.title} (${doc.code})`);
 });
 
 // Middleware pre-update: Validar stock no negativo
 productSchema.pre('findOneAndUpdate', function(next) {
     const update = this.getUpdate();
-    if (update.stock !== undefined && update.stock < 0) {
-        next(new Error('El stock no puede ser negativo'));
+    const stock = update.stock !== undefined ? update.stock : (update.$set && update.$set.stock);
+    if (stock !== undefined && stock < 0) {
+        return next(new ValidationError('El stock no puede ser negativo'));
+    }
+    next();
+});
+
+// Middleware pre-update: Recalcular el stock total y las reservas al reemplazar las variantes
+// (las variantes que ya existían traen sus reservas, ver products.service mergeVariants)
+productSchema.pre('findOneAndUpdate', function(next) {
+    const update = this.getUpdate();
+    const variants = update.variants !== undefined ? update.variants : (update.$set && update.$set.variants);
+    if (Array.isArray(variants) && variants.length > 0) {
+        const target = update.variants !== undefined ? update : update.$set;
+        target.stock = variants.reduce((sum, variant) => sum + (Number(variant.stock) || 0), 0);
+        target.reserved = variants.reduce((sum, variant) => sum + (Number(variant.reserved) || 0), 0);
     }
     next();
 });
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const reservationsConfig = require('../config/reservations');
+
+// Reserva de stock de una línea de carrito (producto + variante) hasta expiresAt.
+// Las unidades reservadas también se acumulan en Product.reserved para poder
+// calcular el stock libre sin consultar esta colección.
+const reservationSchema = new mongoose.Schema({
+    cart: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Cart',
+        required: true,
+        index: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'La cantidad reservada debe ser mayor a 0']
+    },
+    // No se usa un índice TTL: al vencer hay que devolver las unidades a
+    // Product.reserved, así que las libera el barrido de reservations.service
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: true
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+reservationSchema.index({ cart: 1, product: 1, variant: 1 }, { unique: true });
+
+// Clave de la reserva de una línea de carrito
+function lineKey(cartId, productId, variantId) {
+    return { cart: cartId, product: productId, variant: variantId || null };
+}
+
+// Método estático: Reservar unidades adicionales para una línea del carrito
+// y renovar el vencimiento. Devuelve la reserva o null si no hay stock libre.
+reservationSchema.statics.hold = async function(cartId, productId, variantId, quantity) {
+    const Product = mongoose.model('Product');
+
+    const product = await Product.reserveStock(productId, quantity, variantId);
+    if (!product) {
+        return null;
+    }
+
+    try {
+        return await this.findOneAndUpdate(
+            lineKey(cartId, productId, variantId),
+            {
+                $inc: { quantity },
+                $set: { expiresAt: new Date(Date.now() + reservationsConfig.ttlMs) }
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+    } catch (error) {
+        await Product.releaseStock(productId, quantity, variantId);
+        throw error;
+    }
+};
+
+// Método estático: Liberar unidades de una línea (todas si no se indica cantidad).
+// Devuelve la cantidad liberada.
+reservationSchema.statics.release = async function(cartId, productId, variantId, quantity = null) {
+    const Product = mongoose.model('Product');
+    const key = lineKey(cartId, productId, variantId);
+
+    if (quantity !== null) {
+        const partial = await this.findOneAndUpdate(
+            { ...key, quantity: { $gt: quantity } },
+            { $inc: { quantity: -quantity } }
+        );
+        if (partial) {
+            await Product.releaseStock(productId, quantity, variantId);
+            return quantity;
+        }
+    }
+
+    const removed = await this.findOneAndDelete(key);
+    if (!removed) {
+        return 0;
+    }
+    await Product.releaseStock(productId, removed.quantity, variantId);
+    return removed.quantity;
+};
+
+// Método estático: Ajustar la reserva de una línea a una cantidad total.
+// Devuelve false si no hay stock libre para la diferencia.
+reservationSchema.statics.setQuantity = async function(cartId, productId, variantId, quantity) {
+    const current = await this.findOne(lineKey(cartId, productId, variantId));
+    const delta = quantity - (current ? current.quantity : 0);
+
+    if (delta > 0) {
+        return Boolean(await this.hold(cartId, productId, variantId, delta));
+    }
+    if (delta < 0) {
+        await this.release(cartId, productId, variantId, -delta);
+    }
+    // Renovar el vencimiento de lo que sigue reservado
+    await this.updateOne(
+        lineKey(cartId, productId, variantId),
+        { $set: { expiresAt: new Date(Date.now() + reservationsConfig.ttlMs) } }
+    );
+    return true;
+};
+
+// Método estático: Liberar todas las reservas de un carrito
+reservationSchema.statics.releaseCart = async function(cartId) {
+    const reservations = await this.find({ cart: cartId }).lean();
+    for (const reservation of reservations) {
+        await this.release(cartId, reservation.product, reservation.variant);
+    }
+    return reservations.length;
+};
+
+// Método estático: Tomar la reserva de una línea para usarla en una compra.
+// Borra la reserva y devuelve las unidades que tenía: quien la toma debe
+// descontarlas de Product.reserved (Product.decrementStock con { reserved }).
+reservationSchema.statics.claim = async function(cartId, productId, variantId) {
+    const removed = await this.findOneAndDelete(lineKey(cartId, productId, variantId));
+    return removed ? removed.quantity : 0;
+};
+
+// Método estático: Liberar las reservas vencidas.
+// Cada reserva se borra con la condición de seguir vencida, así no se libera
+// una que se renovó mientras tanto ni se libera dos veces.
+reservationSchema.statics.releaseExpired = async function(now = new Date(), limit = reservationsConfig.sweepBatchSize) {
+    const Product = mongoose.model('Product');
+
+    const expired = await this.find({ expiresAt: { $lte: now } })
+        .sort({ expiresAt: 1 })
+        .limit(limit)
+        .lean();
+
+    const released = [];
+    for (const reservation of expired) {
+        const removed = await this.findOneAndDelete({ _id: reservation._id, expiresAt: { $lte: now } });
+        if (!removed) {
+            continue;
+        }
+        await Product.releaseStock(removed.product, removed.quantity, removed.variant);
+        released.push(removed);
+    }
+    return released;
+};
+
+const Reservation = mongoose.model('Reservation', reservationSchema);
+
+module.exports = Reservation;
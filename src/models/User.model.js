@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const SALT_ROUNDS = 10;
+
+const userSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'El nombre es requerido'],
+        trim: true,
+        minlength: [2, 'El nombre debe tener al menos 2 caracteres'],
+        maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+    },
+    email: {
+        type: String,
+        required: [true, 'El email es requerido'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        index: true,
+        match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'El email no es válido']
+    },
+    password: {
+        type: String,
+        required: [true, 'La contraseña es requerida'],
+        minlength: [6, 'La contraseña debe tener al menos 6 caracteres'],
+        select: false
+    },
+    role: {
+        type: String,
+        enum: {
+            values: ['user', 'admin'],
+            message: 'Rol inválido: {VALUE}'
+        },
+        default: 'user'
+    },
+    cart: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Cart'
+    }
+}, {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+        transform: function(doc, ret) {
+            delete ret.password;
+            return ret;
+        }
+    }
+});
+
+// Middleware pre-save: Hashear contraseña
+userSchema.pre('save', async function(next) {
+    if (this.isModified('password')) {
+        this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    }
+    next();
+});
+
+// Método de instancia: Comparar contraseña
+userSchema.methods.comparePassword = function(candidate) {
+    return bcrypt.compare(candidate, this.password);
+};
+
+// Método de instancia: Asegurar que el usuario tenga un carrito
+userSchema.methods.ensureCart = async function() {
+    const Cart = mongoose.model('Cart');
+
+    if (this.cart && await Cart.exists({ _id: this.cart })) {
+        return this.cart;
+    }
+
+    const cart = await Cart.create({});
+    this.cart = cart._id;
+    await this.save();
+    return this.cart;
+};
+
+// Método estático: Buscar por email incluyendo la contraseña
+userSchema.statics.findByEmailWithPassword = function(email) {
+    return this.findOne({ email: String(email).toLowerCase().trim() }).select('+password');
+};
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
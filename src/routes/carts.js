@@ -2,286 +2,296 @@ const express = require('express');
 const router = express.Router();
 const Cart = require('../models/Cart.model');
 const Product = require('../models/Product.model');
-const mongoose = require('mongoose');
+const Order = require('../models/Order.model');
+const Coupon = require('../models/Coupon.model');
+const { requireCartOwner } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+const { parseCurrencyParam } = require('../utils/money');
+const { parseQuoteOptions, quoteCart } = require('../services/pricing.service');
+const { emitCartUpdate, notifyCartsOfStockChange, syncInBackground } = require('../services/cartSync.service');
+const reservationsConfig = require('../config/reservations');
+const {
+    cartParams,
+    cartProductParams,
+    cartQuery,
+    quoteQuery,
+    addProductBody,
+    removeProductQuery,
+    updateCartBody,
+    updateQuantityBody,
+    couponBody,
+    purchaseBody
+} = require('../schemas/carts.schema');
+
+// Enviar el carrito actualizado a todas sus sesiones abiertas. Con reservas,
+// avisar también a los carritos que comparten productos (su stock libre cambió).
+function syncCart(req, cartId, action, productIds = []) {
+    const io = req.app.get('io');
+    syncInBackground(emitCartUpdate(io, cartId, action));
+    if (reservationsConfig.enabled && productIds.length > 0) {
+        syncInBackground(notifyCartsOfStockChange(io, productIds, { exclude: cartId }));
+    }
+}
+
+// Buscar el carrito (la consulta puede traer populate) o lanzar 404
+async function findCartOrFail(query, cid) {
+    const cart = await query;
+    if (!cart) {
+        throw new NotFoundError(`Carrito con ID ${cid} no encontrado`, { code: 'CART_NOT_FOUND' });
+    }
+    return cart;
+}
+
+function ensureNotEmpty(cart) {
+    if (cart.products.length === 0) {
+        throw new ValidationError('El carrito está vacío', [], { code: 'CART_EMPTY' });
+    }
+}
 
 // POST /api/carts/ - Crear nuevo carrito
-router.post('/', async (req, res) => {
-    try {
-        const newCart = new Cart();
-        await newCart.save();
-
-        res.status(201).json({
-            status: 'success',
-            payload: newCart,
-            message: 'Carrito creado exitosamente'
-        });
-    } catch (error) {
-        console.error('Error creando carrito:', error);
-        res.status(500).json({
-            status: 'error',
-            message: 'Error interno del servidor al crear el carrito'
-        });
+router.post('/', asyncHandler(async (req, res) => {
+    const newCart = new Cart();
+    await newCart.save();
+
+    res.status(201).json({
+        status: 'success',
+        payload: newCart,
+        message: 'Carrito creado exitosamente'
+    });
+}));
+
+// GET /api/carts/:cid - Obtener carrito con populate de productos (opcional ?currency=EUR)
+router.get('/:cid', validate({ params: cartParams, query: cartQuery }), asyncHandler(async (req, res) => {
+    const { cid } = req.params;
+
+    // Moneda en la que se muestran los montos (?currency=EUR)
+    const errors = [];
+    const currency = parseCurrencyParam(req.query.currency, errors);
+    if (errors.length > 0) {
+        throw new ValidationError(errors[0], [], { code: 'INVALID_CURRENCY' });
     }
-});
-
-// GET /api/carts/:cid - Obtener carrito con populate de productos
-router.get('/:cid', async (req, res) => {
-    try {
-        const { cid } = req.params;
-
-        const cart = await Cart.findById(cid).populate('products.product');
-
-        if (!cart) {
-            return res.status(404).json({
-                status: 'error',
-                message: `Carrito con ID ${cid} no encontrado`
-            });
-        }
-
-        res.json({
-            status: 'success',
-            payload: cart,
-            message: cart.products.length > 0
-                ? 'Productos del carrito obtenidos exitosamente'
-                : 'El carrito está vacío'
-        });
-    } catch (error) {
-        console.error('Error obteniendo carrito:', error);
-
-        if (error.name === 'CastError') {
-            return res.status(400).json({
-                status: 'error',
-                message: 'ID de carrito inválido'
-            });
-        }
-
-        res.status(500).json({
-            status: 'error',
-            message: 'Error interno del servidor al obtener el carrito'
-        });
+
+    const cart = await findCartOrFail(Cart.findById(cid).populate('products.product').populate('coupon'), cid);
+    const { subtotal, discounts, total } = cart.getSummary({ currency });
+
+    res.json({
+        status: 'success',
+        payload: { ...cart.toJSON(), currency, subtotal, discounts, total },
+        message: cart.products.length > 0
+            ? 'Productos del carrito obtenidos exitosamente'
+            : 'El carrito está vacío'
+    });
+}));
+
+// GET /api/carts/:cid/quote - Cotización: subtotal, descuentos, impuestos, envío y total
+// (opcional ?region=AR-C&shippingMethod=standard&currency=EUR)
+router.get('/:cid/quote', validate({ params: cartParams, query: quoteQuery }), asyncHandler(async (req, res) => {
+    const { cid } = req.params;
+
+    const options = parseQuoteOptions(req.query);
+    if (options.errors.length > 0) {
+        throw new ValidationError('Parámetros de cotización inválidos', options.errors);
     }
-});
+
+    const cart = await findCartOrFail(Cart.findById(cid).populate('products.product').populate('coupon'), cid);
+    const quote = await quoteCart(cart, options);
+
+    res.json({
+        status: 'success',
+        payload: quote,
+        message: 'Cotización del carrito obtenida exitosamente'
+    });
+}));
 
 // POST /api/carts/:cid/product/:pid - Agregar producto al carrito
-router.post('/:cid/product/:pid', async (req, res) => {
-    try {
-        const { cid, pid } = req.params;
-        const quantity = parseInt(req.body.quantity) || 1;
-
-        // Validar quantity
-        if (quantity < 1 || !Number.isInteger(quantity)) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'La cantidad debe ser un número entero mayor a 0'
-            });
-        }
-
-        const cart = await Cart.findById(cid);
-
-        if (!cart) {
-            return res.status(404).json({
-                status: 'error',
-                message: `Carrito con ID ${cid} no encontrado`
-            });
-        }
-
-        // Usar método del modelo
-        await cart.addProduct(pid, quantity);
-
-        // Populate para devolver el carrito con productos completos
-        await cart.populate('products.product');
-
-        res.json({
-            status: 'success',
-            payload: cart,
-            message: 'Producto agregado al carrito exitosamente'
-        });
-    } catch (error) {
-        console.error('Error agregando producto al carrito:', error);
-
-        if (error.name === 'CastError') {
-            return res.status(400).json({
-                status: 'error',
-                message: 'ID de carrito o producto inválido'
-            });
-        }
-
-        res.status(400).json({
-            status: 'error',
-            message: error.message
-        });
-    }
-});
+router.post('/:cid/product/:pid', requireCartOwner, validate({ params: cartProductParams, body: addProductBody }), asyncHandler(async (req, res) => {
+    const { cid, pid } = req.params;
+    const { quantity, variant = null } = req.body;
+
+    const cart = await findCartOrFail(Cart.findById(cid), cid);
+
+    // Usar método del modelo (lanza 404 si el producto no existe y 409 si no hay stock)
+    await cart.addProduct(pid, quantity, variant);
+
+    // Populate para devolver el carrito con productos completos
+    await cart.populate('products.product');
+    syncCart(req, cid, 'add', [pid]);
+
+    res.json({
+        status: 'success',
+        payload: cart,
+        message: 'Producto agregado al carrito exitosamente'
+    });
+}));
 
 // DELETE /api/carts/:cid/products/:pid - Eliminar producto del carrito
-router.delete('/:cid/products/:pid', async (req, res) => {
-    try {
-        const { cid, pid } = req.params;
-
-        const cart = await Cart.findById(cid);
-
-        if (!cart) {
-            return res.status(404).json({
-                status: 'error',
-                message: `Carrito con ID ${cid} no encontrado`
-            });
-        }
-
-        await cart.removeProduct(pid);
-        await cart.populate('products.product');
-
-        res.json({
-            status: 'success',
-            payload: cart,
-            message: 'Producto eliminado del carrito exitosamente'
-        });
-    } catch (error) {
-        console.error('Error eliminando producto del carrito:', error);
-
-        if (error.name === 'CastError') {
-            return res.status(400).json({
-                status: 'error',
-                message: 'ID de carrito o producto inválido'
-            });
-        }
-
-        res.status(400).json({
-            status: 'error',
-            message: error.message
-        });
-    }
-});
+router.delete('/:cid/products/:pid', requireCartOwner, validate({ params: cartProductParams, query: removeProductQuery }), asyncHandler(async (req, res) => {
+    const { cid, pid } = req.params;
+
+    const cart = await findCartOrFail(Cart.findById(cid), cid);
+
+    // La variante es opcional: sin ella se quitan todas las líneas del producto
+    await cart.removeProduct(pid, req.query.variant || null);
+    await cart.populate('products.product');
+    syncCart(req, cid, 'remove', [pid]);
+
+    res.json({
+        status: 'success',
+        payload: cart,
+        message: 'Producto eliminado del carrito exitosamente'
+    });
+}));
 
 // PUT /api/carts/:cid - Actualizar carrito completo
-router.put('/:cid', async (req, res) => {
-    try {
-        const { cid } = req.params;
-        const { products } = req.body;
-
-        if (!Array.isArray(products)) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'El campo products debe ser un array'
-            });
-        }
-
-        const cart = await Cart.findById(cid);
-
-        if (!cart) {
-            return res.status(404).json({
-                status: 'error',
-                message: `Carrito con ID ${cid} no encontrado`
-            });
-        }
-
-        await cart.updateCart(products);
-        await cart.populate('products.product');
-
-        res.json({
-            status: 'success',
-            payload: cart,
-            message: 'Carrito actualizado exitosamente'
-        });
-    } catch (error) {
-        console.error('Error actualizando carrito:', error);
-
-        if (error.name === 'CastError') {
-            return res.status(400).json({
-                status: 'error',
-                message: 'ID de carrito inválido'
-            });
-        }
-
-        res.status(400).json({
-            status: 'error',
-            message: error.message
-        });
-    }
-});
+router.put('/:cid', requireCartOwner, validate({ params: cartParams, body: updateCartBody }), asyncHandler(async (req, res) => {
+    const { cid } = req.params;
+    const { products } = req.body;
+
+    const cart = await findCartOrFail(Cart.findById(cid), cid);
+
+    const previousProducts = cart.products.map(item => item.product);
+    await cart.updateCart(products);
+    await cart.populate('products.product');
+    syncCart(req, cid, 'update', [...previousProducts, ...products.map(item => item.product)]);
+
+    res.json({
+        status: 'success',
+        payload: cart,
+        message: 'Carrito actualizado exitosamente'
+    });
+}));
 
 // PUT /api/carts/:cid/products/:pid - Actualizar cantidad de producto
-router.put('/:cid/products/:pid', async (req, res) => {
-    try {
-        const { cid, pid } = req.params;
-        const { quantity } = req.body;
-
-        if (quantity === undefined || !Number.isInteger(quantity) || quantity < 1) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'La cantidad debe ser un número entero mayor a 0'
-            });
-        }
-
-        const cart = await Cart.findById(cid);
-
-        if (!cart) {
-            return res.status(404).json({
-                status: 'error',
-                message: `Carrito con ID ${cid} no encontrado`
-            });
-        }
-
-        await cart.updateProductQuantity(pid, quantity);
-        await cart.populate('products.product');
-
-        res.json({
-            status: 'success',
-            payload: cart,
-            message: 'Cantidad de producto actualizada exitosamente'
-        });
-    } catch (error) {
-        console.error('Error actualizando cantidad:', error);
-
-        if (error.name === 'CastError') {
-            return res.status(400).json({
-                status: 'error',
-                message: 'ID de carrito o producto inválido'
-            });
-        }
-
-        res.status(400).json({
-            status: 'error',
-            message: error.message
-        });
-    }
-});
+router.put('/:cid/products/:pid', requireCartOwner, validate({ params: cartProductParams, body: updateQuantityBody }), asyncHandler(async (req, res) => {
+    const { cid, pid } = req.params;
+    const { quantity, variant } = req.body;
+
+    const cart = await findCartOrFail(Cart.findById(cid), cid);
+
+    await cart.updateProductQuantity(pid, quantity, variant || null);
+    await cart.populate('products.product');
+    syncCart(req, cid, 'update', [pid]);
+
+    res.json({
+        status: 'success',
+        payload: cart,
+        message: 'Cantidad de producto actualizada exitosamente'
+    });
+}));
 
 // DELETE /api/carts/:cid - Vaciar carrito
-router.delete('/:cid', async (req, res) => {
-    try {
-        const { cid } = req.params;
+router.delete('/:cid', requireCartOwner, validate({ params: cartParams }), asyncHandler(async (req, res) => {
+    const { cid } = req.params;
 
-        const cart = await Cart.findById(cid);
+    const cart = await findCartOrFail(Cart.findById(cid), cid);
 
-        if (!cart) {
-            return res.status(404).json({
-                status: 'error',
-                message: `Carrito con ID ${cid} no encontrado`
-            });
-        }
+    const previousProducts = cart.products.map(item => item.product);
+    await cart.clearCart();
+    syncCart(req, cid, 'clear', previousProducts);
 
-        await cart.clearCart();
+    res.json({
+        status: 'success',
+        payload: cart,
+        message: 'Todos los productos fueron eliminados del carrito'
+    });
+}));
 
-        res.json({
-            status: 'success',
-            payload: cart,
-            message: 'Todos los productos fueron eliminados del carrito'
-        });
-    } catch (error) {
-        console.error('Error vaciando carrito:', error);
-
-        if (error.name === 'CastError') {
-            return res.status(400).json({
-                status: 'error',
-                message: 'ID de carrito inválido'
-            });
-        }
-
-        res.status(500).json({
-            status: 'error',
-            message: 'Error interno del servidor al vaciar el carrito'
+// POST /api/carts/:cid/coupon - Aplicar un cupón al carrito
+router.post('/:cid/coupon', requireCartOwner, validate({ params: cartParams, body: couponBody }), asyncHandler(async (req, res) => {
+    const { cid } = req.params;
+    const { code } = req.body;
+
+    const cart = await findCartOrFail(Cart.findById(cid).populate('products.product'), cid);
+    ensureNotEmpty(cart);
+
+    const coupon = await Coupon.findByCode(code);
+
+    if (!coupon) {
+        throw new NotFoundError(`Cupón ${code.toUpperCase()} no encontrado`, { code: 'COUPON_NOT_FOUND' });
+    }
+
+    // Verificar vigencia, compra mínima, productos alcanzados y límite por usuario
+    cart.coupon = coupon;
+    const { couponError } = cart.getSummary();
+    const rejection = couponError || await coupon.checkUserLimit(req.user);
+
+    if (rejection) {
+        throw new ValidationError(rejection, [], { code: 'COUPON_NOT_APPLICABLE' });
+    }
+
+    await cart.save();
+    syncCart(req, cid, 'coupon');
+
+    res.json({
+        status: 'success',
+        payload: cart,
+        message: `Cupón ${coupon.code} aplicado exitosamente`
+    });
+}));
+
+// DELETE /api/carts/:cid/coupon - Quitar el cupón del carrito
+router.delete('/:cid/coupon', requireCartOwner, validate({ params: cartParams }), asyncHandler(async (req, res) => {
+    const { cid } = req.params;
+
+    const cart = await findCartOrFail(Cart.findById(cid), cid);
+
+    if (!cart.coupon) {
+        throw new NotFoundError('El carrito no tiene un cupón aplicado', { code: 'COUPON_NOT_APPLIED' });
+    }
+
+    cart.coupon = null;
+    await cart.save();
+    await cart.populate('products.product');
+    syncCart(req, cid, 'coupon');
+
+    res.json({
+        status: 'success',
+        payload: cart,
+        message: 'Cupón quitado del carrito'
+    });
+}));
+
+// POST /api/carts/:cid/purchase - Finalizar compra del carrito
+router.post('/:cid/purchase', requireCartOwner, validate({ params: cartParams, body: purchaseBody }), asyncHandler(async (req, res) => {
+    const { cid } = req.params;
+
+    // Región y método de envío para impuestos y envío (la orden se cobra en la moneda base)
+    const { region, shippingMethod, errors } = parseQuoteOptions(req.body);
+    if (errors.length > 0) {
+        throw new ValidationError('Datos de compra inválidos', errors);
+    }
+
+    const cart = await findCartOrFail(Cart.findById(cid), cid);
+    ensureNotEmpty(cart);
+
+    const { order, unprocessed, couponError } = await Order.createFromCart(cart, req.user, { region, shippingMethod });
+
+    if (!order) {
+        throw new ConflictError('Ningún producto del carrito pudo ser procesado', {
+            code: 'NOTHING_PURCHASED',
+            details: { unprocessed }
         });
     }
-});
 
-module.exports = router;
\ No newline at end of file
+    // El carrito quedó solo con lo no procesado y el stock comprado bajó
+    // para los demás carritos
+    const io = req.app.get('io');
+    syncInBackground(emitCartUpdate(io, cid, 'purchase'));
+    syncInBackground(notifyCartsOfStockChange(io, order.items.map(item => item.product), { exclude: cid }));
+
+    res.status(201).json({
+        status: 'success',
+        payload: {
+            order,
+            unprocessed,
+            couponError
+        },
+        message: unprocessed.length > 0
+            ? 'Compra realizada parcialmente. Algunos productos quedaron en el carrito'
+            : 'Compra realizada exitosamente'
+    });
+}));
+
+module.exports = router;
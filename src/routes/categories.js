@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const Category = require('../models/Category.model');
+const Product = require('../models/Product.model');
+const { requireRole } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { OBJECT_ID_REGEX } = require('../utils/validation');
+const { listCategoriesQuery } = require('../schemas/categories.schema');
+
+// Campos que se pueden enviar al crear o actualizar una categoría
+const CATEGORY_FIELDS = ['name', 'slug', 'parent', 'description'];
+
+function pickCategoryFields(body = {}) {
+    const data = {};
+    CATEGORY_FIELDS.forEach(field => {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    });
+    // Permitir quitar el padre enviando null o string vacío
+    if (data.parent === '') {
+        data.parent = null;
+    }
+    return data;
+}
+
+// Buscar una categoría por ID o lanzar 404
+async function findCategoryOrFail(catid) {
+    const category = await Category.findById(catid);
+    if (!category) {
+        throw new NotFoundError(`Categoría con ID ${catid} no encontrada`, { code: 'CATEGORY_NOT_FOUND' });
+    }
+    return category;
+}
+
+// GET /api/categories/ - Listar categorías (opcional: ?parent=<id>|root)
+router.get('/', validate({ query: listCategoriesQuery }), asyncHandler(async (req, res) => {
+    const { parent } = req.query;
+    const filter = {};
+    if (parent === 'root') {
+        filter.parent = null;
+    } else if (parent) {
+        if (!OBJECT_ID_REGEX.test(parent)) {
+            throw new ValidationError('Datos de la solicitud inválidos', ['parent debe ser un ID válido o root']);
+        }
+        filter.parent = parent;
+    }
+
+    const categories = await Category.find(filter).sort({ name: 1 }).lean();
+
+    res.json({
+        status: 'success',
+        payload: categories,
+        message: 'Categorías obtenidas exitosamente'
+    });
+}));
+
+// GET /api/categories/:catid - Obtener categoría por ID o slug con sus subcategorías
+router.get('/:catid', asyncHandler(async (req, res) => {
+    const { catid } = req.params;
+
+    const category = await Category.resolve(catid).populate('parent', 'name slug').lean();
+
+    if (!category) {
+        throw new NotFoundError(`Categoría ${catid} no encontrada`, { code: 'CATEGORY_NOT_FOUND' });
+    }
+
+    const children = await Category.find({ parent: category._id }).sort({ name: 1 }).lean();
+
+    res.json({
+        status: 'success',
+        payload: { ...category, children },
+        message: 'Categoría obtenida exitosamente'
+    });
+}));
+
+// POST /api/categories/ - Crear categoría
+// (validaciones del modelo, padre inválido y slug repetido los traduce el middleware de errores)
+router.post('/', requireRole('admin'), asyncHandler(async (req, res) => {
+    const category = new Category(pickCategoryFields(req.body));
+    await category.save();
+
+    res.status(201).json({
+        status: 'success',
+        payload: category,
+        message: 'Categoría creada exitosamente'
+    });
+}));
+
+// PUT /api/categories/:catid - Actualizar categoría
+router.put('/:catid', requireRole('admin'), asyncHandler(async (req, res) => {
+    const category = await findCategoryOrFail(req.params.catid);
+
+    category.set(pickCategoryFields(req.body));
+    await category.save();
+
+    res.json({
+        status: 'success',
+        payload: category,
+        message: 'Categoría actualizada exitosamente'
+    });
+}));
+
+// DELETE /api/categories/:catid - Eliminar categoría (solo si no tiene productos ni subcategorías)
+router.delete('/:catid', requireRole('admin'), asyncHandler(async (req, res) => {
+    const category = await findCategoryOrFail(req.params.catid);
+
+    const [productsCount, childrenCount] = await Promise.all([
+        Product.countDocuments({ category: category._id }),
+        Category.countDocuments({ parent: category._id })
+    ]);
+
+    if (productsCount > 0 || childrenCount > 0) {
+        throw new ConflictError(
+            `La categoría tiene ${productsCount} producto(s) y ${childrenCount} subcategoría(s). Muévelos antes de eliminarla`,
+            { code: 'CATEGORY_IN_USE' }
+        );
+    }
+
+    await category.deleteOne();
+
+    res.json({
+        status: 'success',
+        payload: category,
+        message: 'Categoría eliminada exitosamente'
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const Coupon = require('../models/Coupon.model');
+const Category = require('../models/Category.model');
+const { requireRole } = require('../middlewares/auth');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+// Toda la gestión de cupones es solo para administradores
+router.use(requireRole('admin'));
+
+// Campos que se pueden enviar al crear o actualizar un cupón
+const COUPON_FIELDS = [
+    'code', 'description', 'type', 'value', 'currency', 'freeQuantity', 'categories',
+    'minCartTotal', 'usageLimit', 'usageLimitPerUser', 'startsAt', 'expiresAt', 'active'
+];
+
+async function pickCouponFields(body = {}) {
+    const data = {};
+    COUPON_FIELDS.forEach(field => {
+        if (body[field] !== undefined) {
+            data[field] = body[field] === '' ? null : body[field];
+        }
+    });
+
+    // Las categorías se pueden indicar por ID o slug
+    if (data.categories !== undefined) {
+        const values = Array.isArray(data.categories) ? data.categories : [data.categories].filter(Boolean);
+        const found = await Promise.all(values.map(value => Category.resolve(value)));
+        const missing = values.filter((value, index) => !found[index]);
+        if (missing.length > 0) {
+            throw new ValidationError(`Categorías no encontradas: ${missing.join(', ')}`, [], { code: 'CATEGORY_NOT_FOUND' });
+        }
+        data.categories = found.map(category => category._id);
+    }
+    return data;
+}
+
+function couponNotFound(couponId) {
+    return new NotFoundError(`Cupón con ID ${couponId} no encontrado`, { code: 'COUPON_NOT_FOUND' });
+}
+
+// GET /api/coupons/ - Listar cupones (opcional: ?active=true|false)
+router.get('/', asyncHandler(async (req, res) => {
+    const filter = {};
+    if (req.query.active === 'true' || req.query.active === 'false') {
+        filter.active = req.query.active === 'true';
+    }
+
+    const coupons = await Coupon.find(filter)
+        .sort({ createdAt: -1 })
+        .populate('categories', 'name slug')
+        .lean();
+
+    res.json({
+        status: 'success',
+        payload: coupons,
+        message: 'Cupones obtenidos exitosamente'
+    });
+}));
+
+// GET /api/coupons/:couponId - Obtener cupón por ID
+router.get('/:couponId', asyncHandler(async (req, res) => {
+    const { couponId } = req.params;
+
+    const coupon = await Coupon.findById(couponId).populate('categories', 'name slug');
+
+    if (!coupon) {
+        throw couponNotFound(couponId);
+    }
+
+    res.json({
+        status: 'success',
+        payload: coupon,
+        message: 'Cupón obtenido exitosamente'
+    });
+}));
+
+// POST /api/coupons/ - Crear cupón
+// (validaciones del modelo y código repetido los traduce el middleware de errores)
+router.post('/', asyncHandler(async (req, res) => {
+    const coupon = new Coupon(await pickCouponFields(req.body));
+    await coupon.save();
+
+    res.status(201).json({
+        status: 'success',
+        payload: coupon,
+        message: 'Cupón creado exitosamente'
+    });
+}));
+
+// PUT /api/coupons/:couponId - Actualizar cupón
+router.put('/:couponId', asyncHandler(async (req, res) => {
+    const { couponId } = req.params;
+
+    const coupon = await Coupon.findById(couponId);
+
+    if (!coupon) {
+        throw couponNotFound(couponId);
+    }
+
+    coupon.set(await pickCouponFields(req.body));
+    await coupon.save();
+
+    res.json({
+        status: 'success',
+        payload: coupon,
+        message: 'Cupón actualizado exitosamente'
+    });
+}));
+
+// DELETE /api/coupons/:couponId - Eliminar cupón
+router.delete('/:couponId', asyncHandler(async (req, res) => {
+    const { couponId } = req.params;
+
+    const coupon = await Coupon.findByIdAndDelete(couponId);
+
+    if (!coupon) {
+        throw couponNotFound(couponId);
+    }
+
+    res.json({
+        status: 'success',
+        payload: coupon,
+        message: 'Cupón eliminado exitosamente'
+    });
+}));
+
+module.exports = router;
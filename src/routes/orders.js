@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order.model');
+const { requireAuth } = require('../middlewares/auth');
+const { listOrders, canAccessOrder, canChangeOrderStatus } = require('../services/orders.service');
+const { notifyCartsOfStockChange, syncInBackground } = require('../services/cartSync.service');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { ForbiddenError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// Todas las rutas de órdenes requieren sesión
+router.use(requireAuth);
+
+// Buscar una orden visible para el usuario o lanzar 404 (las ajenas se
+// responden igual que las inexistentes)
+async function findOrderOrFail(oid, user) {
+    const order = await Order.findById(oid);
+    if (!order || !canAccessOrder(user, order)) {
+        throw new NotFoundError(`Orden con ID ${oid} no encontrada`, { code: 'ORDER_NOT_FOUND' });
+    }
+    return order;
+}
+
+// GET /api/orders/ - Listar órdenes (el admin ve todas, el resto solo las propias)
+router.get('/', asyncHandler(async (req, res) => {
+    const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+    const result = await listOrders(req.query, { user: req.user, basePath: baseUrl });
+
+    if (result.errors.length > 0) {
+        throw new ValidationError('Parámetros de búsqueda inválidos', result.errors);
+    }
+
+    res.json({
+        status: 'success',
+        payload: result.payload,
+        totalPages: result.totalPages,
+        prevPage: result.prevPage,
+        nextPage: result.nextPage,
+        page: result.page,
+        hasPrevPage: result.hasPrevPage,
+        hasNextPage: result.hasNextPage,
+        prevLink: result.prevLink,
+        nextLink: result.nextLink,
+        totalDocs: result.totalDocs
+    });
+}));
+
+// GET /api/orders/:oid - Obtener una orden por ID
+router.get('/:oid', asyncHandler(async (req, res) => {
+    const order = await findOrderOrFail(req.params.oid, req.user);
+
+    res.json({
+        status: 'success',
+        payload: order,
+        message: 'Orden obtenida exitosamente'
+    });
+}));
+
+// PATCH /api/orders/:oid/status - Cambiar el estado de una orden
+// (una transición no permitida lanza ConflictError con INVALID_ORDER_TRANSITION)
+router.patch('/:oid/status', asyncHandler(async (req, res) => {
+    const { oid } = req.params;
+    const { status, note } = req.body;
+
+    if (!status) {
+        throw new ValidationError('El campo status es requerido');
+    }
+
+    if (!Order.STATUSES.includes(status)) {
+        throw new ValidationError(
+            `Estado de orden inválido: ${status}. Valores permitidos: ${Order.STATUSES.join(', ')}`,
+            [],
+            { code: 'INVALID_ORDER_STATUS' }
+        );
+    }
+
+    const order = await findOrderOrFail(oid, req.user);
+
+    if (!canChangeOrderStatus(req.user, order, status)) {
+        throw new ForbiddenError('Solo puedes cancelar tus órdenes mientras están pendientes');
+    }
+
+    const { failed } = await order.changeStatus(status, { user: req.user, note });
+
+    // Al cancelar vuelve stock: actualizar los avisos de los carritos de los
+    // productos cuyo stock sí se devolvió
+    if (status === 'cancelled') {
+        const lineKey = item => `${item.product}:${item.variant || ''}`;
+        const failedKeys = failed.map(lineKey);
+        const restored = order.items.filter(item => !failedKeys.includes(lineKey(item)));
+        syncInBackground(notifyCartsOfStockChange(req.app.get('io'), restored.map(item => item.product)));
+    }
+
+    res.json({
+        status: 'success',
+        payload: order,
+        ...(failed.length > 0 ? { failed } : {}),
+        message: failed.length > 0
+            ? `Orden ${order.code} cancelada, pero no se pudo devolver el stock de: ${failed.map(item => item.code).join(', ')}`
+            : `Orden ${order.code} actualizada a ${order.statusLabel.toLowerCase()}`
+    });
+}));
+
+module.exports = router;
@@ -1,307 +1,346 @@
 const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product.model');
+const { requireRole } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { uploadProductImages, uploadImportFile } = require('../middlewares/upload');
+const { listProducts, findProducts, getProductFacets, resolveCategoryInput, updateProduct, deleteProduct } = require('../services/products.service');
+const { detectFormat, parseImportInput, importProducts, streamProducts, bulkUpdateProducts } = require('../services/catalog.service');
+const { saveProductImage, removeProductImage, removeProductImages } = require('../services/images.service');
+const { notifyCartsOfStockChange, syncInBackground } = require('../services/cartSync.service');
+const { emitProductCreated, emitProductUpdated, emitProductDeleted, emitProductsChanged, publishInBackground } = require('../services/productEvents.service');
+const storageConfig = require('../config/storage');
+const catalogConfig = require('../config/catalog');
+const {
+    productParams,
+    productImageParams,
+    listQuery,
+    facetsQuery,
+    exportQuery,
+    importQuery,
+    productBody,
+    bulkBody
+} = require('../schemas/products.schema');
+
+function productNotFound(pid) {
+    return new NotFoundError(`Producto con ID ${pid} no encontrado`, { code: 'PRODUCT_NOT_FOUND' });
+}
+
+// Buscar el producto o lanzar 404
+async function findProductOrFail(pid) {
+    const product = await Product.findById(pid);
+    if (!product) {
+        throw productNotFound(pid);
+    }
+    return product;
+}
 
 // GET /api/products/ - Listar productos con paginación profesional
-router.get('/', async (req, res) => {
-    try {
-        // Parámetros de query con valores por defecto
-        const limit = Math.max(1, parseInt(req.query.limit) || 10);
-        const page = Math.max(1, parseInt(req.query.page) || 1);
-        const sort = req.query.sort;
-        const query = req.query.query;
-        const category = req.query.category;
-        const status = req.query.status;
-
-        // Construir filtro de búsqueda
-        const filter = {};
-
-        // Filtro por categoría (prioridad a category si existe)
-        if (category) {
-            filter.category = category.trim();
-        }
+router.get('/', validate({ query: listQuery }), asyncHandler(async (req, res) => {
+    const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+    const result = await listProducts(req.query, { basePath: baseUrl });
 
-        // Filtro por disponibilidad (prioridad a status si existe)
-        if (status !== undefined) {
-            filter.status = status === 'true' || status === '1' || status === 'yes';
-        }
+    if (result.errors.length > 0) {
+        throw new ValidationError('Parámetros de búsqueda inválidos', result.errors);
+    }
 
-        // Si hay query pero no category ni status, usar query como filtro
-        // query puede ser una categoría o disponibilidad (true/false)
-        if (query && !category && status === undefined) {
-            const queryLower = query.trim().toLowerCase();
-            
-            // Verificar si es un valor de disponibilidad
-            if (queryLower === 'true' || queryLower === 'false' || queryLower === 'disponible' || queryLower === 'no disponible') {
-                filter.status = queryLower === 'true' || queryLower === 'disponible';
-            } else {
-                // Si no, asumir que es una categoría
-                filter.category = query.trim();
-            }
-        }
+    // Respuesta exitosa con estructura requerida
+    res.json({
+        status: 'success',
+        payload: result.payload,
+        totalPages: result.totalPages,
+        prevPage: result.prevPage,
+        nextPage: result.nextPage,
+        page: result.page,
+        hasPrevPage: result.hasPrevPage,
+        hasNextPage: result.hasNextPage,
+        prevLink: result.prevLink,
+        nextLink: result.nextLink,
+        totalDocs: result.totalDocs
+    });
+}));
+
+// GET /api/products/facets - Conteos por categoría, disponibilidad y rango de precios
+router.get('/facets', validate({ query: facetsQuery }), asyncHandler(async (req, res) => {
+    const facets = await getProductFacets(req.query);
+
+    if (facets.errors.length > 0) {
+        throw new ValidationError('Parámetros de búsqueda inválidos', facets.errors);
+    }
 
-        // Opciones de paginación
-        const options = {
-            page,
-            limit,
-            lean: true, // Retorna objetos planos JS (más rápido)
-            customLabels: {
-                docs: 'payload',
-                totalDocs: 'totalDocs',
-                limit: 'limit',
-                page: 'page',
-                totalPages: 'totalPages',
-                pagingCounter: 'pagingCounter',
-                hasPrevPage: 'hasPrevPage',
-                hasNextPage: 'hasNextPage',
-                prevPage: 'prevPage',
-                nextPage: 'nextPage'
-            }
-        };
-
-        // Ordenamiento por precio
-        // Solo ordenar si se especifica sort (asc/desc)
-        if (sort === 'asc') {
-            options.sort = { price: 1 };
-        } else if (sort === 'desc') {
-            options.sort = { price: -1 };
-        }
-        // Si no hay sort, no se ordena (según consignas)
-
-        // Ejecutar paginación
-        const result = await Product.paginate(filter, options);
-
-        // Construir query string para links de navegación
-        const buildQueryString = (pageNum) => {
-            const params = new URLSearchParams();
-            params.append('page', pageNum);
-            if (limit !== 10) params.append('limit', limit);
-            if (sort) params.append('sort', sort);
-            if (query) params.append('query', query);
-            if (category) params.append('category', category);
-            if (status !== undefined) params.append('status', status);
-            return params.toString();
-        };
-
-        // Construir links de navegación
-        const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
-        const prevLink = result.hasPrevPage ? `${baseUrl}?${buildQueryString(result.prevPage)}` : null;
-        const nextLink = result.hasNextPage ? `${baseUrl}?${buildQueryString(result.nextPage)}` : null;
-
-        // Respuesta exitosa con estructura requerida
-        res.json({
-            status: 'success',
-            payload: result.payload,
-            totalPages: result.totalPages,
-            prevPage: result.prevPage,
-            nextPage: result.nextPage,
-            page: result.page,
-            hasPrevPage: result.hasPrevPage,
-            hasNextPage: result.hasNextPage,
-            prevLink,
-            nextLink,
-            totalDocs: result.totalDocs
-        });
-    } catch (error) {
-        console.error('Error obteniendo productos:', error);
-        res.status(500).json({
-            status: 'error',
-            message: 'Error interno del servidor al obtener productos',
-            error: process.env.NODE_ENV === 'development' ? error.message : undefined
-        });
+    res.json({
+        status: 'success',
+        payload: {
+            total: facets.total,
+            categories: facets.categories,
+            availability: facets.availability,
+            currency: facets.currency,
+            priceBuckets: facets.priceBuckets
+        },
+        message: 'Facetas obtenidas exitosamente'
+    });
+}));
+
+// GET /api/products/export?format=csv|json - Exportar el catálogo (mismos filtros que el listado)
+// (sin paginación: el esquema descarta page y limit y se exporta todo lo filtrado).
+// Si falla con el archivo ya empezado, el middleware de errores corta la respuesta.
+router.get('/export', requireRole('admin'), validate({ query: exportQuery }), asyncHandler(async (req, res) => {
+    const { format, ...filters } = req.query;
+    const result = await findProducts(filters);
+
+    if (result.errors.length > 0) {
+        throw new ValidationError('Parámetros de búsqueda inválidos', result.errors);
     }
-});
 
-// GET /api/products/:pid - Obtener producto por ID
-router.get('/:pid', async (req, res) => {
-    try {
-        const { pid } = req.params;
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+        'Content-Disposition': `attachment; filename="productos-${date}.${format}"`
+    });
+    // Si el cliente se desconectó no hay nada que cerrar
+    if (await streamProducts(result.query, format, res)) {
+        res.end();
+    }
+}));
+
+// POST /api/products/import?dryRun=true - Importar productos desde CSV o JSON.
+// Acepta un archivo (multipart, campo "file"), un body text/csv o un body JSON;
+// cada fila se valida con las reglas del modelo en importProducts.
+router.post('/import',
+    requireRole('admin'),
+    validate({ query: importQuery }),
+    uploadImportFile,
+    express.json({ limit: catalogConfig.maxImportSize }),
+    express.text({ type: ['text/csv', 'application/csv'], limit: catalogConfig.maxImportSize }),
+    asyncHandler(async (req, res) => {
+        const io = req.app.get('io');
+        const { dryRun } = req.query;
+
+        let input;
+        if (req.file) {
+            const format = detectFormat(req.file.mimetype, req.file.originalname);
+            input = { text: req.file.buffer.toString('utf8'), format };
+        } else if (typeof req.body === 'string') {
+            input = { text: req.body, format: 'csv' };
+        } else if (Array.isArray(req.body) || (req.body && Array.isArray(req.body.products))) {
+            input = { items: Array.isArray(req.body) ? req.body : req.body.products };
+        } else {
+            throw new ValidationError(
+                'Enviá un archivo CSV o JSON en el campo "file", un body text/csv o un array de productos en JSON',
+                [],
+                { code: 'INVALID_IMPORT_FILE' }
+            );
+        }
 
-        const product = await Product.findById(pid);
+        const rows = parseImportInput(input);
+        const report = await importProducts(rows, { dryRun });
 
-        if (!product) {
-            return res.status(404).json({
-                status: 'error',
-                message: `Producto con ID ${pid} no encontrado`
+        if (!dryRun && report.created + report.updated > 0) {
+            // Un solo evento para todo el lote en lugar de uno por producto
+            emitProductsChanged(io, {
+                reason: 'import',
+                created: report.created,
+                updated: report.updated
             });
+            // Avisar a los carritos con productos actualizados (precio, stock o estado)
+            const updatedIds = report.rows
+                .filter(row => row.status === 'updated')
+                .map(row => row.productId);
+            syncInBackground(notifyCartsOfStockChange(io, updatedIds));
         }
 
+        const message = dryRun
+            ? `Simulación: se crearían ${report.created}, se actualizarían ${report.updated} y fallarían ${report.failed} producto(s)`
+            : `Importación finalizada: ${report.created} creado(s), ${report.updated} actualizado(s) y ${report.failed} con errores`;
+
         res.json({
             status: 'success',
-            payload: product,
-            message: 'Producto obtenido exitosamente'
+            payload: report,
+            message
         });
-    } catch (error) {
-        console.error('Error obteniendo producto:', error);
+    })
+);
 
-        if (error.name === 'CastError') {
-            return res.status(400).json({
-                status: 'error',
-                message: 'ID de producto inválido'
-            });
-        }
+// PATCH /api/products/bulk - Cambiar estado, precio, stock o categoría de muchos productos
+router.patch('/bulk', requireRole('admin'), validate({ body: bulkBody }), asyncHandler(async (req, res) => {
+    const io = req.app.get('io');
+    const result = await bulkUpdateProducts(req.body);
+
+    if (result.errors.length > 0) {
+        throw new ValidationError('Operación masiva inválida', result.errors);
+    }
 
-        res.status(500).json({
-            status: 'error',
-            message: 'Error interno del servidor al obtener el producto'
+    const { summary, updatedIds } = result;
+    if (summary.modified > 0) {
+        // Un solo evento para toda la operación en lugar de uno por producto
+        emitProductsChanged(io, {
+            reason: 'bulk',
+            operation: summary.operation.type,
+            updated: summary.modified
         });
+        syncInBackground(notifyCartsOfStockChange(io, updatedIds));
     }
-});
 
-// POST /api/products/ - Crear nuevo producto
-router.post('/', async (req, res) => {
-    try {
-        const io = req.app.get('io');
+    res.json({
+        status: 'success',
+        payload: summary,
+        message: `${summary.modified} producto(s) actualizado(s) de ${summary.matched} encontrado(s)`
+    });
+}));
 
-        const newProduct = new Product(req.body);
-        await newProduct.save();
+// GET /api/products/:pid - Obtener producto por ID
+router.get('/:pid', validate({ params: productParams }), asyncHandler(async (req, res) => {
+    const { pid } = req.params;
 
-        // Emitir actualización por WebSocket
-        const products = await Product.find().sort({ createdAt: -1 }).lean();
-        io.emit('products', products);
+    const product = await Product.findById(pid).populate('category', 'name slug');
 
-        res.status(201).json({
-            status: 'success',
-            payload: newProduct,
-            message: 'Producto creado exitosamente'
-        });
-    } catch (error) {
-        console.error('Error creando producto:', error);
-
-        // Errores de validación de Mongoose
-        if (error.name === 'ValidationError') {
-            const errors = Object.values(error.errors).map(err => err.message);
-            return res.status(400).json({
-                status: 'error',
-                message: 'Datos de producto inválidos',
-                errors
-            });
-        }
+    if (!product) {
+        throw productNotFound(pid);
+    }
 
-        // Error de código duplicado
-        if (error.code === 11000) {
-            return res.status(400).json({
-                status: 'error',
-                message: `Ya existe un producto con el código ${req.body.code}`
-            });
-        }
+    res.json({
+        status: 'success',
+        payload: product,
+        message: 'Producto obtenido exitosamente'
+    });
+}));
 
-        // Otros errores
-        res.status(500).json({
-            status: 'error',
-            message: error.message || 'Error interno del servidor al crear el producto'
-        });
-    }
-});
+// POST /api/products/ - Crear nuevo producto
+// (los errores de validación del modelo y el código duplicado los traduce el middleware de errores)
+router.post('/', requireRole('admin'), validate({ body: productBody }), asyncHandler(async (req, res) => {
+    const io = req.app.get('io');
+
+    await resolveCategoryInput(req.body);
+    const newProduct = new Product(req.body);
+    await newProduct.save();
+
+    // Emitir solo el producto nuevo por WebSocket
+    publishInBackground(emitProductCreated(io, newProduct));
+
+    res.status(201).json({
+        status: 'success',
+        payload: newProduct,
+        message: 'Producto creado exitosamente'
+    });
+}));
 
 // PUT /api/products/:pid - Actualizar producto
-router.put('/:pid', async (req, res) => {
-    try {
-        const { pid } = req.params;
-        const io = req.app.get('io');
+router.put('/:pid', requireRole('admin'), validate({ params: productParams, body: productBody }), asyncHandler(async (req, res) => {
+    const { pid } = req.params;
+    const io = req.app.get('io');
 
-        // No permitir actualizar el ID ni timestamps
-        delete req.body._id;
-        delete req.body.createdAt;
-        delete req.body.updatedAt;
-
-        const updatedProduct = await Product.findByIdAndUpdate(
-            pid,
-            req.body,
-            {
-                new: true, // Retorna el documento actualizado
-                runValidators: true // Ejecuta validaciones del esquema
-            }
-        );
+    // No se actualizan el ID, timestamps ni campos calculados
+    const { product: updatedProduct, previousCategory } = await updateProduct(pid, req.body);
 
-        if (!updatedProduct) {
-            return res.status(404).json({
-                status: 'error',
-                message: `Producto con ID ${pid} no encontrado`
-            });
-        }
+    if (!updatedProduct) {
+        throw productNotFound(pid);
+    }
 
-        // Emitir actualización por WebSocket
-        const products = await Product.find().sort({ createdAt: -1 }).lean();
-        io.emit('products', products);
+    // Emitir solo el producto actualizado por WebSocket
+    publishInBackground(emitProductUpdated(io, updatedProduct, previousCategory));
+    // Avisar a los carritos con este producto (stock, precio o disponibilidad)
+    syncInBackground(notifyCartsOfStockChange(io, [updatedProduct]));
 
-        res.json({
-            status: 'success',
-            payload: updatedProduct,
-            message: 'Producto actualizado exitosamente'
-        });
-    } catch (error) {
-        console.error('Error actualizando producto:', error);
+    res.json({
+        status: 'success',
+        payload: updatedProduct,
+        message: 'Producto actualizado exitosamente'
+    });
+}));
 
-        if (error.name === 'CastError') {
-            return res.status(400).json({
-                status: 'error',
-                message: 'ID de producto inválido'
-            });
-        }
+// DELETE /api/products/:pid - Eliminar producto
+router.delete('/:pid', requireRole('admin'), validate({ params: productParams }), asyncHandler(async (req, res) => {
+    const { pid } = req.params;
+    const io = req.app.get('io');
 
-        if (error.name === 'ValidationError') {
-            const errors = Object.values(error.errors).map(err => err.message);
-            return res.status(400).json({
-                status: 'error',
-                message: 'Datos de actualización inválidos',
-                errors
-            });
-        }
+    // También borra del almacenamiento las imágenes subidas del producto
+    const deletedProduct = await deleteProduct(pid);
 
-        if (error.code === 11000) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'El código de producto ya existe'
-            });
-        }
+    if (!deletedProduct) {
+        throw productNotFound(pid);
+    }
 
-        res.status(500).json({
-            status: 'error',
-            message: 'Error interno del servidor al actualizar el producto'
-        });
+    // Emitir solo el ID del producto eliminado por WebSocket
+    emitProductDeleted(io, deletedProduct);
+    syncInBackground(notifyCartsOfStockChange(io, [deletedProduct]));
+
+    res.json({
+        status: 'success',
+        payload: deletedProduct,
+        message: 'Producto eliminado exitosamente'
+    });
+}));
+
+// POST /api/products/:pid/images - Subir imágenes (multipart/form-data, campo "images")
+router.post('/:pid/images', requireRole('admin'), validate({ params: productParams }), uploadProductImages, asyncHandler(async (req, res) => {
+    const { pid } = req.params;
+    const io = req.app.get('io');
+    const files = req.files || [];
+
+    if (files.length === 0) {
+        throw new ValidationError('Debes enviar al menos una imagen en el campo "images"', [], { code: 'INVALID_UPLOAD' });
     }
-});
 
-// DELETE /api/products/:pid - Eliminar producto
-router.delete('/:pid', async (req, res) => {
-    try {
-        const { pid } = req.params;
-        const io = req.app.get('io');
+    const product = await findProductOrFail(pid);
 
-        const deletedProduct = await Product.findByIdAndDelete(pid);
+    if (product.images.length + files.length > storageConfig.maxImagesPerProduct) {
+        throw new ValidationError(
+            `Un producto puede tener como máximo ${storageConfig.maxImagesPerProduct} imágenes (tiene ${product.images.length})`,
+            [],
+            { code: 'TOO_MANY_IMAGES' }
+        );
+    }
 
-        if (!deletedProduct) {
-            return res.status(404).json({
-                status: 'error',
-                message: `Producto con ID ${pid} no encontrado`
-            });
+    const savedImages = [];
+    try {
+        for (const file of files) {
+            savedImages.push(await saveProductImage(product._id, file));
         }
 
-        // Emitir actualización por WebSocket
-        const products = await Product.find().sort({ createdAt: -1 }).lean();
-        io.emit('products', products);
-
-        res.json({
-            status: 'success',
-            payload: deletedProduct,
-            message: 'Producto eliminado exitosamente'
-        });
+        product.images.push(...savedImages);
+        await product.save();
     } catch (error) {
-        console.error('Error eliminando producto:', error);
+        // No dejar archivos huérfanos si algo falló a mitad de camino
+        await removeProductImages(savedImages);
+        throw error;
+    }
 
-        if (error.name === 'CastError') {
-            return res.status(400).json({
-                status: 'error',
-                message: 'ID de producto inválido'
-            });
-        }
+    // Emitir el producto con sus imágenes actualizadas por WebSocket
+    publishInBackground(emitProductUpdated(io, product));
 
-        res.status(500).json({
-            status: 'error',
-            message: 'Error interno del servidor al eliminar el producto'
-        });
+    res.status(201).json({
+        status: 'success',
+        payload: product,
+        message: `${savedImages.length} imagen(es) agregada(s) exitosamente`
+    });
+}));
+
+// DELETE /api/products/:pid/images/:imageId - Eliminar una imagen del producto
+router.delete('/:pid/images/:imageId', requireRole('admin'), validate({ params: productImageParams }), asyncHandler(async (req, res) => {
+    const { pid, imageId } = req.params;
+    const io = req.app.get('io');
+
+    const product = await findProductOrFail(pid);
+    const image = product.images.id(imageId);
+
+    if (!image) {
+        throw new NotFoundError(`Imagen con ID ${imageId} no encontrada en el producto`, { code: 'IMAGE_NOT_FOUND' });
     }
-});
 
-module.exports = router;
\ No newline at end of file
+    product.images.pull(image._id);
+    await product.save();
+    await removeProductImage(image);
+
+    // Emitir el producto con sus imágenes actualizadas por WebSocket
+    publishInBackground(emitProductUpdated(io, product));
+
+    res.json({
+        status: 'success',
+        payload: product,
+        message: 'Imagen eliminada exitosamente'
+    });
+}));
+
+module.exports = router;
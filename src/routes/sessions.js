@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User.model');
+const config = require('../config');
+const authConfig = require('../config/auth');
+const { signToken, requireAuth } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { registerBody, loginBody } = require('../schemas/sessions.schema');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { ConflictError, UnauthorizedError } = require('../utils/errors');
+
+// Guardar el token en una cookie httpOnly
+function setAuthCookie(res, token) {
+    res.cookie(authConfig.cookieName, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: config.isProduction,
+        maxAge: authConfig.cookieMaxAge
+    });
+}
+
+// POST /api/sessions/register - Registrar nuevo usuario
+// (las validaciones del modelo las traduce el middleware de errores)
+router.post('/register', validate({ body: registerBody }), asyncHandler(async (req, res) => {
+    const { name, email, password } = req.body;
+
+    if (email && await User.exists({ email: email.toLowerCase().trim() })) {
+        throw new ConflictError(`Ya existe un usuario con el email ${email}`, { code: 'DUPLICATE_EMAIL' });
+    }
+
+    // El rol nunca se toma del body: los usuarios nuevos siempre son "user"
+    const user = new User({ name, email, password });
+    await user.save();
+    await user.ensureCart();
+
+    const token = signToken(user);
+    setAuthCookie(res, token);
+
+    res.status(201).json({
+        status: 'success',
+        payload: { user, token },
+        message: 'Usuario registrado exitosamente'
+    });
+}));
+
+// POST /api/sessions/login - Iniciar sesión
+router.post('/login', validate({ body: loginBody }), asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+
+    const user = await User.findByEmailWithPassword(email);
+
+    if (!user || !(await user.comparePassword(password))) {
+        throw new UnauthorizedError('Credenciales inválidas', { code: 'INVALID_CREDENTIALS' });
+    }
+
+    await user.ensureCart();
+
+    const token = signToken(user);
+    setAuthCookie(res, token);
+
+    res.json({
+        status: 'success',
+        payload: { user, token },
+        message: 'Sesión iniciada exitosamente'
+    });
+}));
+
+// POST /api/sessions/logout - Cerrar sesión
+router.post('/logout', (req, res) => {
+    res.clearCookie(authConfig.cookieName);
+    res.json({
+        status: 'success',
+        message: 'Sesión cerrada exitosamente'
+    });
+});
+
+// GET /api/sessions/current - Obtener usuario autenticado
+router.get('/current', requireAuth, (req, res) => {
+    res.json({
+        status: 'success',
+        payload: req.user,
+        message: 'Usuario autenticado'
+    });
+});
+
+module.exports = router;
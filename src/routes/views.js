@@ -2,6 +2,56 @@ const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product.model');
 const Cart = require('../models/Cart.model');
+const Category = require('../models/Category.model');
+const Order = require('../models/Order.model');
+const Reservation = require('../models/Reservation.model');
+const reservationsConfig = require('../config/reservations');
+const { requireAuth, requireRole, hasRole } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { productParams } = require('../schemas/products.schema');
+const { cartParams } = require('../schemas/carts.schema');
+const currencyConfig = require('../config/currency');
+const { listProducts, getProductFacets, withAvailableStock, withDisplayPrice } = require('../services/products.service');
+const { listOrders, canAccessOrder, canChangeOrderStatus } = require('../services/orders.service');
+const { getProductGallery, PLACEHOLDER_IMAGE } = require('../utils/productImages');
+const pricingConfig = require('../config/pricing');
+const { parseQuoteOptions, resolveShippingMethod, quoteCart } = require('../services/pricing.service');
+const { getCartState } = require('../services/cartSync.service');
+const { formatMoney, toMinorUnits, convertAmount, parseCurrencyParam } = require('../utils/money');
+
+// Destino después de iniciar sesión: solo rutas locales. Se rechazan "//host"
+// y "/\host" (los navegadores tratan "\" como "/") y los caracteres de control,
+// que los navegadores descartan y pueden convertir "/<tab>/host" en "//host".
+function safeRedirectPath(value) {
+    const isLocalPath = typeof value === 'string' &&
+        value.startsWith('/') &&
+        !value.startsWith('//') &&
+        !/[\\\u0000-\u001f\u007f]/.test(value);
+    return isLocalPath ? value : '/products';
+}
+
+// GET /login - Vista de inicio de sesión
+router.get('/login', (req, res) => {
+    if (req.user) {
+        return res.redirect('/products');
+    }
+    res.render('login', {
+        title: 'Iniciar Sesión',
+        redirect: safeRedirectPath(req.query.redirect)
+    });
+});
+
+// GET /register - Vista de registro
+router.get('/register', (req, res) => {
+    if (req.user) {
+        return res.redirect('/products');
+    }
+    res.render('register', {
+        title: 'Registrarse'
+    });
+});
 
 // GET / - Redirigir a /products
 router.get('/', (req, res) => {
@@ -9,210 +59,301 @@ router.get('/', (req, res) => {
 });
 
 // GET /products - Vista de productos con paginación y filtros
-router.get('/products', async (req, res) => {
-    try {
-        const limit = parseInt(req.query.limit) || 10;
-        const page = parseInt(req.query.page) || 1;
-        const sort = req.query.sort;
-        const query = req.query.query;
-        const category = req.query.category;
-        const status = req.query.status;
-
-        // Construir filtro
-        const filter = {};
-        
-        // Filtro por categoría (prioridad a category si existe)
-        if (category) {
-            filter.category = category.trim();
-        }
-
-        // Filtro por disponibilidad (prioridad a status si existe)
-        if (status !== undefined) {
-            filter.status = status === 'true' || status === '1' || status === 'yes';
-        }
-
-        // Si hay query pero no category ni status, usar query como filtro
-        // query puede ser una categoría o disponibilidad (true/false)
-        if (query && !category && status === undefined) {
-            const queryLower = query.trim().toLowerCase();
-            
-            // Verificar si es un valor de disponibilidad
-            if (queryLower === 'true' || queryLower === 'false' || queryLower === 'disponible' || queryLower === 'no disponible') {
-                filter.status = queryLower === 'true' || queryLower === 'disponible';
-            } else {
-                // Si no, asumir que es una categoría
-                filter.category = query.trim();
-            }
-        }
-
-        // Opciones de paginación
-        const options = {
-            page,
-            limit,
-            lean: true
-        };
+router.get('/products', asyncHandler(async (req, res) => {
+    const result = await listProducts(req.query, { basePath: '/products' });
+    const { params } = result;
+    const products = result.payload || [];
 
-        // Ordenamiento
-        if (sort === 'asc') {
-            options.sort = { price: 1 };
-        } else if (sort === 'desc') {
-            options.sort = { price: -1 };
-        }
-        // Si no hay sort, no se ordena (según consignas)
-
-        // Ejecutar paginación
-        const result = await Product.paginate(filter, options);
-
-        // Construir query params para los links
-        const buildQueryParams = (pageNum) => {
-            const params = new URLSearchParams();
-            params.append('page', pageNum);
-            if (limit !== 10) params.append('limit', limit);
-            if (sort) params.append('sort', sort);
-            if (query) params.append('query', query);
-            if (category) params.append('category', category);
-            if (status !== undefined) params.append('status', status);
-            return params.toString();
+    // Conteos para las opciones de filtro (sin filtros si los parámetros son inválidos)
+    const facets = await getProductFacets(result.errors.length > 0 ? {} : req.query);
+    const currentCategories = params.category ? params.category.split(',').map(c => c.trim()) : [];
+
+    // Ordenar categorías como árbol (padre seguido de sus subcategorías)
+    const categories = [];
+    const addChildren = (parentId, depth) => {
+        facets.categories
+            .filter(item => String(item.parent || '') === parentId)
+            .forEach(item => {
+                categories.push({ ...item, indent: '— '.repeat(depth) });
+                addChildren(String(item._id), depth + 1);
+            });
+    };
+    addChildren('', 0);
+
+    // Links de rangos de precio conservando el resto de los filtros
+    // (los límites vienen en unidades de la moneda mostrada)
+    const format = (value) => formatMoney(toMinorUnits(value, facets.currency), facets.currency);
+    const priceBuckets = facets.priceBuckets.map(bucket => {
+        const query = new URLSearchParams();
+        if (result.limit !== 10) query.append('limit', result.limit);
+        Object.entries(params)
+            .filter(([name]) => name !== 'minPrice' && name !== 'maxPrice')
+            .forEach(([name, value]) => query.append(name, value));
+        query.append('minPrice', bucket.min);
+        if (bucket.max !== null) query.append('maxPrice', bucket.max);
+        return {
+            ...bucket,
+            label: bucket.max !== null ? `${format(bucket.min)} - ${format(bucket.max)}` : `Más de ${format(bucket.min)}`,
+            link: `/products?${query.toString()}`
         };
+    });
 
-        const prevLink = result.hasPrevPage ? `/products?${buildQueryParams(result.prevPage)}` : null;
-        const nextLink = result.hasNextPage ? `/products?${buildQueryParams(result.nextPage)}` : null;
-
-        // Obtener todas las categorías únicas
-        const categories = await Product.distinct('category');
-
-        res.render('products', {
-            title: 'Productos',
-            products: result.docs,
-            hasProducts: result.docs.length > 0,
-            page: result.page,
-            totalPages: result.totalPages,
-            hasPrevPage: result.hasPrevPage,
-            hasNextPage: result.hasNextPage,
-            prevPage: result.prevPage,
-            nextPage: result.nextPage,
-            prevLink,
-            nextLink,
-            categories,
-            currentCategory: category || '',
-            currentSort: sort || '',
-            currentStatus: status || '',
-            currentQuery: query || '',
-            limit
-        });
-    } catch (error) {
-        console.error('Error cargando vista de productos:', error);
-        res.status(500).render('error', {
-            title: 'Error',
-            message: 'Error al cargar los productos'
-        });
-    }
-});
+    res.render('products', {
+        title: 'Productos',
+        products,
+        hasProducts: products.length > 0,
+        page: result.page || 1,
+        totalPages: result.totalPages || 0,
+        hasPrevPage: Boolean(result.hasPrevPage),
+        hasNextPage: Boolean(result.hasNextPage),
+        prevPage: result.prevPage,
+        nextPage: result.nextPage,
+        prevLink: result.prevLink,
+        nextLink: result.nextLink,
+        categories,
+        availability: facets.availability,
+        priceBuckets,
+        filterErrors: result.errors,
+        currentCategories,
+        currentSort: params.sort || '',
+        currentStatus: params.status || '',
+        currentQuery: params.query || '',
+        currentSearch: params.search || '',
+        currentMinPrice: params.minPrice || '',
+        currentMaxPrice: params.maxPrice || '',
+        currentInStock: params.inStock === 'true',
+        currencies: currencyConfig.supportedCurrencies,
+        currentCurrency: result.currency || currencyConfig.baseCurrency,
+        limit: result.limit,
+        cartId: req.user ? req.user.cart : null
+    });
+}));
 
 // GET /products/:pid - Vista de detalle de producto
-router.get('/products/:pid', async (req, res) => {
-    try {
-        const { pid } = req.params;
-        const product = await Product.findById(pid).lean();
+router.get('/products/:pid', validate({ params: productParams }), asyncHandler(async (req, res) => {
+    const { pid } = req.params;
+    const found = await Product.findById(pid).populate('category', 'name slug').lean();
 
-        if (!product) {
-            return res.status(404).render('error', {
-                title: 'Producto no encontrado',
-                message: `El producto con ID ${pid} no existe`
-            });
-        }
+    if (!found) {
+        throw new NotFoundError(`El producto con ID ${pid} no existe`, { code: 'PRODUCT_NOT_FOUND' });
+    }
 
-        res.render('productDetail', {
-            title: product.title,
-            product
-        });
-    } catch (error) {
-        console.error('Error cargando detalle del producto:', error);
+    // Stock mostrado: descontando las reservas de otros carritos.
+    // Precios en la moneda pedida (?currency=EUR, si no es válida la base)
+    const currency = parseCurrencyParam(req.query.currency, []);
+    const product = withDisplayPrice(withAvailableStock(found), currency);
 
-        if (error.name === 'CastError') {
-            return res.status(400).render('error', {
-                title: 'ID inválido',
-                message: 'El ID del producto no es válido'
-            });
-        }
+    // Datos de variantes para el selector del detalle
+    const variants = (product.variants || []).map(variant => ({
+        _id: variant._id,
+        sku: variant.sku,
+        label: Object.entries(variant.attributes || {}).map(([name, value]) => `${name}: ${value}`).join(', '),
+        price: variant.displayPrice,
+        priceFormatted: formatMoney(variant.displayPrice, currency),
+        stock: variant.availableStock,
+        available: product.status && variant.status && variant.availableStock > 0
+    }));
 
-        res.status(500).render('error', {
-            title: 'Error',
-            message: 'Error al cargar el detalle del producto'
-        });
-    }
-});
+    // Galería: imágenes subidas y URLs externas del producto
+    const gallery = getProductGallery(product);
+
+    res.render('productDetail', {
+        title: product.title,
+        gallery,
+        mainImage: gallery.length > 0 ? gallery[0].url : PLACEHOLDER_IMAGE,
+        variants,
+        hasVariants: variants.length > 0,
+        product,
+        currency,
+        cartId: req.user ? req.user.cart : null
+    });
+}));
 
 // GET /carts/:cid - Vista de carrito específico
-router.get('/carts/:cid', async (req, res) => {
+router.get('/carts/:cid', validate({ params: cartParams }), asyncHandler(async (req, res) => {
+    const { cid } = req.params;
+    // Moneda, región y método de envío de la cotización (?currency=EUR&region=AR-B&shippingMethod=express).
+    // Los valores inválidos se reemplazan por los de por defecto.
+    const currency = parseCurrencyParam(req.query.currency, []);
+    const options = parseQuoteOptions({ region: req.query.region, shippingMethod: req.query.shippingMethod });
+    const region = options.errors.length === 0 ? options.region : pricingConfig.defaultRegion;
+    let shippingMethod = options.errors.length === 0 ? options.shippingMethod : undefined;
     try {
-        const { cid } = req.params;
+        resolveShippingMethod(region, shippingMethod);
+    } catch (error) {
+        shippingMethod = undefined;
+    }
 
-        const cart = await Cart.findById(cid).populate('products.product').lean();
+    const cart = await Cart.findById(cid)
+        .populate({ path: 'products.product', populate: { path: 'category', select: 'name slug' } })
+        .populate('coupon')
+        .lean();
 
-        if (!cart) {
-            return res.status(404).render('error', {
-                title: 'Carrito no encontrado',
-                message: `El carrito con ID ${cid} no existe`
-            });
-        }
+    if (!cart) {
+        throw new NotFoundError(`El carrito con ID ${cid} no existe`, { code: 'CART_NOT_FOUND' });
+    }
+
+    // Vencimiento de la reserva de cada línea (modo reservas)
+    const reservations = reservationsConfig.enabled
+        ? await Reservation.find({ cart: cart._id }).lean()
+        : [];
+    const reservedUntil = (productId, variantId) => {
+        const reservation = reservations.find(r =>
+            r.product.toString() === productId.toString() &&
+            String(r.variant || '') === String(variantId || '')
+        );
+        return reservation
+            ? new Date(reservation.expiresAt).toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit' })
+            : null;
+    };
 
-        // Calcular subtotales y total
-        const productsWithSubtotal = cart.products
-            .filter(item => item.product) // Filtrar productos eliminados
-            .map(item => ({
+    // Avisos de stock de cada línea ("quedan 2", "ya no está disponible")
+    const cartState = await getCartState(cart._id);
+    const warningFor = (productId, variantId) => {
+        const line = cartState.products.find(l =>
+            l.product === productId.toString() && String(l.variant || '') === String(variantId || '')
+        );
+        return line ? line.warning : null;
+    };
+
+    // Calcular subtotales y total
+    const productsWithSubtotal = cart.products
+        .filter(item => item.product) // Filtrar productos eliminados
+        .map(item => {
+            // Con variante se usa su SKU, atributos y precio (si lo tiene)
+            const variant = item.variant
+                ? (item.product.variants || []).find(v => v._id.toString() === item.variant.toString())
+                : null;
+            const price = convertAmount(
+                variant && variant.price !== undefined && variant.price !== null ? variant.price : item.product.price,
+                item.product.currency || currencyConfig.baseCurrency,
+                currency
+            );
+
+            return {
                 ...item.product,
                 _id: item.product._id,
+                variantId: item.variant || '',
+                sku: variant ? variant.sku : null,
+                variantLabel: variant ? Object.values(variant.attributes || {}).join(' / ') : '',
+                price,
                 quantity: item.quantity,
-                subtotal: (item.product.price * item.quantity).toFixed(2)
-            }));
-
-        const total = productsWithSubtotal.reduce(
-            (sum, p) => sum + parseFloat(p.subtotal),
-            0
-        ).toFixed(2);
-
-        res.render('cart', {
-            title: `Carrito`,
-            cartId: cid,
-            products: productsWithSubtotal,
-            hasProducts: productsWithSubtotal.length > 0,
-            total
+                reservedUntil: reservedUntil(item.product._id, item.variant),
+                stockWarning: warningFor(item.product._id, item.variant)
+            };
         });
-    } catch (error) {
-        console.error('Error cargando vista del carrito:', error);
 
-        if (error.name === 'CastError') {
-            return res.status(400).render('error', {
-                title: 'ID inválido',
-                message: 'El ID del carrito no es válido'
-            });
-        }
+    // Subtotal, descuentos del cupón, impuestos, envío y total
+    const quote = await quoteCart(cart, { region, shippingMethod, currency });
 
-        res.status(500).render('error', {
-            title: 'Error',
-            message: 'Error al cargar el carrito'
-        });
+    res.render('cart', {
+        title: `Carrito`,
+        cartId: cid,
+        products: productsWithSubtotal,
+        hasProducts: productsWithSubtotal.length > 0,
+        reservationsEnabled: reservationsConfig.enabled,
+        couponCode: cart.coupon ? cart.coupon.code : null,
+        couponError: quote.couponError,
+        currency,
+        currencies: currencyConfig.supportedCurrencies,
+        // La compra se cobra en la moneda base
+        baseCurrency: currencyConfig.baseCurrency,
+        showsConvertedPrices: currency !== currencyConfig.baseCurrency,
+        regions: pricingConfig.regions.map(item => ({ ...item, selected: item.code === quote.region.code })),
+        shippingMethods: quote.shippingMethods.map(method => ({ ...method, selected: method.id === quote.shipping.method })),
+        region: quote.region,
+        subtotal: quote.subtotal,
+        discounts: quote.discounts,
+        taxes: quote.taxes,
+        shipping: quote.shipping,
+        remainingForFreeShipping: quote.remainingForFreeShipping,
+        total: quote.grandTotal
+    });
+}));
+
+// Datos de una orden listos para las vistas
+function formatOrderForView(order) {
+    const data = order.toObject({ virtuals: true, flattenMaps: true });
+    return {
+        ...data,
+        createdAtFormatted: new Date(data.createdAt).toLocaleString('es-AR'),
+        items: data.items.map(item => ({
+            ...item,
+            variantLabel: item.attributes ? Object.values(item.attributes).join(' / ') : ''
+        })),
+        statusHistory: data.statusHistory.map(change => ({
+            ...change,
+            statusLabel: Order.STATUS_LABELS[change.status],
+            changedAtFormatted: new Date(change.changedAt).toLocaleString('es-AR')
+        }))
+    };
+}
+
+// GET /orders - Vista de órdenes del usuario (el admin ve todas)
+router.get('/orders', requireAuth, asyncHandler(async (req, res) => {
+    const result = await listOrders(req.query, { user: req.user, basePath: '/orders' });
+
+    if (result.errors.length > 0) {
+        throw new ValidationError('Parámetros inválidos', result.errors);
     }
-});
 
-// GET /realtimeproducts - Vista con actualización en tiempo real
-router.get('/realtimeproducts', async (req, res) => {
-    try {
-        const products = await Product.find().sort({ createdAt: -1 }).lean();
+    const orders = result.payload.map(formatOrderForView);
 
-        res.render('realTimeProducts', {
-            title: 'Productos en Tiempo Real',
-            products: products,
-            hasProducts: products.length > 0
-        });
-    } catch (error) {
-        console.error('Error cargando vista realTimeProducts:', error);
-        res.status(500).render('error', {
-            title: 'Error',
-            message: 'Error al cargar los productos'
-        });
+    res.render('orders', {
+        title: hasRole(req.user, 'admin') ? 'Órdenes' : 'Mis Órdenes',
+        orders,
+        hasOrders: orders.length > 0,
+        statuses: Order.STATUSES.map(status => ({ value: status, label: Order.STATUS_LABELS[status] })),
+        currentStatus: result.params.status || '',
+        page: result.page,
+        totalPages: result.totalPages,
+        hasPrevPage: result.hasPrevPage,
+        hasNextPage: result.hasNextPage,
+        prevLink: result.prevLink,
+        nextLink: result.nextLink
+    });
+}));
+
+// GET /orders/:oid - Vista de detalle de una orden
+router.get('/orders/:oid', requireAuth, asyncHandler(async (req, res) => {
+    const { oid } = req.params;
+
+    const order = await Order.findById(oid);
+
+    if (!order || !canAccessOrder(req.user, order)) {
+        throw new NotFoundError(`La orden con ID ${oid} no existe`, { code: 'ORDER_NOT_FOUND' });
     }
-});
+
+    // Acciones disponibles según el estado actual y el rol
+    const isAdmin = hasRole(req.user, 'admin');
+    const nextStatuses = isAdmin
+        ? Order.TRANSITIONS[order.status]
+            .filter(status => status !== 'cancelled')
+            .map(status => ({ value: status, label: Order.STATUS_LABELS[status] }))
+        : [];
+    const canCancel = order.canTransitionTo('cancelled') && canChangeOrderStatus(req.user, order, 'cancelled');
+
+    res.render('orderDetail', {
+        title: `Orden ${order.code}`,
+        order: formatOrderForView(order),
+        nextStatuses,
+        canCancel
+    });
+}));
+
+// GET /realtimeproducts - Vista con actualización en tiempo real
+router.get('/realtimeproducts', requireRole('admin'), asyncHandler(async (req, res) => {
+    // Los productos llegan por Socket.IO (primera página al suscribirse y
+    // luego solo los cambios)
+    const categories = await Category.find().sort({ name: 1 }).lean();
+
+    res.render('realTimeProducts', {
+        title: 'Productos en Tiempo Real',
+        categories,
+        currencies: currencyConfig.supportedCurrencies,
+        baseCurrency: currencyConfig.baseCurrency,
+        locale: currencyConfig.locale
+    });
+}));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,76 @@
+// Esquemas de validación de las rutas de carritos (ver middlewares/validate.js)
+
+const QUANTITY_MESSAGE = 'La cantidad debe ser un número entero mayor a 0';
+
+const cartParams = {
+    cid: { type: 'objectId', required: true }
+};
+
+const cartProductParams = {
+    ...cartParams,
+    pid: { type: 'objectId', required: true }
+};
+
+// Región, método de envío y moneda se validan contra la configuración en parseQuoteOptions
+const cartQuery = {
+    currency: { type: 'string' }
+};
+
+const quoteQuery = {
+    region: { type: 'string' },
+    shippingMethod: { type: 'string' },
+    currency: { type: 'string' }
+};
+
+const addProductBody = {
+    quantity: { type: 'integer', min: 1, default: 1, message: QUANTITY_MESSAGE },
+    // ID de la variante (solo para productos con variantes)
+    variant: { type: 'objectId' }
+};
+
+const removeProductQuery = {
+    variant: { type: 'objectId' }
+};
+
+const updateCartBody = {
+    products: {
+        type: 'array',
+        required: true,
+        message: 'El campo products debe ser un array',
+        items: {
+            type: 'object',
+            fields: {
+                product: { type: 'objectId', required: true },
+                quantity: { type: 'integer', min: 1, required: true },
+                variant: { type: 'objectId' }
+            }
+        }
+    }
+};
+
+const updateQuantityBody = {
+    quantity: { type: 'integer', min: 1, required: true, message: QUANTITY_MESSAGE },
+    variant: { type: 'objectId' }
+};
+
+const couponBody = {
+    code: { type: 'string', required: true, message: 'El campo code es requerido' }
+};
+
+const purchaseBody = {
+    region: { type: 'string' },
+    shippingMethod: { type: 'string' }
+};
+
+module.exports = {
+    cartParams,
+    cartProductParams,
+    cartQuery,
+    quoteQuery,
+    addProductBody,
+    removeProductQuery,
+    updateCartBody,
+    updateQuantityBody,
+    couponBody,
+    purchaseBody
+};
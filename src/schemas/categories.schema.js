@@ -0,0 +1,10 @@
+// Esquemas de validación de las rutas de categorías (ver middlewares/validate.js)
+
+// "parent" es un ID o "root"; la ruta distingue ambos casos
+const listCategoriesQuery = {
+    parent: { type: 'string' }
+};
+
+module.exports = {
+    listCategoriesQuery
+};
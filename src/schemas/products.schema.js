@@ -0,0 +1,82 @@
+const config = require('../config');
+const catalogConfig = require('../config/catalog');
+const { FILTER_PARAMS } = require('../utils/productFilters');
+
+// Esquemas de validación de las rutas de productos (ver middlewares/validate.js)
+
+const productParams = {
+    pid: { type: 'objectId', required: true }
+};
+
+const productImageParams = {
+    ...productParams,
+    imageId: { type: 'objectId', required: true }
+};
+
+// Filtros del listado: llegan como texto y los interpreta parseProductFilters
+// (compartido con las vistas y el WebSocket)
+const filterQuery = Object.fromEntries(
+    FILTER_PARAMS.map(name => [name, { type: 'string', multiple: true }])
+);
+
+const listQuery = {
+    ...filterQuery,
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: config.pagination.maxLimit }
+};
+
+const exportQuery = {
+    ...filterQuery,
+    format: { type: 'string', values: ['csv', 'json'], default: 'csv' }
+};
+
+const importQuery = {
+    dryRun: { type: 'boolean', default: false }
+};
+
+// Campos que se pueden enviar al crear o actualizar un producto. Acá solo se
+// controlan tipos y forma; los requeridos, rangos y formatos los valida el modelo.
+// Sin _id, timestamps, basePrice, reserved ni images (se calculan o tienen su ruta).
+const variantFields = {
+    // Al editar, el _id conserva la variante (los carritos la referencian)
+    _id: { type: 'objectId' },
+    sku: { type: 'string' },
+    attributes: { type: 'object', of: { type: 'string' } },
+    price: { type: 'number', nullable: true },
+    stock: { type: 'number' },
+    weight: { type: 'number' },
+    status: { type: 'boolean' }
+};
+
+const productBody = {
+    title: { type: 'string' },
+    description: { type: 'string' },
+    code: { type: 'string' },
+    price: { type: 'number' },
+    currency: { type: 'string' },
+    status: { type: 'boolean' },
+    stock: { type: 'number' },
+    weight: { type: 'number' },
+    // ID, slug o nombre de la categoría
+    category: { type: 'string' },
+    thumbnails: { type: 'array', items: { type: 'string' } },
+    variants: { type: 'array', items: { type: 'object', fields: variantFields } }
+};
+
+// La operación y el filtro se validan en detalle en bulkUpdateProducts
+const bulkBody = {
+    ids: { type: 'array', maxItems: catalogConfig.maxBulkProducts, items: { type: 'objectId' } },
+    filter: { type: 'object' },
+    operation: { type: 'object' }
+};
+
+module.exports = {
+    productParams,
+    productImageParams,
+    listQuery,
+    facetsQuery: filterQuery,
+    exportQuery,
+    importQuery,
+    productBody,
+    bulkBody
+};
@@ -0,0 +1,19 @@
+// Esquemas de validación de las rutas de sesiones (ver middlewares/validate.js)
+// Solo se aceptan textos: un objeto como { "$ne": null } nunca llega a la consulta.
+
+// La contraseña no se recorta: los espacios forman parte de ella
+const registerBody = {
+    name: { type: 'string' },
+    email: { type: 'string' },
+    password: { type: 'string', trim: false }
+};
+
+const loginBody = {
+    email: { type: 'string', required: true },
+    password: { type: 'string', required: true, trim: false }
+};
+
+module.exports = {
+    registerBody,
+    loginBody
+};
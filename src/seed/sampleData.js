@@ -0,0 +1,125 @@
+// Datos de ejemplo para inicializar una base vacía (ver seed.js)
+
+// Categorías de ejemplo (name -> parent)
+const SAMPLE_CATEGORIES = [
+    { name: "Computación", parent: null, description: "Equipos y periféricos de computación" },
+    { name: "Laptops", parent: "Computación" },
+    { name: "Tablets", parent: "Computación" },
+    { name: "Monitores", parent: "Computación" },
+    { name: "Accesorios", parent: "Computación" },
+    { name: "Telefonía", parent: null, description: "Smartphones y accesorios móviles" },
+    { name: "Smartphones", parent: "Telefonía" },
+    { name: "Audio", parent: null, description: "Auriculares y equipos de sonido" },
+    { name: "Gaming", parent: null, description: "Consolas y videojuegos" }
+];
+
+// Productos de ejemplo
+// La categoría se indica por nombre y se convierte a su ID al cargar los datos
+const SAMPLE_PRODUCTS = [
+    {
+        title: "MacBook Pro 16",
+        description: "Laptop profesional Apple con chip M3 Pro, 18GB RAM, 512GB SSD. Perfecta para desarrollo y diseño profesional.",
+        code: "APPLE-MBP-001",
+        price: 2499.99,
+        weight: 2140,
+        status: true,
+        stock: 15,
+        category: "Laptops"
+    },
+    {
+        title: "Samsung Galaxy S24 Ultra",
+        description: "Smartphone Android premium con cámara de 200MP, S Pen incluido y pantalla Dynamic AMOLED 2X.",
+        code: "SAMSUNG-S24-ULTRA",
+        price: 1299.99,
+        weight: 233,
+        status: true,
+        stock: 25,
+        category: "Smartphones"
+    },
+    {
+        title: "Sony WH-1000XM5",
+        description: "Auriculares inalámbricos premium con cancelación de ruido adaptativa y hasta 30 horas de batería.",
+        code: "SONY-WH-1000XM5",
+        price: 349.99,
+        weight: 250,
+        status: true,
+        stock: 40,
+        category: "Audio"
+    },
+    {
+        title: "iPad Air M2",
+        description: "Tablet Apple con chip M2, pantalla Liquid Retina de 10.9 pulgadas. Ideal para creativos.",
+        code: "APPLE-IPAD-AIR-M2",
+        price: 699.99,
+        weight: 462,
+        status: true,
+        stock: 30,
+        category: "Tablets",
+        variants: [
+            { sku: "APPLE-IPAD-AIR-M2-128", attributes: { almacenamiento: "128GB" }, stock: 18 },
+            { sku: "APPLE-IPAD-AIR-M2-256", attributes: { almacenamiento: "256GB" }, price: 799.99, stock: 12 }
+        ]
+    },
+    {
+        title: "Nintendo Switch OLED",
+        description: "Consola de videojuegos híbrida con pantalla OLED de 7 pulgadas y audio mejorado.",
+        code: "NINTENDO-SWITCH-OLED",
+        price: 349.99,
+        weight: 420,
+        status: true,
+        stock: 50,
+        category: "Gaming"
+    },
+    {
+        title: "Dell XPS 13",
+        description: "Ultrabook premium con Intel Core i7 de 13ª generación, 16GB RAM y pantalla InfinityEdge.",
+        code: "DELL-XPS-13-2024",
+        price: 1199.99,
+        weight: 1170,
+        status: true,
+        stock: 20,
+        category: "Laptops"
+    },
+    {
+        title: "AirPods Pro 2",
+        description: "Auriculares inalámbricos Apple con cancelación activa de ruido y audio espacial adaptativo.",
+        code: "APPLE-AIRPODS-PRO-2",
+        price: 249.99,
+        weight: 51,
+        status: true,
+        stock: 60,
+        category: "Audio"
+    },
+    {
+        title: "Google Pixel 8 Pro",
+        description: "Smartphone con cámara avanzada impulsada por IA, pantalla OLED de 6.7 pulgadas y 120Hz.",
+        code: "GOOGLE-PIXEL-8-PRO",
+        price: 999.99,
+        weight: 213,
+        status: true,
+        stock: 35,
+        category: "Smartphones"
+    },
+    {
+        title: "Logitech MX Master 3S",
+        description: "Mouse ergonómico profesional con 8K DPI, desplazamiento silencioso y hasta 70 días de batería.",
+        code: "LOGITECH-MX-MASTER-3S",
+        price: 99.99,
+        weight: 141,
+        status: true,
+        stock: 45,
+        category: "Accesorios"
+    },
+    {
+        title: "Samsung 49\" Odyssey G9",
+        description: "Monitor gaming curvo ultrawide QLED de 49 pulgadas, 240Hz, 1ms y resolución 5K.",
+        code: "SAMSUNG-ODYSSEY-G9",
+        price: 1499.99,
+        weight: 14500,
+        status: true,
+        stock: 10,
+        category: "Monitores"
+    }
+];
+
+module.exports = { SAMPLE_CATEGORIES, SAMPLE_PRODUCTS };
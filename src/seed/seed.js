@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product.model');
+const Cart = require('../models/Cart.model');
+const User = require('../models/User.model');
+const Category = require('../models/Category.model');
+const authConfig = require('../config/auth');
+const { toMinorUnits } = require('../utils/money');
+const logger = require('../utils/logger');
+const { SAMPLE_CATEGORIES, SAMPLE_PRODUCTS } = require('./sampleData');
+
+// Cargar los datos de ejemplo en las colecciones vacías (categorías,
+// productos y un carrito) y crear el administrador inicial si está configurado.
+// No modifica colecciones que ya tienen datos, así que se puede ejecutar varias veces.
+async function seedDatabase() {
+    const categoriesCount = await Category.countDocuments();
+    if (categoriesCount === 0) {
+        for (const { name, parent, description } of SAMPLE_CATEGORIES) {
+            const parentCategory = parent ? await Category.findOrCreateByName(parent) : null;
+            const category = await Category.findOrCreateByName(name, parentCategory ? parentCategory._id : null);
+            if (description && !category.description) {
+                category.description = description;
+                await category.save();
+            }
+        }
+        logger.info('🏷️  Categorías de ejemplo cargadas en MongoDB');
+    }
+
+    const productsCount = await Product.countDocuments();
+
+    if (productsCount === 0) {
+        const products = [];
+        for (const product of SAMPLE_PRODUCTS) {
+            const category = await Category.findOrCreateByName(product.category);
+            // Los precios de ejemplo están en unidades; se guardan en unidades menores
+            products.push({
+                ...product,
+                category: category._id,
+                price: toMinorUnits(product.price),
+                variants: (product.variants || []).map(variant => ({
+                    ...variant,
+                    price: variant.price !== undefined ? toMinorUnits(variant.price) : undefined
+                }))
+            });
+        }
+        await Product.insertMany(products);
+        logger.info('📦 Productos de ejemplo cargados en MongoDB');
+    }
+
+    const cartsCount = await Cart.countDocuments();
+    if (cartsCount === 0) {
+        const cart = new Cart();
+        await cart.save();
+        logger.info('🛒 Carrito de ejemplo creado en MongoDB');
+        logger.info(`   ID del carrito: ${cart._id}`);
+    }
+
+    // Crear administrador inicial si está configurado
+    if (authConfig.adminEmail && authConfig.adminPassword) {
+        const adminExists = await User.exists({ email: authConfig.adminEmail.toLowerCase() });
+        if (!adminExists) {
+            const admin = new User({
+                name: 'Administrador',
+                email: authConfig.adminEmail,
+                password: authConfig.adminPassword,
+                role: 'admin'
+            });
+            await admin.save();
+            await admin.ensureCart();
+            logger.info(`👤 Administrador creado: ${admin.email}`);
+        }
+    }
+}
+
+// Ejecutar desde la terminal: npm run seed
+if (require.main === module) {
+    const database = require('../config/database');
+
+    (async () => {
+        try {
+            await database.connect();
+            await seedDatabase();
+            logger.info('✅ Datos de ejemplo cargados');
+            await database.disconnect();
+            process.exit(0);
+        } catch (error) {
+            logger.error('❌ Error cargando los datos de ejemplo:', error.message);
+            await mongoose.disconnect();
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = { seedDatabase };
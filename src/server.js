@@ -0,0 +1,146 @@
+const config = require('./config');
+const database = require('./config/database');
+const reservationsConfig = require('./config/reservations');
+const Product = require('./models/Product.model');
+const { createApp } = require('./app');
+const { seedDatabase } = require('./seed/seed');
+const { migrateProductCategories } = require('./migrations/categories.migration');
+const { migrateMoneyAmounts } = require('./migrations/money.migration');
+const { startReservationSweeper } = require('./services/reservations.service');
+const { createShutdown } = require('./utils/gracefulShutdown');
+const logger = require('./utils/logger');
+
+// Migraciones de datos de versiones anteriores (no hacen nada si ya se aplicaron)
+async function runMigrations() {
+    // Convertir categorías de texto de datos anteriores a referencias
+    const migration = await migrateProductCategories();
+    if (migration.migrated > 0) {
+        logger.info(`🏷️  ${migration.migrated} productos migrados a ${migration.categoriesCreated} categorías nuevas`);
+    }
+
+    // Convertir montos decimales de datos anteriores a unidades menores
+    const moneyMigration = await migrateMoneyAmounts();
+    if (moneyMigration.products + moneyMigration.orders + moneyMigration.coupons > 0) {
+        logger.info(`💱 Montos migrados a unidades menores: ${moneyMigration.products} productos, ${moneyMigration.orders} órdenes, ${moneyMigration.coupons} cupones`);
+    }
+
+    // Recalcular los precios en moneda base con la tabla de tipos de cambio actual
+    await Product.syncBasePrices();
+}
+
+function listen(httpServer, port) {
+    return new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(port, () => {
+            httpServer.off('error', reject);
+            resolve();
+        });
+    });
+}
+
+// Conectar la base, preparar los datos, crear la app y escuchar en el puerto.
+// Devuelve la instancia y su función shutdown() para cerrarla de forma ordenada.
+async function startServer({ port = config.server.port, seed = config.features.seedOnStart } = {}) {
+    await database.connect();
+
+    try {
+        await runMigrations();
+        if (seed) {
+            await seedDatabase();
+        }
+    } catch (error) {
+        // Los datos de ejemplo no son imprescindibles para levantar el servidor
+        logger.error('❌ Error inicializando datos:', error.message);
+    }
+
+    const { app, httpServer, io } = createApp();
+
+    // Liberar periódicamente las reservas de stock vencidas
+    let sweeper = null;
+    if (reservationsConfig.enabled) {
+        sweeper = startReservationSweeper(io);
+        logger.info(`⏳ Reservas de stock activas (vencen a los ${reservationsConfig.ttlMs / 60000} minutos)`);
+    }
+
+    const shutdown = createShutdown({ httpServer, io, database, sweeper, timeoutMs: config.server.shutdownTimeoutMs });
+
+    try {
+        await listen(httpServer, port);
+    } catch (error) {
+        await shutdown('error al iniciar');
+        throw error;
+    }
+
+    return { app, httpServer, io, shutdown };
+}
+
+// Cerrar de forma ordenada con SIGINT (Ctrl+C) o SIGTERM (gestores de procesos).
+// Una segunda señal fuerza la salida.
+function handleSignals(shutdown) {
+    let received = false;
+
+    const onSignal = async (signal) => {
+        if (received) {
+            logger.error('⚠️  Cierre forzado');
+            process.exit(1);
+        }
+        received = true;
+
+        try {
+            await shutdown(signal);
+            process.exit(0);
+        } catch (error) {
+            logger.error('❌ Error cerrando el servidor:', error.message);
+            process.exit(1);
+        }
+    };
+
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+}
+
+// Mostrar las URLs principales al iniciar
+function logEndpoints(port) {
+    logger.info('\n' + '='.repeat(60));
+    logger.info(`🚀 Servidor ejecutándose en http://localhost:${port}`);
+    logger.info('='.repeat(60));
+    logger.info('\n📍 ENDPOINTS DISPONIBLES:');
+    logger.info(`   • API Productos: http://localhost:${port}/api/products`);
+    logger.info(`   • API Carritos:  http://localhost:${port}/api/carts`);
+    logger.info(`   • API Sesiones:  http://localhost:${port}/api/sessions`);
+    logger.info(`   • API Categorías: http://localhost:${port}/api/categories`);
+    logger.info(`   • API Órdenes:   http://localhost:${port}/api/orders`);
+    logger.info(`   • API Cupones:   http://localhost:${port}/api/coupons`);
+    logger.info(`   • Status:        http://localhost:${port}/api/status`);
+    logger.info('\n🌐 VISTAS WEB:');
+    logger.info(`   • Productos:     http://localhost:${port}/products`);
+    logger.info(`   • Tiempo Real:   http://localhost:${port}/realtimeproducts`);
+    logger.info(`   • Carrito:       http://localhost:${port}/carts/[ID]`);
+    logger.info(`   • Órdenes:       http://localhost:${port}/orders`);
+    logger.info(`   • Login:         http://localhost:${port}/login`);
+    logger.info('\n💡 EJEMPLOS DE USO:');
+    logger.info(`   • Paginación:    http://localhost:${port}/api/products?page=1&limit=5`);
+    logger.info(`   • Filtros:       http://localhost:${port}/api/products?category=computacion&sort=asc`);
+    logger.info(`   • Búsqueda:      http://localhost:${port}/api/products?search=apple`);
+    logger.info('\n' + '='.repeat(60) + '\n');
+}
+
+// Ejecutar desde la terminal: npm start
+if (require.main === module) {
+    (async () => {
+        try {
+            const { httpServer, shutdown } = await startServer();
+            handleSignals(shutdown);
+            logEndpoints(httpServer.address().port);
+        } catch (error) {
+            logger.error('❌ Error fatal iniciando servidor:', error.message);
+            logger.error('\n💡 Posibles soluciones:');
+            logger.error('   1. Verifica que MongoDB esté ejecutándose');
+            logger.error('   2. Revisa la variable MONGODB_URI en .env');
+            logger.error('   3. Si usas MongoDB Atlas, verifica las credenciales\n');
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = { startServer };
@@ -0,0 +1,177 @@
+const Cart = require('../models/Cart.model');
+const Product = require('../models/Product.model');
+const Reservation = require('../models/Reservation.model');
+const reservationsConfig = require('../config/reservations');
+const currencyConfig = require('../config/currency');
+const { buildCartLines, summarizeCart } = require('../utils/discounts');
+const { cartRoom } = require('./reservations.service');
+const logger = require('../utils/logger');
+
+// Sincronización del carrito en tiempo real: cada cambio se envía a la sala
+// del carrito (todas las pestañas y dispositivos del dueño) con el evento
+// "cartUpdated", que incluye el carrito completo y los avisos de stock.
+
+// Desde cuántas unidades libres se avisa "quedan pocas"
+const LOW_STOCK_THRESHOLD = 3;
+
+// Aviso de stock de una línea (null si no hay nada que avisar).
+// "available" son las unidades que este carrito puede comprar: el stock libre
+// más lo que el propio carrito tiene reservado.
+function stockWarning(title, quantity, available, purchasable) {
+    if (!purchasable || available === 0) {
+        return { level: 'unavailable', message: `${title} ya no está disponible` };
+    }
+    if (available < quantity) {
+        return { level: 'insufficient', message: `Solo quedan ${available} unidad(es) de ${title} y tenés ${quantity} en el carrito` };
+    }
+    if (available <= LOW_STOCK_THRESHOLD) {
+        return { level: 'low', message: `¡Solo quedan ${available} unidad(es) de ${title}!` };
+    }
+    return null;
+}
+
+// Estado de una línea del carrito para el cliente
+function describeLine(productId, product, item, reservedUnits, knownTitles) {
+    const variantId = item.variant ? item.variant.toString() : null;
+
+    // Producto eliminado del catálogo
+    if (!product) {
+        const title = knownTitles.get(productId) || 'Un producto del carrito';
+        return {
+            product: productId,
+            variant: variantId,
+            title,
+            quantity: item.quantity,
+            available: 0,
+            warning: stockWarning(title, item.quantity, 0, false)
+        };
+    }
+
+    const variant = variantId ? product.getVariant(variantId) : null;
+    const title = variant && variant.sku ? `${product.title} (${variant.sku})` : product.title;
+    const available = product.availableStockFor(variantId) + reservedUnits;
+    const purchasable = Boolean(product.status && (!variantId || (variant && variant.status)));
+
+    return {
+        product: productId,
+        variant: variantId,
+        title,
+        quantity: item.quantity,
+        available,
+        warning: stockWarning(title, item.quantity, available, purchasable)
+    };
+}
+
+// Carrito listo para enviar por Socket.IO (coupon populado). Los productos se
+// buscan aparte para conservar el ID de los que ya no existen.
+async function buildCartState(cart, knownTitles = new Map()) {
+    const [products, reservations] = await Promise.all([
+        Product.find({ _id: { $in: cart.products.map(item => item.product) } }),
+        reservationsConfig.enabled ? Reservation.find({ cart: cart._id }).lean() : []
+    ]);
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+    const reservedFor = (productId, variantId) => {
+        const reservation = reservations.find(r =>
+            r.product.toString() === productId &&
+            String(r.variant || '') === String(variantId || '')
+        );
+        return reservation ? reservation.quantity : 0;
+    };
+
+    const lines = cart.products.map(item => {
+        const productId = item.product.toString();
+        const product = productsById.get(productId) || null;
+        return describeLine(productId, product, item, reservedFor(productId, item.variant), knownTitles);
+    });
+
+    // Subtotal, descuentos y total en la moneda base
+    const currency = currencyConfig.baseCurrency;
+    const coupon = cart.coupon && cart.coupon.code ? cart.coupon : null;
+    const cartProducts = cart.products.map(item => ({
+        product: productsById.get(item.product.toString()) || null,
+        variant: item.variant,
+        quantity: item.quantity
+    }));
+    const summary = summarizeCart(buildCartLines(cartProducts, currency), coupon, { currency });
+
+    return {
+        cartId: cart._id.toString(),
+        products: lines,
+        warnings: lines.filter(line => line.warning).map(line => ({
+            product: line.product,
+            variant: line.variant,
+            ...line.warning
+        })),
+        couponCode: cart.coupon && cart.coupon.code ? cart.coupon.code : null,
+        currency: summary.currency,
+        subtotal: summary.subtotal,
+        discounts: summary.discounts,
+        total: summary.total
+    };
+}
+
+async function loadCart(filter) {
+    return Cart.find(filter).populate('coupon');
+}
+
+// Estado de un carrito por ID (null si no existe)
+async function getCartState(cartId, knownTitles) {
+    const [cart] = await loadCart({ _id: cartId });
+    return cart ? buildCartState(cart, knownTitles) : null;
+}
+
+// Enviar el carrito actualizado a todas las sesiones abiertas del carrito.
+// "action" indica qué pasó: add, remove, update, clear, coupon, purchase o stock.
+async function emitCartUpdate(io, cartId, action, knownTitles) {
+    if (!io) {
+        return;
+    }
+    const state = await getCartState(cartId, knownTitles);
+    if (!state) {
+        return;
+    }
+    io.to(cartRoom(cartId)).emit('cartUpdated', { action, ...state });
+}
+
+// Avisar a los carritos que contienen estos productos que cambió su stock,
+// precio o disponibilidad. Acepta documentos (para conservar el título de los
+// productos eliminados) o IDs. "exclude" omite el carrito que originó el cambio.
+async function notifyCartsOfStockChange(io, products, { exclude = null } = {}) {
+    if (!io || products.length === 0) {
+        return;
+    }
+
+    const knownTitles = new Map();
+    const productIds = products.map(product => {
+        const id = product && product._id ? product._id : product;
+        if (product && product.title) {
+            knownTitles.set(id.toString(), product.title);
+        }
+        return id;
+    });
+
+    const filter = { 'products.product': { $in: productIds } };
+    if (exclude) {
+        filter._id = { $ne: exclude };
+    }
+
+    const carts = await loadCart(filter);
+    await Promise.all(carts.map(async cart => {
+        const state = await buildCartState(cart, knownTitles);
+        io.to(cartRoom(cart._id.toString())).emit('cartUpdated', { action: 'stock', ...state });
+    }));
+}
+
+// Ejecutar una sincronización sin afectar la respuesta HTTP si falla
+function syncInBackground(task) {
+    task.catch(error => logger.error('Error sincronizando carritos:', error));
+}
+
+module.exports = {
+    LOW_STOCK_THRESHOLD,
+    buildCartState,
+    getCartState,
+    emitCartUpdate,
+    notifyCartsOfStockChange,
+    syncInBackground
+};
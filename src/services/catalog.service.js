@@ -0,0 +1,639 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const Product = require('../models/Product.model');
+const Category = require('../models/Category.model');
+const catalogConfig = require('../config/catalog');
+const { parseCsv, toCsvLine, unescapeCsvValue } = require('../utils/csv');
+const { FILTER_PARAMS } = require('../utils/productFilters');
+const { OBJECT_ID_REGEX } = require('../utils/validation');
+const { ValidationError } = require('../utils/errors');
+const { findProducts, mergeVariants } = require('./products.service');
+
+// Operaciones sobre muchos productos a la vez: importación y exportación del
+// catálogo (CSV y JSON usan los mismos campos; las variantes solo se pueden
+// importar y exportar en JSON) y cambios masivos de precio, stock, estado o categoría.
+
+// Columnas del CSV (en este orden se exporta)
+const CSV_COLUMNS = ['code', 'title', 'description', 'price', 'currency', 'stock', 'category', 'status', 'weight', 'thumbnails'];
+
+// Campos que se aceptan en cada fila (el resto se ignora)
+const IMPORT_FIELDS = [...CSV_COLUMNS, 'variants'];
+const VARIANT_FIELDS = ['sku', 'attributes', 'price', 'stock', 'status', 'weight'];
+
+const INTEGER_COLUMNS = ['price', 'stock', 'weight'];
+const TRUE_VALUES = ['true', '1', 'si', 'sí', 'yes'];
+const FALSE_VALUES = ['false', '0', 'no'];
+
+// Las miniaturas van en una sola celda separadas por "|"
+const LIST_SEPARATOR = '|';
+
+// Error de formato del archivo (se responde con 400)
+function importFormatError(message) {
+    return new ValidationError(message, [], { code: 'INVALID_IMPORT_FILE' });
+}
+
+// Detectar el formato por el tipo declarado o la extensión del archivo
+function detectFormat(mimetype = '', filename = '') {
+    const extension = path.extname(filename).toLowerCase();
+    if (mimetype.includes('json') || extension === '.json') {
+        return 'json';
+    }
+    if (mimetype.includes('csv') || extension === '.csv' || mimetype.startsWith('text/')) {
+        return 'csv';
+    }
+    return null;
+}
+
+// Convertir una celda del CSV al tipo del campo (undefined si está vacía)
+function parseCsvCell(column, raw, errors) {
+    const value = unescapeCsvValue(raw.trim());
+    if (value === '') {
+        return undefined;
+    }
+    if (INTEGER_COLUMNS.includes(column)) {
+        const number = Number(value);
+        if (!Number.isInteger(number)) {
+            errors.push(`${column} debe ser un número entero${column === 'price' ? ' en unidades menores' : ''}`);
+            return undefined;
+        }
+        return number;
+    }
+    if (column === 'status') {
+        const lower = value.toLowerCase();
+        if (TRUE_VALUES.includes(lower)) return true;
+        if (FALSE_VALUES.includes(lower)) return false;
+        errors.push('status debe ser true o false');
+        return undefined;
+    }
+    if (column === 'thumbnails') {
+        return value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+    }
+    return value;
+}
+
+// Filas del CSV: la primera línea son los nombres de columna
+function rowsFromCsv(text) {
+    const records = parseCsv(text);
+    if (records.length === 0) {
+        throw importFormatError('El archivo está vacío');
+    }
+
+    const headers = records[0].values.map(header => header.trim());
+    const unknown = headers.filter(header => !CSV_COLUMNS.includes(header));
+    if (unknown.length > 0) {
+        throw importFormatError(`Columnas desconocidas: ${unknown.join(', ')}. Columnas válidas: ${CSV_COLUMNS.join(', ')}`);
+    }
+    if (!headers.includes('code')) {
+        throw importFormatError('Falta la columna code');
+    }
+
+    return records.slice(1).map(({ line, values }) => {
+        const errors = [];
+        const data = {};
+        if (values.length !== headers.length) {
+            errors.push(`La fila tiene ${values.length} columnas y el encabezado ${headers.length}`);
+        }
+        headers.forEach((header, index) => {
+            const value = parseCsvCell(header, values[index] || '', errors);
+            if (value !== undefined) {
+                data[header] = value;
+            }
+        });
+        return { row: line, data, errors };
+    });
+}
+
+// Filas del JSON: un array de productos o { "products": [...] }
+function rowsFromJson(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw importFormatError(`JSON inválido: ${error.message}`);
+    }
+    return rowsFromObjects(Array.isArray(parsed) ? parsed : parsed && parsed.products);
+}
+
+function rowsFromObjects(items) {
+    if (!Array.isArray(items)) {
+        throw importFormatError('Se espera un array de productos o un objeto con el campo products');
+    }
+    return items.map((item, index) => {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            return { row: index + 1, data: {}, errors: ['La fila debe ser un objeto'] };
+        }
+        const data = {};
+        IMPORT_FIELDS.forEach(field => {
+            if (item[field] !== undefined && item[field] !== null && item[field] !== '') {
+                data[field] = item[field];
+            }
+        });
+        if (Array.isArray(data.variants)) {
+            data.variants = data.variants.map(variant => pickFields(variant, VARIANT_FIELDS));
+        }
+        return { row: index + 1, data, errors: [] };
+    });
+}
+
+function pickFields(source, fields) {
+    const result = {};
+    if (source && typeof source === 'object') {
+        fields.forEach(field => {
+            if (source[field] !== undefined) {
+                result[field] = source[field];
+            }
+        });
+    }
+    return result;
+}
+
+// Leer las filas a importar: archivo (CSV o JSON) o productos ya parseados (body JSON)
+function parseImportInput({ text, format, items }) {
+    const rows = items ? rowsFromObjects(items) : format === 'json' ? rowsFromJson(text) : rowsFromCsv(text);
+
+    if (rows.length === 0) {
+        throw importFormatError('El archivo no tiene productos');
+    }
+    if (rows.length > catalogConfig.maxImportRows) {
+        throw importFormatError(`El archivo tiene ${rows.length} filas. El máximo es ${catalogConfig.maxImportRows}`);
+    }
+    return rows;
+}
+
+// Normalizar el código como lo guarda el modelo (mayúsculas, sin espacios)
+function normalizeCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : code;
+}
+
+// Resolver la categoría (ID, slug o nombre) con caché por valor
+async function resolveCategory(value, cache) {
+    const key = String(value).trim().toLowerCase();
+    if (!cache.has(key)) {
+        const category = await Category.resolve(value);
+        cache.set(key, category ? category._id : null);
+    }
+    return cache.get(key);
+}
+
+// Mensajes de validación de un producto. Los de basePrice se omiten: es un
+// campo calculado y su error repite el de price.
+function validationMessages(error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+        return Object.entries(error.errors)
+            .filter(([field]) => field !== 'basePrice')
+            .map(([, err]) => err.message);
+    }
+    return [error.message];
+}
+
+// Campos de primer nivel que cambiaron en el documento, listos para un $set
+// (incluye los calculados, como basePrice). null si no cambió nada.
+function changedFields(product) {
+    const changed = product.modifiedPaths().filter(field => !field.includes('.'));
+    if (changed.length === 0) {
+        return null;
+    }
+    const update = {};
+    changed.forEach(field => {
+        const value = product.get(field);
+        update[field] = value && typeof value.toObject === 'function' ? value.toObject({ depopulate: true, virtuals: false }) : value;
+    });
+    return update;
+}
+
+// Validar una tanda de filas contra el esquema y armar las operaciones del bulkWrite
+async function prepareBatch(batch, categoryCache) {
+    const codes = batch.filter(item => item.errors.length === 0).map(item => item.data.code);
+    const existing = await Product.find({ code: { $in: codes } });
+    const existingByCode = new Map(existing.map(product => [product.code, product]));
+    const operations = [];
+
+    for (const item of batch) {
+        if (item.errors.length > 0) {
+            continue;
+        }
+
+        const data = { ...item.data };
+        if (data.category !== undefined) {
+            const categoryId = await resolveCategory(data.category, categoryCache);
+            if (!categoryId) {
+                item.errors.push(`Categoría ${data.category} no encontrada`);
+                continue;
+            }
+            data.category = categoryId;
+        }
+
+        const current = existingByCode.get(data.code);
+        if (data.variants !== undefined) {
+            data.variants = mergeVariants(current ? current.variants : [], data.variants);
+        }
+        const product = current || new Product();
+        product.set(data);
+
+        try {
+            await product.validate();
+        } catch (error) {
+            item.errors.push(...validationMessages(error));
+            continue;
+        }
+
+        if (!current) {
+            item.status = 'created';
+            item.productId = product._id;
+            operations.push({ item, op: { insertOne: { document: product.toObject({ virtuals: false, depopulate: true }) } } });
+            continue;
+        }
+
+        const update = changedFields(product);
+        item.productId = product._id;
+        if (!update) {
+            item.status = 'unchanged';
+            continue;
+        }
+        item.status = 'updated';
+        operations.push({ item, op: { updateOne: { filter: { _id: product._id }, update: { $set: update } } } });
+    }
+
+    return operations;
+}
+
+// Escribir la tanda; los errores (por ejemplo SKU repetido) se asignan a su fila
+async function writeBatch(operations) {
+    if (operations.length === 0) {
+        return;
+    }
+    try {
+        await Product.bulkWrite(operations.map(({ op }) => op), { ordered: false });
+    } catch (error) {
+        const writeErrors = error.writeErrors || [];
+        if (writeErrors.length === 0) {
+            throw error;
+        }
+        writeErrors.forEach(writeError => {
+            const { item } = operations[writeError.index];
+            item.status = undefined;
+            item.errors.push(writeError.code === 11000
+                ? 'El código o el SKU de una variante ya existe en otro producto'
+                : writeError.errmsg || 'Error al guardar el producto');
+        });
+    }
+}
+
+// Importar filas: valida cada una contra el esquema y crea o actualiza por
+// código en tandas. Con dryRun solo valida y reporta lo que haría.
+async function importProducts(rows, { dryRun = false } = {}) {
+    // Códigos repetidos dentro del mismo archivo
+    const firstRowByCode = new Map();
+    rows.forEach(item => {
+        if (item.data.code === undefined) {
+            item.errors.push('El código es requerido');
+            return;
+        }
+        item.data.code = normalizeCode(String(item.data.code));
+        if (firstRowByCode.has(item.data.code)) {
+            item.errors.push(`Código ${item.data.code} repetido (ya aparece en la fila ${firstRowByCode.get(item.data.code)})`);
+        } else {
+            firstRowByCode.set(item.data.code, item.row);
+        }
+    });
+
+    const categoryCache = new Map();
+    for (let start = 0; start < rows.length; start += catalogConfig.importBatchSize) {
+        const batch = rows.slice(start, start + catalogConfig.importBatchSize);
+        const operations = await prepareBatch(batch, categoryCache);
+        if (!dryRun) {
+            await writeBatch(operations);
+        }
+    }
+
+    const report = rows.map(item => ({
+        row: item.row,
+        code: item.data.code,
+        status: item.errors.length > 0 ? 'failed' : item.status,
+        productId: item.errors.length > 0 ? undefined : item.productId,
+        errors: item.errors.length > 0 ? item.errors : undefined
+    }));
+    const count = status => report.filter(item => item.status === status).length;
+
+    return {
+        dryRun,
+        total: report.length,
+        created: count('created'),
+        updated: count('updated'),
+        unchanged: count('unchanged'),
+        failed: count('failed'),
+        rows: report
+    };
+}
+
+// Producto en el formato de importación (categoría como slug)
+function toExportRecord(product) {
+    const record = {};
+    CSV_COLUMNS.forEach(column => {
+        record[column] = product[column];
+    });
+    record.category = product.category ? product.category.slug : null;
+    record.variants = (product.variants || []).map(variant => pickFields(variant, VARIANT_FIELDS));
+    return record;
+}
+
+function toCsvRecord(product) {
+    const record = toExportRecord(product);
+    return toCsvLine(CSV_COLUMNS.map(column =>
+        Array.isArray(record[column]) ? record[column].join(LIST_SEPARATOR) : record[column]
+    ));
+}
+
+function isOutputClosed(output) {
+    return output.destroyed || output.writableEnded;
+}
+
+// Escribir un fragmento respetando la contrapresión. La espera termina también
+// si la salida se cierra o falla (cliente desconectado). Devuelve false si ya
+// no se puede seguir escribiendo.
+async function writeChunk(output, chunk) {
+    if (isOutputClosed(output)) {
+        return false;
+    }
+    if (!output.write(chunk)) {
+        await new Promise(resolve => {
+            const done = () => {
+                output.off('drain', done);
+                output.off('close', done);
+                output.off('error', done);
+                resolve();
+            };
+            output.on('drain', done);
+            output.on('close', done);
+            output.on('error', done);
+        });
+    }
+    return !isOutputClosed(output);
+}
+
+// Escribir el catálogo en la respuesta a medida que se lee de la base
+// (respetando la contrapresión del stream). Devuelve false si la salida se
+// cerró antes de terminar; el cursor se cierra siempre.
+async function streamProducts(query, format, output) {
+    const cursor = query.populate('category', 'slug').lean().cursor();
+    let first = true;
+
+    try {
+        if (!(await writeChunk(output, format === 'csv' ? toCsvLine(CSV_COLUMNS) : '[\n'))) {
+            return false;
+        }
+        for await (const product of cursor) {
+            const chunk = format === 'csv'
+                ? toCsvRecord(product)
+                : `${first ? '' : ',\n'}${JSON.stringify(toExportRecord(product))}`;
+            if (!(await writeChunk(output, chunk))) {
+                return false;
+            }
+            first = false;
+        }
+        return format === 'json' ? writeChunk(output, '\n]\n') : true;
+    } finally {
+        await cursor.close();
+    }
+}
+
+// Operaciones masivas y sus parámetros (se debe enviar exactamente uno)
+const BULK_OPERATIONS = {
+    status: ['value'],
+    price: ['percent', 'amount'],
+    stock: ['set', 'adjust'],
+    category: ['value']
+};
+
+// Validar la operación: { type: 'price', percent: -10 }
+function parseBulkOperation(operation, errors) {
+    if (!operation || typeof operation !== 'object' || Array.isArray(operation)) {
+        errors.push(`operation es requerido: { type, ... } con type ${Object.keys(BULK_OPERATIONS).join(', ')}`);
+        return null;
+    }
+
+    const { type } = operation;
+    if (!Object.prototype.hasOwnProperty.call(BULK_OPERATIONS, type)) {
+        errors.push(`operation.type debe ser uno de: ${Object.keys(BULK_OPERATIONS).join(', ')}`);
+        return null;
+    }
+
+    const given = BULK_OPERATIONS[type].filter(name => operation[name] !== undefined);
+    if (given.length !== 1) {
+        errors.push(`La operación ${type} requiere exactamente uno de: ${BULK_OPERATIONS[type].join(', ')}`);
+        return null;
+    }
+    const param = given[0];
+    const value = operation[param];
+
+    if (type === 'status' && typeof value !== 'boolean') {
+        errors.push('operation.value debe ser true o false');
+    } else if (type === 'price' && param === 'percent' && (typeof value !== 'number' || !Number.isFinite(value) || value <= -100)) {
+        errors.push('operation.percent debe ser un número mayor a -100');
+    } else if (((type === 'price' && param === 'amount') || type === 'stock') && !Number.isInteger(value)) {
+        errors.push(`operation.${param} debe ser un número entero${type === 'price' ? ' en unidades menores' : ''}`);
+    } else if (type === 'stock' && param === 'set' && value < 0) {
+        errors.push('operation.set debe ser mayor o igual a 0');
+    } else if (type === 'category' && (typeof value !== 'string' || value.trim() === '')) {
+        errors.push('operation.value debe ser el ID, slug o nombre de la categoría');
+    }
+
+    return { type, param, value };
+}
+
+// Filtro de la operación: mismos parámetros que GET /api/products (sin
+// paginación ni orden). Los valores tienen que ser strings; se aceptan
+// booleanos y números para no ignorar, por ejemplo, { "status": false }.
+function parseBulkFilter(filter, errors) {
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+        errors.push('filter debe ser un objeto');
+        return null;
+    }
+
+    const allowed = FILTER_PARAMS.filter(name => name !== 'sort');
+    const query = {};
+    Object.entries(filter).forEach(([name, value]) => {
+        if (!allowed.includes(name)) {
+            errors.push(`filter.${name} no es un filtro válido. Filtros: ${allowed.join(', ')}`);
+        } else if (['string', 'boolean', 'number'].includes(typeof value)) {
+            query[name] = String(value);
+        } else {
+            errors.push(`filter.${name} debe ser un string`);
+        }
+    });
+
+    if (Object.values(query).every(value => value.trim() === '')) {
+        errors.push('filter no puede estar vacío: indicá al menos un filtro o usá ids');
+    }
+    return query;
+}
+
+function parseBulkIds(ids, errors) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+        errors.push('ids debe ser un array con al menos un ID de producto');
+        return null;
+    }
+    const invalid = ids.filter(id => typeof id !== 'string' || !OBJECT_ID_REGEX.test(id));
+    if (invalid.length > 0) {
+        errors.push(`IDs de producto inválidos: ${invalid.map(String).join(', ')}`);
+    }
+    return [...new Set(ids)];
+}
+
+// Aplicar la operación a un producto (en memoria). Devuelve los errores propios
+// del producto que el esquema no puede detectar.
+function applyBulkOperation(product, { type, param, value }, categoryId) {
+    switch (type) {
+        case 'status':
+            product.status = value;
+            return [];
+        case 'category':
+            product.category = categoryId;
+            return [];
+        case 'price': {
+            const adjust = price => (param === 'percent' ? Math.round(price * (1 + value / 100)) : price + value);
+            product.price = adjust(product.price);
+            // Las variantes con precio propio se ajustan igual que el producto
+            product.variants.forEach(variant => {
+                if (variant.price !== null && variant.price !== undefined) {
+                    variant.price = adjust(variant.price);
+                }
+            });
+            return [];
+        }
+        case 'stock': {
+            if (product.variants.length > 0) {
+                return ['El stock de los productos con variantes se modifica en cada variante'];
+            }
+            const stock = param === 'set' ? value : product.stock + value;
+            if (stock >= 0 && stock < (product.reserved || 0)) {
+                return [`El stock no puede quedar por debajo de las ${product.reserved} unidad(es) reservadas`];
+            }
+            product.stock = stock;
+            return [];
+        }
+        default:
+            return [];
+    }
+}
+
+// Modificar muchos productos con una sola operación. Los productos se eligen
+// por "ids" o por "filter"; cada uno se valida con el esquema y los cambios se
+// escriben con un solo bulkWrite. Devuelve { errors } si la solicitud es inválida.
+async function bulkUpdateProducts({ ids, filter, operation } = {}) {
+    const errors = [];
+    if ((ids === undefined) === (filter === undefined)) {
+        errors.push('Se debe enviar ids o filter (uno de los dos)');
+    }
+    const productIds = ids !== undefined ? parseBulkIds(ids, errors) : null;
+    const query = filter !== undefined ? parseBulkFilter(filter, errors) : null;
+    const parsedOperation = parseBulkOperation(operation, errors);
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    let categoryId = null;
+    if (parsedOperation.type === 'category') {
+        const category = await Category.resolve(parsedOperation.value);
+        if (!category) {
+            return { errors: [`Categoría ${parsedOperation.value} no encontrada`] };
+        }
+        categoryId = category._id;
+    }
+
+    let productsQuery;
+    if (productIds) {
+        productsQuery = Product.find({ _id: { $in: productIds } });
+    } else {
+        const result = await findProducts(query);
+        if (result.errors.length > 0) {
+            return { errors: result.errors };
+        }
+        productsQuery = result.query;
+    }
+
+    const products = await productsQuery.limit(catalogConfig.maxBulkProducts + 1);
+    if (products.length > catalogConfig.maxBulkProducts) {
+        return { errors: [`La operación afecta más de ${catalogConfig.maxBulkProducts} productos; usá un filtro más específico`] };
+    }
+
+    const failures = [];
+    const operations = [];
+    // Productos que se intentan escribir; los que chocan con el control de
+    // conflictos no se modifican y no se informan como actualizados
+    const candidateIds = [];
+    // updatedAt de esta escritura: bulkWrite solo devuelve totales, así que es
+    // la forma de saber después qué operaciones encontraron su producto
+    const writtenAt = new Date();
+    let unchanged = 0;
+
+    for (const product of products) {
+        const lastUpdate = product.updatedAt;
+        const productErrors = applyBulkOperation(product, parsedOperation, categoryId);
+        if (productErrors.length === 0) {
+            try {
+                await product.validate();
+            } catch (error) {
+                productErrors.push(...validationMessages(error));
+            }
+        }
+        if (productErrors.length > 0) {
+            failures.push({ _id: product._id, code: product.code, errors: productErrors });
+            continue;
+        }
+
+        const update = changedFields(product);
+        if (!update) {
+            unchanged++;
+            continue;
+        }
+        // Solo se escribe si el producto no cambió desde que se leyó (por ejemplo
+        // por una compra); si cambió, se informa como conflicto
+        const writeFilter = lastUpdate ? { _id: product._id, updatedAt: lastUpdate } : { _id: product._id };
+        operations.push({
+            updateOne: {
+                filter: writeFilter,
+                update: { $set: { ...update, updatedAt: writtenAt } },
+                timestamps: false
+            }
+        });
+        candidateIds.push(product._id);
+    }
+
+    let matched = 0;
+    let modified = 0;
+    let updatedIds = [];
+    if (operations.length > 0) {
+        const result = await Product.bulkWrite(operations, { ordered: false });
+        matched = result.matchedCount;
+        modified = result.modifiedCount;
+        updatedIds = matched === operations.length
+            ? candidateIds
+            : await Product.find({ _id: { $in: candidateIds }, updatedAt: writtenAt }).distinct('_id');
+    }
+
+    return {
+        errors: [],
+        summary: {
+            operation: parsedOperation,
+            matched: products.length,
+            modified,
+            unchanged,
+            conflicts: operations.length - matched,
+            failed: failures.length,
+            failures,
+            notFound: productIds ? productIds.filter(id => !products.some(product => product._id.toString() === id)) : undefined
+        },
+        updatedIds
+    };
+}
+
+module.exports = {
+    CSV_COLUMNS,
+    detectFormat,
+    parseImportInput,
+    importProducts,
+    streamProducts,
+    bulkUpdateProducts
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const storageConfig = require('../config/storage');
+const { getStorage } = require('./storage.service');
+const { ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Formatos que sharp debe detectar en el contenido (no alcanza con el MIME declarado)
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+// Error de imagen inválida (se responde con 400)
+function invalidImageError(message) {
+    return new ValidationError(message, [], { code: 'INVALID_IMAGE' });
+}
+
+// Procesar una imagen subida: genera la versión optimizada y la miniatura,
+// las guarda en el almacenamiento y devuelve los datos para Product.images
+async function saveProductImage(productId, file) {
+    let metadata;
+    try {
+        metadata = await sharp(file.buffer).metadata();
+    } catch (error) {
+        throw invalidImageError(`El archivo ${file.originalname} no es una imagen válida`);
+    }
+
+    if (!ALLOWED_FORMATS.includes(metadata.format)) {
+        throw invalidImageError(`Formato de imagen no permitido: ${metadata.format}`);
+    }
+
+    const [image, thumbnail] = await Promise.all([
+        sharp(file.buffer)
+            .rotate()
+            .resize({ width: storageConfig.imageMaxWidth, withoutEnlargement: true })
+            .webp({ quality: 82 })
+            .toBuffer({ resolveWithObject: true }),
+        sharp(file.buffer)
+            .rotate()
+            .resize(storageConfig.thumbnailSize, storageConfig.thumbnailSize, { fit: 'cover' })
+            .webp({ quality: 75 })
+            .toBuffer()
+    ]);
+
+    const storage = getStorage();
+    const baseKey = `products/${productId}/${crypto.randomBytes(8).toString('hex')}`;
+    const key = `${baseKey}.webp`;
+    const thumbnailKey = `${baseKey}-thumb.webp`;
+
+    const url = await storage.save(key, image.data, 'image/webp');
+    let thumbnailUrl;
+    try {
+        thumbnailUrl = await storage.save(thumbnailKey, thumbnail, 'image/webp');
+    } catch (error) {
+        await storage.remove(key);
+        throw error;
+    }
+
+    return {
+        url,
+        thumbnailUrl,
+        key,
+        thumbnailKey,
+        originalName: file.originalname,
+        mimeType: 'image/webp',
+        size: image.info.size,
+        width: image.info.width,
+        height: image.info.height
+    };
+}
+
+// Borrar del almacenamiento los archivos de una imagen (original y miniatura)
+async function removeProductImage(image) {
+    const storage = getStorage();
+    await Promise.all([
+        storage.remove(image.key),
+        storage.remove(image.thumbnailKey)
+    ]);
+}
+
+// Borrar varias imágenes sin cortar en el primer error (se registra y se sigue)
+async function removeProductImages(images = []) {
+    const results = await Promise.allSettled(images.map(removeProductImage));
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => logger.error('Error eliminando imagen:', result.reason));
+}
+
+module.exports = {
+    saveProductImage,
+    removeProductImage,
+    removeProductImages
+};
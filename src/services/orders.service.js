@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order.model');
+const { CUSTOM_LABELS, parsePagination, buildPageLink } = require('./products.service');
+const { hasRole } = require('../middlewares/auth');
+
+// Parsear filtros del listado de órdenes: status, sort (por fecha) y user (solo admin)
+function parseOrderFilters(query = {}, { canFilterByUser = false } = {}) {
+    const filter = {};
+    const params = {};
+    const errors = [];
+
+    if (query.status) {
+        const statuses = String(query.status).split(',').map(status => status.trim()).filter(Boolean);
+        const invalid = statuses.filter(status => !Order.STATUSES.includes(status));
+        if (invalid.length > 0) {
+            errors.push(`status inválido: ${invalid.join(', ')}. Valores permitidos: ${Order.STATUSES.join(', ')}`);
+        } else {
+            filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+            params.status = statuses.join(',');
+        }
+    }
+
+    let sort = { createdAt: -1 };
+    if (query.sort) {
+        if (query.sort === 'asc' || query.sort === 'desc') {
+            sort = { createdAt: query.sort === 'asc' ? 1 : -1 };
+            params.sort = query.sort;
+        } else {
+            errors.push('sort debe ser "asc" o "desc"');
+        }
+    }
+
+    if (query.user && canFilterByUser) {
+        if (mongoose.Types.ObjectId.isValid(query.user)) {
+            filter.user = query.user;
+            params.user = query.user;
+        } else {
+            errors.push('user debe ser un ID válido');
+        }
+    }
+
+    return { filter, sort, params, errors };
+}
+
+// Listar órdenes paginadas. Sin permisos de admin solo se ven las del usuario.
+async function listOrders(query = {}, { user, basePath = '/api/orders' } = {}) {
+    const isAdmin = hasRole(user, 'admin');
+    const pagination = parsePagination(query);
+    const { filter, sort, params, errors } = parseOrderFilters(query, { canFilterByUser: isAdmin });
+
+    const allErrors = [...pagination.errors, ...errors];
+    if (allErrors.length > 0) {
+        return { errors: allErrors, params, limit: pagination.limit };
+    }
+
+    if (!isAdmin) {
+        filter.user = user._id;
+    }
+
+    const result = await Order.paginate(filter, {
+        page: pagination.page,
+        limit: pagination.limit,
+        sort,
+        customLabels: CUSTOM_LABELS
+    });
+
+    return {
+        errors: [],
+        params,
+        payload: result.payload,
+        totalDocs: result.totalDocs,
+        limit: result.limit,
+        page: result.page,
+        totalPages: result.totalPages,
+        hasPrevPage: result.hasPrevPage,
+        hasNextPage: result.hasNextPage,
+        prevPage: result.prevPage,
+        nextPage: result.nextPage,
+        prevLink: result.hasPrevPage ? buildPageLink(basePath, result.prevPage, result.limit, params) : null,
+        nextLink: result.hasNextPage ? buildPageLink(basePath, result.nextPage, result.limit, params) : null
+    };
+}
+
+// Verificar si el usuario puede ver la orden (dueño o admin)
+function canAccessOrder(user, order) {
+    if (hasRole(user, 'admin')) {
+        return true;
+    }
+    return Boolean(user && user._id && order.user && order.user.toString() === user._id.toString());
+}
+
+// Verificar si el usuario puede pasar la orden al estado indicado:
+// el admin gestiona todo el ciclo, el comprador solo puede cancelar mientras está pendiente
+function canChangeOrderStatus(user, order, status) {
+    if (hasRole(user, 'admin')) {
+        return true;
+    }
+    return canAccessOrder(user, order) && status === 'cancelled' && order.status === 'pending';
+}
+
+module.exports = {
+    parseOrderFilters,
+    listOrders,
+    canAccessOrder,
+    canChangeOrderStatus
+};
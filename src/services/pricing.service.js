@@ -0,0 +1,207 @@
+const Category = require('../models/Category.model');
+const pricingConfig = require('../config/pricing');
+const currencyConfig = require('../config/currency');
+const { buildCartLines, summarizeCart } = require('../utils/discounts');
+const { convertAmount, multiplyAmount, parseCurrencyParam } = require('../utils/money');
+const { ValidationError } = require('../utils/errors');
+
+// Pipeline de precios del carrito: subtotal -> descuentos -> impuestos -> envío -> total.
+// Los montos son enteros en unidades menores de la moneda de la cotización.
+
+// Error de método de envío no disponible para la región (se responde con 400)
+function shippingMethodError(message) {
+    return new ValidationError(message, [], { code: 'INVALID_SHIPPING_METHOD' });
+}
+
+// Leer región, método de envío y moneda (query de la cotización o body de la compra)
+function parseQuoteOptions(input = {}) {
+    const errors = [];
+
+    const region = input.region ? String(input.region).trim().toUpperCase() : pricingConfig.defaultRegion;
+    if (!pricingConfig.regions.some(item => item.code === region)) {
+        errors.push(`region debe ser una de: ${pricingConfig.regions.map(item => item.code).join(', ')}`);
+    }
+
+    const shippingMethod = input.shippingMethod ? String(input.shippingMethod).trim() : undefined;
+    if (shippingMethod && !pricingConfig.shippingMethods.some(method => method.id === shippingMethod)) {
+        errors.push(`shippingMethod debe ser uno de: ${pricingConfig.shippingMethods.map(method => method.id).join(', ')}`);
+    }
+
+    const currency = parseCurrencyParam(input.currency, errors);
+
+    return { region, shippingMethod, currency, errors };
+}
+
+function findRegion(code) {
+    return pricingConfig.regions.find(region => region.code === code) ||
+        pricingConfig.regions.find(region => region.code === pricingConfig.defaultRegion);
+}
+
+// Slugs de cada categoría y sus ancestros (la propia primero), para aplicar
+// a una subcategoría las reglas de impuestos de su categoría padre
+async function loadCategoryPaths() {
+    const categories = await Category.find().select('slug parent').lean();
+    const byId = new Map(categories.map(category => [String(category._id), category]));
+    const paths = new Map();
+
+    categories.forEach(category => {
+        const path = [];
+        const visited = new Set();
+        let current = category;
+        while (current && !visited.has(String(current._id))) {
+            visited.add(String(current._id));
+            path.push(current.slug);
+            current = current.parent ? byId.get(String(current.parent)) : null;
+        }
+        paths.set(String(category._id), path);
+    });
+
+    return paths;
+}
+
+// Alícuota de una línea: gana la regla de la región sobre la general y, entre
+// ellas, la de la categoría más cercana. Sin reglas se usa la de la región.
+function taxRateFor(categoryPath, region) {
+    let best = null;
+
+    pricingConfig.taxRules.forEach(rule => {
+        if (rule.region && rule.region !== region.code) {
+            return;
+        }
+        const depth = categoryPath.indexOf(rule.category);
+        if (depth === -1) {
+            return;
+        }
+        const regional = Boolean(rule.region);
+        if (!best || (regional && !best.regional) || (regional === best.regional && depth < best.depth)) {
+            best = { rate: rule.rate, regional, depth };
+        }
+    });
+
+    return best ? best.rate : region.rate;
+}
+
+// Impuestos agrupados por alícuota sobre el importe de cada línea menos su descuento
+function calculateTaxes(lines, lineDiscounts, region, categoryPaths) {
+    const byRate = new Map();
+
+    lines.forEach((line, index) => {
+        const path = (line.category && categoryPaths.get(line.category)) || [];
+        const rate = taxRateFor(path, region);
+        const taxable = line.price * line.quantity - (lineDiscounts[index] || 0);
+        byRate.set(rate, (byRate.get(rate) || 0) + taxable);
+    });
+
+    const taxes = [...byRate.entries()]
+        .sort(([a], [b]) => b - a)
+        .map(([rate, taxable]) => ({ rate, taxable, amount: multiplyAmount(taxable, rate / 100) }));
+
+    return {
+        taxes,
+        taxTotal: taxes.reduce((sum, tax) => sum + tax.amount, 0)
+    };
+}
+
+// Tarifa de la franja que corresponde al valor (peso o subtotal)
+function bracketAmount(rates, value) {
+    const rate = rates.find(item => item.upTo === null || item.upTo === undefined || value <= item.upTo);
+    return rate ? rate.amount : rates[rates.length - 1].amount;
+}
+
+// Métodos de envío disponibles para la región, con su costo para el carrito.
+// El de precio se calcula sobre el subtotal con descuentos.
+function calculateShipping(lines, discountedSubtotal, region, currency) {
+    const weight = lines.reduce((sum, line) => sum + (line.weight || 0) * line.quantity, 0);
+    const subtotal = convertAmount(discountedSubtotal, currency, pricingConfig.currency);
+    const threshold = pricingConfig.freeShippingThreshold;
+    const reachesFreeShipping = threshold !== null && subtotal >= threshold;
+
+    const methods = pricingConfig.shippingMethods
+        .filter(method => !method.regions || method.regions.includes(region.code))
+        .map(method => {
+            const free = Boolean(method.freeShipping) && reachesFreeShipping;
+            const amount = method.type === 'flat'
+                ? method.amount
+                : bracketAmount(method.rates, method.type === 'weight' ? weight : subtotal);
+            return {
+                id: method.id,
+                name: method.name,
+                free,
+                amount: free || lines.length === 0 ? 0 : convertAmount(amount, pricingConfig.currency, currency)
+            };
+        });
+
+    return {
+        weight,
+        methods,
+        freeShippingThreshold: threshold !== null ? convertAmount(threshold, pricingConfig.currency, currency) : null,
+        // Cuánto falta para el envío gratis (0 si ya se alcanzó)
+        remainingForFreeShipping: threshold !== null
+            ? convertAmount(Math.max(0, threshold - subtotal), pricingConfig.currency, currency)
+            : null
+    };
+}
+
+// Verificar que el método de envío esté disponible en la región
+function resolveShippingMethod(regionCode, methodId) {
+    const region = findRegion(regionCode);
+    const available = pricingConfig.shippingMethods
+        .filter(method => !method.regions || method.regions.includes(region.code));
+    const method = methodId ? available.find(item => item.id === methodId) : available[0];
+    if (!method) {
+        throw shippingMethodError(`El método de envío ${methodId} no está disponible para ${region.name || region.code}`);
+    }
+    return method;
+}
+
+// Agregar impuestos y envío a un resumen de descuentos (ver summarizeCart)
+function applyTaxAndShipping(lines, summary, { region: regionCode, shippingMethod, categoryPaths }) {
+    const region = findRegion(regionCode);
+    const method = resolveShippingMethod(region.code, shippingMethod);
+    const { taxes, taxTotal } = calculateTaxes(lines, summary.lineDiscounts, region, categoryPaths);
+    const shippingOptions = calculateShipping(lines, summary.total, region, summary.currency);
+    const selected = shippingOptions.methods.find(item => item.id === method.id);
+
+    return {
+        region: { code: region.code, name: region.name },
+        taxes,
+        taxTotal,
+        shipping: {
+            method: selected.id,
+            name: selected.name,
+            amount: selected.amount,
+            free: selected.free,
+            weight: shippingOptions.weight
+        },
+        shippingMethods: shippingOptions.methods,
+        freeShippingThreshold: shippingOptions.freeShippingThreshold,
+        remainingForFreeShipping: shippingOptions.remainingForFreeShipping,
+        grandTotal: summary.total + taxTotal + selected.amount
+    };
+}
+
+// Cotizar un carrito (products.product y coupon populados)
+async function quoteCart(cart, { region, shippingMethod, currency = currencyConfig.baseCurrency, now = new Date() } = {}) {
+    const lines = buildCartLines(cart.products, currency);
+    const coupon = cart.coupon && cart.coupon.code ? cart.coupon : null;
+    const summary = summarizeCart(lines, coupon, { currency, now });
+    const categoryPaths = await loadCategoryPaths();
+    const pricing = applyTaxAndShipping(lines, summary, { region, shippingMethod, categoryPaths });
+
+    return {
+        currency,
+        subtotal: summary.subtotal,
+        discounts: summary.discounts,
+        discountTotal: summary.discountTotal,
+        couponError: summary.couponError,
+        ...pricing
+    };
+}
+
+module.exports = {
+    parseQuoteOptions,
+    loadCategoryPaths,
+    resolveShippingMethod,
+    applyTaxAndShipping,
+    quoteCart
+};
@@ -0,0 +1,171 @@
+const Product = require('../models/Product.model');
+const { listProducts, resolveCategoryIds, withAvailableStock, withDisplayPrice } = require('./products.service');
+const logger = require('../utils/logger');
+
+// Eventos incrementales del catálogo: en lugar de reenviar todos los productos
+// se envía solo el documento que cambió (product:created, product:updated y
+// product:deleted). Cada socket se suscribe a todo el catálogo o a algunas
+// categorías; las suscripciones se implementan con salas de Socket.IO.
+
+// Sala de los sockets suscriptos a todo el catálogo
+const ALL_PRODUCTS_ROOM = 'products:all';
+
+// Sala de todos los sockets suscriptos, sin importar el filtro (para los
+// cambios masivos, que se avisan con un solo evento products:changed)
+const SUBSCRIBERS_ROOM = 'products:subscribers';
+
+// Orden del listado en tiempo real: los más nuevos primero
+const SNAPSHOT_SORT = 'createdAt:desc';
+
+// Sala de una categoría (los suscriptos a una categoría padre también entran
+// en las salas de sus subcategorías)
+function categoryRoom(categoryId) {
+    return `products:category:${categoryId}`;
+}
+
+function productRooms(categoryId) {
+    return categoryId ? [ALL_PRODUCTS_ROOM, categoryRoom(categoryId)] : [ALL_PRODUCTS_ROOM];
+}
+
+function categoryIdOf(product) {
+    const category = product && product.category;
+    if (!category) {
+        return null;
+    }
+    return (category._id || category).toString();
+}
+
+// Página del catálogo para la suscripción del socket (mismo formato que GET /api/products)
+async function getProductSnapshot(subscription, page = 1) {
+    return listProducts({
+        category: subscription.category,
+        limit: subscription.limit,
+        page,
+        sort: SNAPSHOT_SORT
+    });
+}
+
+// Suscribir el socket (opcional: { category: 'audio,laptops', limit: 20 }) y
+// enviarle la primera página. Reemplaza la suscripción anterior.
+async function subscribeToProducts(socket, options = {}) {
+    const subscription = {
+        category: typeof options.category === 'string' && options.category.trim() !== ''
+            ? options.category.trim()
+            : undefined,
+        limit: options.limit
+    };
+
+    const snapshot = await getProductSnapshot(subscription);
+    if (snapshot.errors.length > 0) {
+        socket.emit('products:error', {
+            message: 'Parámetros de suscripción inválidos',
+            errors: snapshot.errors
+        });
+        return;
+    }
+
+    [...socket.rooms]
+        .filter(room => room.startsWith('products:'))
+        .forEach(room => socket.leave(room));
+
+    socket.join(SUBSCRIBERS_ROOM);
+    if (subscription.category) {
+        const categoryIds = await resolveCategoryIds(subscription.category.split(','));
+        categoryIds.forEach(id => socket.join(categoryRoom(id)));
+    } else {
+        socket.join(ALL_PRODUCTS_ROOM);
+    }
+
+    socket.data.productSubscription = { ...subscription, limit: snapshot.limit };
+    socket.emit('products:snapshot', snapshot);
+}
+
+// Enviar otra página de la suscripción actual (para los que llegan tarde o
+// van cargando más productos)
+async function sendProductsPage(socket, page) {
+    const subscription = socket.data.productSubscription;
+    if (!subscription) {
+        socket.emit('products:error', { message: 'Primero hay que suscribirse con products:subscribe' });
+        return;
+    }
+
+    const snapshot = await getProductSnapshot(subscription, page);
+    if (snapshot.errors.length > 0) {
+        socket.emit('products:error', {
+            message: 'Página inválida',
+            errors: snapshot.errors
+        });
+        return;
+    }
+    socket.emit('products:snapshot', snapshot);
+}
+
+// Producto tal como lo devuelve el listado (categoría populada, stock libre y precio a mostrar)
+async function toEventPayload(productId) {
+    const product = await Product.findById(productId).populate('category', 'name slug parent').lean();
+    return product ? withDisplayPrice(withAvailableStock(product)) : null;
+}
+
+async function emitProductCreated(io, product) {
+    const payload = await toEventPayload(product._id);
+    if (!io || !payload) {
+        return;
+    }
+    io.to(productRooms(categoryIdOf(payload))).emit('product:created', payload);
+}
+
+// "previousCategoryId": categoría antes del cambio. Si cambió, los suscriptos
+// solo a la categoría anterior reciben product:deleted.
+async function emitProductUpdated(io, product, previousCategoryId = null) {
+    const payload = await toEventPayload(product._id);
+    if (!io || !payload) {
+        return;
+    }
+    const categoryId = categoryIdOf(payload);
+    const rooms = productRooms(categoryId);
+    io.to(rooms).emit('product:updated', payload);
+
+    if (previousCategoryId && previousCategoryId.toString() !== categoryId) {
+        io.to(categoryRoom(previousCategoryId)).except(rooms).emit('product:deleted', {
+            _id: payload._id,
+            category: previousCategoryId.toString()
+        });
+    }
+}
+
+function emitProductDeleted(io, product) {
+    if (!io) {
+        return;
+    }
+    const categoryId = categoryIdOf(product);
+    io.to(productRooms(categoryId)).emit('product:deleted', {
+        _id: product._id.toString(),
+        category: categoryId
+    });
+}
+
+// Cambio masivo del catálogo (por ejemplo una importación): en lugar de un
+// evento por producto se envía un resumen y cada cliente vuelve a pedir su página
+function emitProductsChanged(io, summary) {
+    if (!io) {
+        return;
+    }
+    io.to(SUBSCRIBERS_ROOM).emit('products:changed', summary);
+}
+
+// Ejecutar un envío sin afectar la respuesta si falla
+function publishInBackground(task) {
+    task.catch(error => logger.error('Error enviando evento de producto:', error));
+}
+
+module.exports = {
+    ALL_PRODUCTS_ROOM,
+    categoryRoom,
+    subscribeToProducts,
+    sendProductsPage,
+    emitProductCreated,
+    emitProductUpdated,
+    emitProductDeleted,
+    emitProductsChanged,
+    publishInBackground
+};
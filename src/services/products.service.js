@@ -0,0 +1,404 @@
+const Product = require('../models/Product.model');
+const Category = require('../models/Category.model');
+const config = require('../config');
+const currencyConfig = require('../config/currency');
+const { parseProductFilters } = require('../utils/productFilters');
+const { convertAmount, toMinorUnits, fromMinorUnits } = require('../utils/money');
+const { removeProductImages } = require('./images.service');
+const { ConflictError } = require('../utils/errors');
+
+// Valores de paginación compartidos por la API y las vistas
+const DEFAULT_LIMIT = config.pagination.defaultLimit;
+const MAX_LIMIT = config.pagination.maxLimit;
+const DEFAULT_PAGE = 1;
+
+// Etiquetas de mongoose-paginate-v2: los documentos se devuelven en "payload"
+const CUSTOM_LABELS = {
+    docs: 'payload',
+    totalDocs: 'totalDocs',
+    limit: 'limit',
+    page: 'page',
+    totalPages: 'totalPages',
+    pagingCounter: 'pagingCounter',
+    hasPrevPage: 'hasPrevPage',
+    hasNextPage: 'hasNextPage',
+    prevPage: 'prevPage',
+    nextPage: 'nextPage'
+};
+
+// Parsear un entero positivo de la query (undefined si no viene)
+function parsePositiveInt(value, name, errors) {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        errors.push(`${name} debe ser un número entero mayor a 0`);
+        return undefined;
+    }
+    return number;
+}
+
+// Parsear page y limit con valores por defecto y tope de tamaño de página
+function parsePagination(query = {}) {
+    const errors = [];
+
+    const limit = parsePositiveInt(query.limit, 'limit', errors);
+    const page = parsePositiveInt(query.page, 'page', errors);
+
+    if (limit !== undefined && limit > MAX_LIMIT) {
+        errors.push(`limit no puede ser mayor a ${MAX_LIMIT}`);
+    }
+
+    return {
+        limit: limit !== undefined && limit <= MAX_LIMIT ? limit : DEFAULT_LIMIT,
+        page: page !== undefined ? page : DEFAULT_PAGE,
+        errors
+    };
+}
+
+// Límites de los rangos de precio del histograma (en la moneda base)
+const PRICE_BOUNDARIES = [0, 100, 250, 500, 1000, 2500];
+const PRICE_BOUNDARIES_MINOR = PRICE_BOUNDARIES.map(value => toMinorUnits(value, currencyConfig.baseCurrency));
+
+// Quitar del filtro las claves de una dimensión (cada faceta ignora su propio filtro)
+function omitKeys(filter, keys) {
+    const rest = { ...filter };
+    keys.forEach(key => delete rest[key]);
+    return rest;
+}
+
+// Resolver categorías pedidas (ID o slug) a IDs, incluyendo sus subcategorías
+async function resolveCategoryIds(categories) {
+    const found = await Promise.all(categories.map(value => Category.resolve(value)));
+    const ids = found.filter(Boolean).map(category => category._id);
+    return ids.length > 0 ? Category.getDescendantIds(ids) : [];
+}
+
+// Permitir indicar la categoría de un producto por ID, slug o nombre
+async function resolveCategoryInput(data) {
+    if (data && data.category !== undefined && data.category !== null && data.category !== '') {
+        const category = await Category.resolve(data.category);
+        if (category) {
+            data.category = category._id;
+        }
+    }
+    return data;
+}
+
+// Campos que no se pueden modificar al actualizar un producto (ID, timestamps y calculados)
+const PROTECTED_FIELDS = ['_id', 'createdAt', 'updatedAt', 'basePrice', 'reserved'];
+
+// Intentos de actualizar las variantes si el producto cambia mientras tanto
+// (por ejemplo, una reserva o una compra)
+const VARIANT_UPDATE_ATTEMPTS = 3;
+
+// Combinar las variantes enviadas con las existentes: las que ya existían (por
+// _id o, si no se envía, por SKU) conservan su _id y sus unidades reservadas,
+// porque los carritos y las reservas las referencian. Las nuevas empiezan sin reservas.
+function mergeVariants(existing = [], variants) {
+    if (!Array.isArray(variants)) {
+        return variants;
+    }
+    return variants.map(variant => {
+        const sku = typeof variant.sku === 'string' ? variant.sku.trim().toUpperCase() : variant.sku;
+        const current = existing.find(item => (variant._id
+            ? item._id.toString() === variant._id.toString()
+            : item.sku === sku));
+        const { reserved, ...fields } = variant;
+        return current
+            ? { ...fields, _id: current._id, reserved: current.reserved || 0 }
+            : fields;
+    });
+}
+
+// Actualizar un producto (API y WebSocket). Devuelve el producto actualizado
+// (null si no existe) y la categoría que tenía antes del cambio. Los cambios
+// van dentro de $set para que nunca se interpreten como operadores de MongoDB.
+// Si se envían variantes, se combinan con las actuales y solo se escriben si
+// el producto no cambió desde que se leyó (así no se pierden reservas).
+async function updateProduct(productId, changes = {}) {
+    const data = { ...changes };
+    PROTECTED_FIELDS.forEach(field => delete data[field]);
+
+    await resolveCategoryInput(data);
+
+    for (let attempt = 0; attempt < VARIANT_UPDATE_ATTEMPTS; attempt++) {
+        const current = await Product.findById(productId).select('category variants updatedAt').lean();
+        if (!current) {
+            return { product: null, previousCategory: null };
+        }
+
+        const update = data.variants !== undefined
+            ? { ...data, variants: mergeVariants(current.variants, data.variants) }
+            : data;
+        const filter = data.variants !== undefined
+            ? { _id: productId, updatedAt: current.updatedAt }
+            : { _id: productId };
+
+        const product = await Product.findOneAndUpdate(
+            filter,
+            { $set: update },
+            {
+                new: true, // Retorna el documento actualizado
+                runValidators: true // Ejecuta validaciones del esquema
+            }
+        );
+
+        if (product || data.variants === undefined) {
+            return {
+                product,
+                previousCategory: product && data.category !== undefined ? current.category : null
+            };
+        }
+    }
+
+    throw new ConflictError('El producto cambió mientras se actualizaba. Vuelve a intentarlo', {
+        code: 'PRODUCT_UPDATE_CONFLICT'
+    });
+}
+
+// Eliminar un producto (API y WebSocket) junto con sus imágenes subidas.
+// Devuelve el producto eliminado o null si no existe.
+async function deleteProduct(productId) {
+    const product = await Product.findByIdAndDelete(productId);
+    if (product) {
+        await removeProductImages(product.images);
+    }
+    return product;
+}
+
+// Agregar al filtro la condición de categorías (si se pidieron)
+async function applyCategoryFilter(filter, categories) {
+    if (categories.length > 0) {
+        filter.category = { $in: await resolveCategoryIds(categories) };
+    }
+    return filter;
+}
+
+// Construir el link a una página conservando los filtros activos
+function buildPageLink(basePath, pageNum, limit, params) {
+    const query = new URLSearchParams();
+    query.append('page', pageNum);
+    if (limit !== DEFAULT_LIMIT) query.append('limit', limit);
+    Object.entries(params).forEach(([name, value]) => query.append(name, value));
+    return `${basePath}?${query.toString()}`;
+}
+
+// Agregar a un producto plano (lean) el stock libre de reservas
+function withAvailableStock(product) {
+    const availableStock = (stock, reserved) => Math.max(0, stock - (reserved || 0));
+    return {
+        ...product,
+        availableStock: availableStock(product.stock, product.reserved),
+        variants: (product.variants || []).map(variant => ({
+            ...variant,
+            availableStock: availableStock(variant.stock, variant.reserved)
+        }))
+    };
+}
+
+// Agregar a un producto plano (lean) su precio y el de sus variantes
+// convertidos a la moneda en la que se muestran
+function withDisplayPrice(product, currency = currencyConfig.baseCurrency) {
+    const from = product.currency || currencyConfig.baseCurrency;
+    const display = (price) => convertAmount(price, from, currency);
+    return {
+        ...product,
+        displayCurrency: currency,
+        displayPrice: display(product.price),
+        variants: (product.variants || []).map(variant => ({
+            ...variant,
+            displayPrice: display(variant.price !== undefined && variant.price !== null ? variant.price : product.price)
+        }))
+    };
+}
+
+// Listar productos con filtros, ordenamiento, paginación y links de navegación.
+// Si hay parámetros inválidos no se consulta la base y se devuelven en errors.
+async function listProducts(query = {}, { basePath = '/api/products' } = {}) {
+    const pagination = parsePagination(query);
+    const { filter, categories, sort, projection, currency, params, errors } = parseProductFilters(query);
+
+    const allErrors = [...pagination.errors, ...errors];
+    if (allErrors.length > 0) {
+        return { errors: allErrors, params, limit: pagination.limit };
+    }
+
+    const options = {
+        page: pagination.page,
+        limit: pagination.limit,
+        lean: true, // Retorna objetos planos JS (más rápido)
+        customLabels: CUSTOM_LABELS,
+        populate: { path: 'category', select: 'name slug parent' }
+    };
+
+    if (sort) options.sort = sort;
+    if (projection) options.projection = projection;
+
+    await applyCategoryFilter(filter, categories);
+    const result = await Product.paginate(filter, options);
+
+    return {
+        errors: [],
+        params,
+        currency,
+        payload: result.payload.map(product => withDisplayPrice(withAvailableStock(product), currency)),
+        totalDocs: result.totalDocs,
+        limit: result.limit,
+        page: result.page,
+        totalPages: result.totalPages,
+        hasPrevPage: result.hasPrevPage,
+        hasNextPage: result.hasNextPage,
+        prevPage: result.prevPage,
+        nextPage: result.nextPage,
+        prevLink: result.hasPrevPage ? buildPageLink(basePath, result.prevPage, result.limit, params) : null,
+        nextLink: result.hasNextPage ? buildPageLink(basePath, result.nextPage, result.limit, params) : null
+    };
+}
+
+// Consulta con los mismos filtros y orden del listado pero sin paginar (para
+// recorrerla con un cursor). Sin sort se ordena por _id para un recorrido estable.
+async function findProducts(query = {}) {
+    const { filter, categories, sort, projection, params, errors } = parseProductFilters(query);
+
+    if (errors.length > 0) {
+        return { errors, params };
+    }
+
+    await applyCategoryFilter(filter, categories);
+
+    return {
+        errors: [],
+        params,
+        query: Product.find(filter, projection).sort(sort || { _id: 1 })
+    };
+}
+
+// Calcular facetas del catálogo con una sola agregación: cantidad por categoría,
+// disponibles/no disponibles e histograma de precios. Cada faceta aplica los
+// filtros activos excepto el de su propia dimensión.
+async function getProductFacets(query = {}) {
+    const { filter, categories, currency, params, errors } = parseProductFilters(query);
+
+    if (errors.length > 0) {
+        return { errors, params };
+    }
+
+    await applyCategoryFilter(filter, categories);
+
+    // $text solo puede usarse en el primer $match de la agregación
+    const baseMatch = filter.$text ? { $text: filter.$text } : {};
+    const dimensions = omitKeys(filter, ['$text']);
+
+    const matchExcept = (keys) => ({ $match: omitKeys(dimensions, keys) });
+
+    const [result] = await Product.aggregate([
+        { $match: baseMatch },
+        {
+            $facet: {
+                total: [
+                    { $match: dimensions },
+                    { $count: 'count' }
+                ],
+                categories: [
+                    matchExcept(['category']),
+                    { $group: { _id: '$category', count: { $sum: 1 } } }
+                ],
+                availability: [
+                    matchExcept(['status', 'stock', '$expr']),
+                    {
+                        $group: {
+                            _id: null,
+                            available: { $sum: { $cond: ['$status', 1, 0] } },
+                            unavailable: { $sum: { $cond: ['$status', 0, 1] } },
+                            inStock: {
+                                $sum: {
+                                    $cond: [{
+                                        $and: ['$status', { $gt: [{ $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] }, 0] }]
+                                    }, 1, 0]
+                                }
+                            }
+                        }
+                    }
+                ],
+                prices: [
+                    matchExcept(['basePrice']),
+                    {
+                        $bucket: {
+                            groupBy: '$basePrice',
+                            boundaries: PRICE_BOUNDARIES_MINOR,
+                            default: 'other',
+                            output: { count: { $sum: 1 } }
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+
+    // Sumar a cada categoría los productos de sus subcategorías
+    const allCategories = await Category.find().sort({ name: 1 }).lean();
+    const ownCounts = new Map(result.categories.map(item => [String(item._id), item.count]));
+    const childrenOf = new Map();
+    allCategories.forEach(category => {
+        const parentId = category.parent ? String(category.parent) : null;
+        if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+        childrenOf.get(parentId).push(String(category._id));
+    });
+    const countWithChildren = (id, visited = new Set()) => {
+        if (visited.has(id)) return 0;
+        visited.add(id);
+        return (ownCounts.get(id) || 0) +
+            (childrenOf.get(id) || []).reduce((sum, childId) => sum + countWithChildren(childId, visited), 0);
+    };
+
+    const availability = result.availability[0] || { available: 0, unavailable: 0, inStock: 0 };
+    // Límites en unidades de la moneda pedida, listos para usar como minPrice/maxPrice
+    const boundary = (minor) => fromMinorUnits(convertAmount(minor, currencyConfig.baseCurrency, currency), currency);
+    const lastBoundary = PRICE_BOUNDARIES_MINOR[PRICE_BOUNDARIES_MINOR.length - 1];
+
+    return {
+        errors: [],
+        params,
+        total: result.total.length > 0 ? result.total[0].count : 0,
+        categories: allCategories.map(category => ({
+            _id: category._id,
+            name: category.name,
+            slug: category.slug,
+            parent: category.parent,
+            count: countWithChildren(String(category._id))
+        })),
+        availability: {
+            available: availability.available,
+            unavailable: availability.unavailable,
+            inStock: availability.inStock
+        },
+        currency,
+        priceBuckets: result.prices.map(bucket => {
+            if (bucket._id === 'other') {
+                return { min: boundary(lastBoundary), max: null, count: bucket.count };
+            }
+            const index = PRICE_BOUNDARIES_MINOR.indexOf(bucket._id);
+            return { min: boundary(bucket._id), max: boundary(PRICE_BOUNDARIES_MINOR[index + 1]), count: bucket.count };
+        })
+    };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    CUSTOM_LABELS,
+    parsePagination,
+    buildPageLink,
+    withAvailableStock,
+    withDisplayPrice,
+    resolveCategoryIds,
+    resolveCategoryInput,
+    mergeVariants,
+    updateProduct,
+    deleteProduct,
+    listProducts,
+    findProducts,
+    getProductFacets
+};
@@ -0,0 +1,80 @@
+const Reservation = require('../models/Reservation.model');
+const reservationsConfig = require('../config/reservations');
+const logger = require('../utils/logger');
+
+// Sala de Socket.IO de un carrito
+function cartRoom(cartId) {
+    return `cart:${cartId}`;
+}
+
+// Liberar las reservas vencidas y avisar a los carritos afectados
+async function releaseExpiredReservations(io) {
+    const released = await Reservation.releaseExpired();
+
+    // Agrupar por carrito para enviar un solo aviso a cada uno
+    const byCart = new Map();
+    released.forEach(reservation => {
+        const cartId = reservation.cart.toString();
+        if (!byCart.has(cartId)) {
+            byCart.set(cartId, []);
+        }
+        byCart.get(cartId).push({
+            product: reservation.product,
+            variant: reservation.variant,
+            quantity: reservation.quantity
+        });
+    });
+
+    if (io) {
+        byCart.forEach((items, cartId) => {
+            io.to(cartRoom(cartId)).emit('reservationExpired', { cartId, items });
+        });
+    }
+
+    return released;
+}
+
+// Iniciar el barrido periódico de reservas vencidas.
+// Devuelve un objeto con stop() para detenerlo al cerrar el servidor.
+function startReservationSweeper(io) {
+    // Pasada en curso (null si no hay ninguna)
+    let running = null;
+
+    const sweep = async () => {
+        try {
+            const released = await releaseExpiredReservations(io);
+            if (released.length > 0) {
+                logger.info(`⏰ ${released.length} reserva(s) de stock vencida(s) liberada(s)`);
+            }
+        } catch (error) {
+            logger.error('Error liberando reservas vencidas:', error);
+        }
+    };
+
+    const timer = setInterval(() => {
+        // Evitar que dos pasadas se superpongan si una tarda más que el intervalo
+        if (running) {
+            return;
+        }
+        running = sweep().finally(() => {
+            running = null;
+        });
+    }, reservationsConfig.sweepIntervalMs);
+
+    // No mantener vivo el proceso solo por el barrido
+    timer.unref();
+
+    return {
+        // Detener el barrido; la promesa se resuelve cuando termina la pasada en curso
+        stop() {
+            clearInterval(timer);
+            return running || Promise.resolve();
+        }
+    };
+}
+
+module.exports = {
+    cartRoom,
+    releaseExpiredReservations,
+    startReservationSweeper
+};
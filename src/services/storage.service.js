@@ -0,0 +1,85 @@
+const fs = require('fs/promises');
+const path = require('path');
+const storageConfig = require('../config/storage');
+
+// Interfaz de almacenamiento: cualquier driver debe implementar
+//   save(key, buffer, contentType) -> Promise<string> (URL pública)
+//   remove(key)                    -> Promise<void>
+//   url(key)                       -> string
+// Las claves son rutas relativas con "/" (ej: products/<id>/<archivo>.webp).
+
+// Driver local: guarda los archivos en disco dentro de la carpeta pública
+function createLocalDiskStorage({ uploadsDir, publicPath }) {
+    const root = path.resolve(uploadsDir);
+
+    // Evitar que una clave escape de la carpeta de uploads (../)
+    function resolveKey(key) {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Clave de archivo inválida: ${key}`);
+        }
+        return filePath;
+    }
+
+    function url(key) {
+        return `${publicPath}/${key}`;
+    }
+
+    return {
+        name: 'local',
+        url,
+
+        async save(key, buffer) {
+            const filePath = resolveKey(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, buffer);
+            return url(key);
+        },
+
+        async remove(key) {
+            try {
+                await fs.unlink(resolveKey(key));
+            } catch (error) {
+                // Si el archivo ya no existe no hay nada que borrar
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        }
+    };
+}
+
+const drivers = {
+    local: createLocalDiskStorage
+};
+
+let currentStorage = null;
+
+// Registrar un driver adicional (S3, GCS, etc.) sin tocar el resto del código
+function registerStorageDriver(name, factory) {
+    drivers[name] = factory;
+}
+
+// Obtener la instancia del driver configurado (se crea una sola vez)
+function getStorage() {
+    if (!currentStorage) {
+        const factory = drivers[storageConfig.driver];
+        if (!factory) {
+            throw new Error(`Driver de almacenamiento desconocido: ${storageConfig.driver}`);
+        }
+        currentStorage = factory(storageConfig);
+    }
+    return currentStorage;
+}
+
+// Reemplazar la instancia en uso (útil para pruebas u otros entornos)
+function setStorage(storage) {
+    currentStorage = storage;
+}
+
+module.exports = {
+    createLocalDiskStorage,
+    registerStorageDriver,
+    getStorage,
+    setStorage
+};
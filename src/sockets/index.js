@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product.model');
+const { authenticateSocket, hasRole } = require('../middlewares/auth');
+const { resolveCategoryInput, updateProduct, deleteProduct } = require('../services/products.service');
+const { cartRoom } = require('../services/reservations.service');
+const { notifyCartsOfStockChange, syncInBackground } = require('../services/cartSync.service');
+const { validateSchema, OBJECT_ID_REGEX } = require('../utils/validation');
+const { productBody } = require('../schemas/products.schema');
+const {
+    subscribeToProducts,
+    sendProductsPage,
+    emitProductCreated,
+    emitProductUpdated,
+    emitProductDeleted,
+    publishInBackground
+} = require('../services/productEvents.service');
+const logger = require('../utils/logger');
+
+// Responder el acknowledgement del evento (si el cliente envió callback)
+function acknowledge(ack, response) {
+    if (typeof ack === 'function') {
+        ack(response);
+    }
+}
+
+// Verificar que el socket sea de un admin; si no, responder el error
+function requireSocketAdmin(socket, ack, action) {
+    if (hasRole(socket.data.user, 'admin')) {
+        return true;
+    }
+    acknowledge(ack, {
+        status: 'error',
+        message: socket.data.user
+            ? `Solo un administrador puede ${action} productos`
+            : `Debes iniciar sesión para ${action} productos`
+    });
+    return false;
+}
+
+// Validar los datos de un producto con el mismo esquema que la API. Devuelve
+// { value } con los campos permitidos o { error } con la respuesta para el ack.
+function validateProductData(data) {
+    const { value, errors } = validateSchema(productBody, data);
+    if (errors.length === 0) {
+        return { value };
+    }
+    return {
+        error: {
+            status: 'error',
+            message: 'Datos de producto inválidos',
+            errors: errors.map(error => error.message),
+            fields: Object.fromEntries(errors.map(error => [error.field, error.message]))
+        }
+    };
+}
+
+function isProductId(id) {
+    return typeof id === 'string' && OBJECT_ID_REGEX.test(id);
+}
+
+// Error de escritura de productos por WebSocket. "errors" tiene los mensajes
+// (igual que la API) y "fields" el mensaje de cada campo para el formulario.
+function productWriteError(error, fallbackMessage) {
+    if (error instanceof mongoose.Error.ValidationError) {
+        const details = Object.values(error.errors);
+        return {
+            status: 'error',
+            message: 'Datos de producto inválidos',
+            errors: details.map(err => err.message),
+            fields: Object.fromEntries(details.map(err => [err.path, err.message]))
+        };
+    }
+
+    if (error.name === 'CastError') {
+        if (error.path === '_id') {
+            return { status: 'error', message: 'ID de producto inválido' };
+        }
+        const message = `Valor inválido para ${error.path}`;
+        return {
+            status: 'error',
+            message: 'Datos de producto inválidos',
+            errors: [message],
+            fields: { [error.path]: message }
+        };
+    }
+
+    // Código repetido: lo detecta el modelo al guardar (DUPLICATE_PRODUCT_CODE)
+    // o el índice único si dos escrituras llegan a la vez (11000)
+    if (error.code === 'DUPLICATE_PRODUCT_CODE' || error.code === 11000) {
+        const message = 'El código de producto ya existe';
+        return {
+            status: 'error',
+            message,
+            errors: [message],
+            fields: { code: message }
+        };
+    }
+
+    return {
+        status: 'error',
+        message: error.message || fallbackMessage
+    };
+}
+
+// Registrar la autenticación y los eventos de WebSocket en el servidor de Socket.IO
+function registerSocketHandlers(io) {
+    io.use(authenticateSocket);
+
+    io.on('connection', (socket) => {
+        logger.debug('🔌 Nuevo cliente conectado:', socket.id);
+
+        // Unir al usuario a la sala de su carrito para recibir avisos del carrito
+        if (socket.data.user && socket.data.user.cart) {
+            socket.join(cartRoom(socket.data.user.cart));
+        }
+
+        // Suscripción a los cambios del catálogo (opcional: { category, limit }).
+        // Responde con la primera página en "products:snapshot".
+        socket.on('products:subscribe', async (options) => {
+            try {
+                await subscribeToProducts(socket, options || {});
+            } catch (error) {
+                logger.error('Error suscribiendo a productos:', error);
+                socket.emit('products:error', { message: 'Error al obtener los productos' });
+            }
+        });
+
+        // Pedir otra página de la suscripción actual
+        socket.on('products:page', async (page) => {
+            try {
+                await sendProductsPage(socket, page);
+            } catch (error) {
+                logger.error('Error enviando página de productos:', error);
+                socket.emit('products:error', { message: 'Error al obtener los productos' });
+            }
+        });
+
+        // Escrituras de productos (solo admin). Cada evento responde por
+        // acknowledgement con el mismo formato que la API: { status, payload, message }
+        // o { status: 'error', message, errors, fields }.
+
+        // Agregar producto
+        socket.on('addProduct', async (productData, ack) => {
+            if (!requireSocketAdmin(socket, ack, 'agregar')) {
+                return;
+            }
+
+            const { value: data, error } = validateProductData(productData);
+            if (error) {
+                acknowledge(ack, error);
+                return;
+            }
+
+            try {
+                await resolveCategoryInput(data);
+                const newProduct = new Product(data);
+                await newProduct.save();
+
+                // Emitir solo el producto nuevo a los suscriptos
+                publishInBackground(emitProductCreated(io, newProduct));
+
+                acknowledge(ack, {
+                    status: 'success',
+                    payload: newProduct,
+                    message: 'Producto agregado exitosamente'
+                });
+            } catch (error) {
+                acknowledge(ack, productWriteError(error, 'Error al agregar producto'));
+            }
+        });
+
+        // Actualizar producto: { id, changes }
+        socket.on('updateProduct', async (payload, ack) => {
+            if (!requireSocketAdmin(socket, ack, 'editar')) {
+                return;
+            }
+
+            // El payload llega del cliente tal cual: puede ser null o cualquier valor
+            if (!payload || typeof payload !== 'object') {
+                acknowledge(ack, { status: 'error', message: 'Se espera { id, changes }' });
+                return;
+            }
+            const { id, changes } = payload;
+
+            if (!isProductId(id)) {
+                acknowledge(ack, { status: 'error', message: 'ID de producto inválido' });
+                return;
+            }
+            const { value: data, error } = validateProductData(changes);
+            if (error) {
+                acknowledge(ack, error);
+                return;
+            }
+
+            try {
+                const { product, previousCategory } = await updateProduct(id, data);
+
+                if (!product) {
+                    acknowledge(ack, {
+                        status: 'error',
+                        message: `Producto con ID ${id} no encontrado`
+                    });
+                    return;
+                }
+
+                publishInBackground(emitProductUpdated(io, product, previousCategory));
+                syncInBackground(notifyCartsOfStockChange(io, [product]));
+
+                acknowledge(ack, {
+                    status: 'success',
+                    payload: product,
+                    message: 'Producto actualizado exitosamente'
+                });
+            } catch (error) {
+                acknowledge(ack, productWriteError(error, 'Error al actualizar producto'));
+            }
+        });
+
+        // Eliminar producto
+        socket.on('deleteProduct', async (productId, ack) => {
+            if (!requireSocketAdmin(socket, ack, 'eliminar')) {
+                return;
+            }
+
+            if (!isProductId(productId)) {
+                acknowledge(ack, { status: 'error', message: 'ID de producto inválido' });
+                return;
+            }
+
+            try {
+                // Igual que la API: también borra las imágenes subidas del producto
+                const deletedProduct = await deleteProduct(productId);
+
+                if (!deletedProduct) {
+                    acknowledge(ack, {
+                        status: 'error',
+                        message: 'Producto no encontrado'
+                    });
+                    return;
+                }
+
+                // Emitir solo el ID del producto eliminado a los suscriptos
+                emitProductDeleted(io, deletedProduct);
+                syncInBackground(notifyCartsOfStockChange(io, [deletedProduct]));
+
+                acknowledge(ack, {
+                    status: 'success',
+                    payload: deletedProduct,
+                    message: 'Producto eliminado exitosamente'
+                });
+            } catch (error) {
+                acknowledge(ack, productWriteError(error, 'Error al eliminar producto'));
+            }
+        });
+
+        socket.on('disconnect', () => {
+            logger.debug('🔌 Cliente desconectado:', socket.id);
+        });
+    });
+}
+
+module.exports = { registerSocketHandlers };
@@ -0,0 +1,10 @@
+// Envolver un handler async de Express para que los errores (y las promesas
+// rechazadas) lleguen al middleware de errores en lugar de quedar sin manejar.
+// Uso: router.get('/:id', asyncHandler(async (req, res) => { ... }))
+function asyncHandler(handler) {
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+module.exports = { asyncHandler };
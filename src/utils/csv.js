@@ -0,0 +1,97 @@
+const { ValidationError } = require('./errors');
+
+// Lectura y escritura de CSV (RFC 4180): campos separados por coma, entre
+// comillas dobles si contienen comas, comillas o saltos de línea.
+
+// Parsear el texto completo. Devuelve un array de registros (arrays de strings)
+// con el número de línea donde empieza cada uno.
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    // Quitar el BOM que agregan algunas planillas
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push({ line: recordLine, values: record });
+            record = [];
+            field = '';
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new ValidationError(`Comillas sin cerrar en la línea ${recordLine}`, [], { code: 'INVALID_IMPORT_FILE' });
+    }
+
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push({ line: recordLine, values: record });
+    }
+
+    // Ignorar líneas vacías
+    return records.filter(item => item.values.length > 1 || item.values[0].trim() !== '');
+}
+
+// Caracteres con los que una planilla interpreta la celda como fórmula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Escapar un valor para una celda. Los textos que empiezan como una fórmula se
+// prefijan con un apóstrofo para que Excel o Sheets no los ejecuten al abrir el
+// archivo (los números se dejan igual: no los escribe un usuario)
+function escapeCsvValue(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Quitar el apóstrofo que agrega escapeCsvValue, así un archivo exportado se
+// puede volver a importar sin cambios
+function unescapeCsvValue(text) {
+    return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+// Armar una línea CSV (con salto de línea final)
+function toCsvLine(values) {
+    return values.map(escapeCsvValue).join(',') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    toCsvLine,
+    unescapeCsvValue
+};
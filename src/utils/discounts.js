@@ -0,0 +1,220 @@
+// Motor de descuentos: calcula subtotal, líneas de descuento y total de un
+// carrito a partir de sus líneas y del cupón aplicado. Funciona con
+// documentos de Mongoose y con objetos planos (lean).
+// Los montos son enteros en unidades menores de la moneda de las líneas.
+const currencyConfig = require('../config/currency');
+const { convertAmount, multiplyAmount, formatMoney } = require('./money');
+
+function toId(value) {
+    if (!value) {
+        return null;
+    }
+    return (value._id || value).toString();
+}
+
+// Líneas de cálculo a partir de los productos de un carrito (product populado),
+// con los precios convertidos a la moneda indicada
+function buildCartLines(cartProducts = [], currency = currencyConfig.baseCurrency) {
+    return cartProducts
+        .filter(item => item.product && item.product.price !== undefined)
+        .map(item => {
+            const product = item.product;
+            const variant = item.variant && product.variants
+                ? product.variants.find(v => v._id.toString() === item.variant.toString())
+                : null;
+            const price = variant && variant.price !== undefined && variant.price !== null
+                ? variant.price
+                : product.price;
+            const weight = variant && variant.weight !== undefined && variant.weight !== null
+                ? variant.weight
+                : product.weight;
+            return {
+                product: toId(product),
+                variant: item.variant ? item.variant.toString() : null,
+                title: product.title,
+                category: toId(product.category),
+                price: convertAmount(price, product.currency || currencyConfig.baseCurrency, currency),
+                weight: weight || 0,
+                quantity: item.quantity
+            };
+        });
+}
+
+// Motivo por el que un cupón no se puede usar (null si está vigente)
+function couponUnavailableReason(coupon, now = new Date()) {
+    if (!coupon.active) {
+        return `El cupón ${coupon.code} no está activo`;
+    }
+    if (coupon.startsAt && new Date(coupon.startsAt) > now) {
+        return `El cupón ${coupon.code} todavía no está vigente`;
+    }
+    if (coupon.expiresAt && new Date(coupon.expiresAt) <= now) {
+        return `El cupón ${coupon.code} está vencido`;
+    }
+    if (coupon.usageLimit !== null && coupon.usageLimit !== undefined && coupon.usedCount >= coupon.usageLimit) {
+        return `El cupón ${coupon.code} alcanzó su límite de usos`;
+    }
+    return null;
+}
+
+// Líneas alcanzadas por el cupón (todas, o solo las de sus categorías)
+function eligibleLines(coupon, lines) {
+    const categories = (coupon.eligibleCategories || []).map(toId);
+    if (categories.length === 0) {
+        return lines;
+    }
+    return lines.filter(line => line.category && categories.includes(line.category));
+}
+
+// Moneda de los montos del cupón (descuento fijo y compra mínima)
+function couponCurrency(coupon) {
+    return coupon.currency || currencyConfig.baseCurrency;
+}
+
+function linesSubtotal(lines) {
+    return lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+}
+
+// Monto de descuento del cupón sobre las líneas alcanzadas
+function discountAmount(coupon, lines, currency) {
+    const eligibleSubtotal = linesSubtotal(lines);
+
+    switch (coupon.type) {
+        case 'percentage':
+            return multiplyAmount(eligibleSubtotal, coupon.value / 100);
+        case 'fixed':
+            return Math.min(convertAmount(coupon.value, couponCurrency(coupon), currency), eligibleSubtotal);
+        case 'free_item': {
+            // Las unidades gratis son las más baratas entre las alcanzadas
+            const unitPrices = lines
+                .flatMap(line => Array(line.quantity).fill(line.price))
+                .sort((a, b) => a - b);
+            return unitPrices
+                .slice(0, coupon.freeQuantity || 1)
+                .reduce((sum, price) => sum + price, 0);
+        }
+        default:
+            return 0;
+    }
+}
+
+// Repartir un monto entero entre líneas en proporción a su importe (método del
+// mayor resto), así la suma de las partes es exactamente el monto
+function allocateAmount(amount, lines) {
+    const totals = lines.map(line => line.price * line.quantity);
+    const sum = totals.reduce((acc, total) => acc + total, 0);
+    if (sum === 0 || amount === 0) {
+        return totals.map(() => 0);
+    }
+    const exact = totals.map(total => amount * total / sum);
+    const parts = exact.map(Math.floor);
+    let remainder = amount - parts.reduce((acc, part) => acc + part, 0);
+    exact
+        .map((value, index) => ({ index, fraction: value - parts[index] }))
+        .sort((a, b) => b.fraction - a.fraction)
+        .forEach(({ index }) => {
+            if (remainder > 0) {
+                parts[index]++;
+                remainder--;
+            }
+        });
+    return parts;
+}
+
+// Texto de la línea de descuento
+function discountDescription(coupon) {
+    if (coupon.description) {
+        return coupon.description;
+    }
+    switch (coupon.type) {
+        case 'percentage':
+            return `${coupon.value}% de descuento`;
+        case 'fixed':
+            return `${formatMoney(coupon.value, couponCurrency(coupon))} de descuento`;
+        case 'free_item':
+            return `${coupon.freeQuantity || 1} unidad(es) gratis`;
+        default:
+            return 'Descuento';
+    }
+}
+
+// Evaluar un cupón sobre las líneas (en la moneda indicada): devuelve el
+// descuento o el motivo por el que no aplica
+function evaluateCoupon(coupon, lines, { currency = currencyConfig.baseCurrency, now = new Date() } = {}) {
+    const unavailable = couponUnavailableReason(coupon, now);
+    if (unavailable) {
+        return { applicable: false, reason: unavailable, amount: 0 };
+    }
+
+    const minCartTotal = coupon.minCartTotal
+        ? convertAmount(coupon.minCartTotal, couponCurrency(coupon), currency)
+        : 0;
+    if (minCartTotal && linesSubtotal(lines) < minCartTotal) {
+        return {
+            applicable: false,
+            reason: `El cupón ${coupon.code} requiere una compra mínima de ${formatMoney(minCartTotal, currency)}`,
+            amount: 0
+        };
+    }
+
+    const eligible = eligibleLines(coupon, lines);
+    if (eligible.length === 0) {
+        return {
+            applicable: false,
+            reason: `Ningún producto del carrito está alcanzado por el cupón ${coupon.code}`,
+            amount: 0
+        };
+    }
+
+    return {
+        applicable: true,
+        reason: null,
+        amount: discountAmount(coupon, eligible, currency)
+    };
+}
+
+// Resumen de precios: subtotal, líneas de descuento y total en la moneda de las líneas
+function summarizeCart(lines, coupon = null, { currency = currencyConfig.baseCurrency, now = new Date() } = {}) {
+    const subtotal = linesSubtotal(lines);
+    const discounts = [];
+    // Descuento asignado a cada línea (mismo orden que lines), para calcular impuestos
+    const lineDiscounts = lines.map(() => 0);
+    let couponError = null;
+
+    if (coupon) {
+        const evaluation = evaluateCoupon(coupon, lines, { currency, now });
+        if (evaluation.applicable && evaluation.amount > 0) {
+            discounts.push({
+                code: coupon.code,
+                description: discountDescription(coupon),
+                amount: evaluation.amount
+            });
+            const eligible = eligibleLines(coupon, lines);
+            allocateAmount(evaluation.amount, eligible).forEach((part, index) => {
+                lineDiscounts[lines.indexOf(eligible[index])] += part;
+            });
+        } else if (!evaluation.applicable) {
+            couponError = evaluation.reason;
+        }
+    }
+
+    const discountTotal = discounts.reduce((sum, discount) => sum + discount.amount, 0);
+
+    return {
+        currency,
+        subtotal,
+        discounts,
+        discountTotal,
+        lineDiscounts,
+        total: Math.max(0, subtotal - discountTotal),
+        couponError
+    };
+}
+
+module.exports = {
+    buildCartLines,
+    allocateAmount,
+    couponUnavailableReason,
+    evaluateCoupon,
+    summarizeCart
+};
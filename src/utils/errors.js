@@ -0,0 +1,74 @@
+// Errores de dominio. Cada uno lleva el status HTTP y un código estable
+// (machine-readable) que el middleware de errores envía en la respuesta
+// (ver middlewares/errorHandler.js). El código se puede precisar al crearlo:
+//   throw new NotFoundError('Carrito no encontrado', { code: 'CART_NOT_FOUND' })
+// "details" se agrega tal cual al JSON de la respuesta (ej: { errors }).
+
+class AppError extends Error {
+    constructor(message, { status = 500, code = 'INTERNAL_ERROR', details = {} } = {}) {
+        super(message);
+        this.name = 'AppError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Datos de entrada inválidos (400). "errors" tiene el mensaje de cada problema.
+class ValidationError extends AppError {
+    constructor(message, errors = [], { code = 'VALIDATION_ERROR' } = {}) {
+        super(message, { status: 400, code, details: errors.length > 0 ? { errors } : {} });
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+// Falta iniciar sesión o las credenciales no son válidas (401)
+class UnauthorizedError extends AppError {
+    constructor(message, { code = 'UNAUTHORIZED' } = {}) {
+        super(message, { status: 401, code });
+        this.name = 'UnauthorizedError';
+    }
+}
+
+// El usuario no tiene permiso para la operación (403)
+class ForbiddenError extends AppError {
+    constructor(message, { code = 'FORBIDDEN' } = {}) {
+        super(message, { status: 403, code });
+        this.name = 'ForbiddenError';
+    }
+}
+
+// El recurso pedido no existe (404)
+class NotFoundError extends AppError {
+    constructor(message, { code = 'NOT_FOUND' } = {}) {
+        super(message, { status: 404, code });
+        this.name = 'NotFoundError';
+    }
+}
+
+// No hay stock libre suficiente o el producto/variante no está disponible (409)
+class OutOfStockError extends AppError {
+    constructor(message, { code = 'OUT_OF_STOCK' } = {}) {
+        super(message, { status: 409, code });
+        this.name = 'OutOfStockError';
+    }
+}
+
+// La operación choca con el estado actual del recurso (409)
+class ConflictError extends AppError {
+    constructor(message, { code = 'CONFLICT', details = {} } = {}) {
+        super(message, { status: 409, code, details });
+        this.name = 'ConflictError';
+    }
+}
+
+module.exports = {
+    AppError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    OutOfStockError,
+    ConflictError
+};
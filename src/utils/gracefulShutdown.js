@@ -0,0 +1,72 @@
+const defaultLogger = require('./logger');
+
+// Cierre ordenado del servidor: detiene el barrido de reservas, deja de aceptar
+// conexiones HTTP y espera las peticiones en curso, cierra Socket.IO y por
+// último desconecta MongoDB. Si algo no termina a tiempo se cortan las
+// conexiones que queden abiertas.
+
+// Dejar de aceptar conexiones y esperar a que terminen las peticiones en curso
+function closeHttpServer(httpServer, timeoutMs) {
+    return new Promise(resolve => {
+        if (!httpServer.listening) {
+            return resolve();
+        }
+
+        const timer = setTimeout(() => {
+            if (typeof httpServer.closeAllConnections === 'function') {
+                httpServer.closeAllConnections();
+            }
+        }, timeoutMs);
+        timer.unref();
+
+        httpServer.close(() => {
+            clearTimeout(timer);
+            resolve();
+        });
+
+        // Las conexiones keep-alive sin peticiones se cierran ya
+        if (typeof httpServer.closeIdleConnections === 'function') {
+            httpServer.closeIdleConnections();
+        }
+    });
+}
+
+// Desconectar a los clientes de Socket.IO (liberan sus conexiones HTTP)
+function closeSocketServer(io) {
+    return new Promise(resolve => {
+        // El callback recibe un error si el servidor HTTP ya estaba cerrado
+        io.close(() => resolve());
+    });
+}
+
+// Crear la función de cierre para una instancia del servidor. Se puede llamar
+// varias veces (por ejemplo SIGINT y luego SIGTERM): siempre devuelve la misma promesa.
+function createShutdown({ httpServer, io, database, sweeper = null, timeoutMs = 10000, logger = defaultLogger }) {
+    let closing = null;
+
+    return function shutdown(reason = 'shutdown') {
+        if (closing) {
+            return closing;
+        }
+
+        closing = (async () => {
+            logger.info(`🛑 Cerrando el servidor (${reason})...`);
+
+            // Sin pasadas nuevas del barrido; la que esté en curso termina antes de desconectar la base
+            const sweeperStopped = sweeper ? sweeper.stop() : Promise.resolve();
+
+            const httpClosed = closeHttpServer(httpServer, timeoutMs);
+            await closeSocketServer(io);
+            await httpClosed;
+            logger.info('   • Conexiones HTTP y WebSocket cerradas');
+
+            await sweeperStopped;
+            await database.disconnect();
+            logger.info('✅ Servidor cerrado correctamente');
+        })();
+
+        return closing;
+    };
+}
+
+module.exports = { createShutdown };
@@ -0,0 +1,20 @@
+const config = require('../config');
+
+// Logger por niveles sobre console: solo se escriben los mensajes del nivel
+// configurado (LOG_LEVEL) o más graves.
+const LEVELS = { silent: 0, error: 1, warn: 2, info: 3, debug: 4 };
+
+function createLogger(level = config.log.level) {
+    const enabled = (name) => LEVELS[name] <= LEVELS[level];
+
+    return {
+        level,
+        error: (...args) => enabled('error') && console.error(...args),
+        warn: (...args) => enabled('warn') && console.warn(...args),
+        info: (...args) => enabled('info') && console.log(...args),
+        debug: (...args) => enabled('debug') && console.log(...args)
+    };
+}
+
+module.exports = createLogger();
+module.exports.createLogger = createLogger;
@@ -0,0 +1,107 @@
+const currencyConfig = require('../config/currency');
+
+// Montos de dinero: se guardan y calculan como enteros en unidades menores
+// (centavos) de su moneda. Todo redondeo pasa por roundMinor para que API,
+// vistas y órdenes den siempre el mismo resultado.
+
+const decimalsCache = new Map();
+
+// Cantidad de decimales de una moneda (USD 2, CLP 0)
+function currencyDecimals(currency) {
+    if (!decimalsCache.has(currency)) {
+        const { maximumFractionDigits } = new Intl.NumberFormat('en', { style: 'currency', currency })
+            .resolvedOptions();
+        decimalsCache.set(currency, maximumFractionDigits);
+    }
+    return decimalsCache.get(currency);
+}
+
+// Mover la coma decimal "places" lugares sin errores de coma flotante (1.005 * 100)
+function shiftDecimal(value, places) {
+    const [mantissa, exponent] = String(value).split('e');
+    return Number(`${mantissa}e${Number(exponent || 0) + places}`);
+}
+
+// Redondear a unidades menores enteras (mitades hacia arriba)
+function roundMinor(value) {
+    return Math.sign(value) * Math.round(Math.abs(value));
+}
+
+// Verificar si una moneda está en la tabla de tipos de cambio
+function isSupportedCurrency(currency) {
+    return typeof currency === 'string' && Object.prototype.hasOwnProperty.call(currencyConfig.rates, currency.toUpperCase());
+}
+
+// Normalizar el código de moneda pedido (undefined si no es válido)
+function normalizeCurrency(currency) {
+    return isSupportedCurrency(currency) ? currency.toUpperCase() : undefined;
+}
+
+// Leer la moneda pedida en la query (?currency=EUR); por defecto la moneda base.
+// Si no es válida se agrega el error a errors.
+function parseCurrencyParam(value, errors) {
+    if (value === undefined || value === '') {
+        return currencyConfig.baseCurrency;
+    }
+    const currency = normalizeCurrency(String(value).trim());
+    if (!currency) {
+        errors.push(`currency debe ser una de: ${currencyConfig.supportedCurrencies.join(', ')}`);
+        return currencyConfig.baseCurrency;
+    }
+    return currency;
+}
+
+// 2499.99 USD -> 249999
+function toMinorUnits(amount, currency = currencyConfig.baseCurrency) {
+    return roundMinor(shiftDecimal(Number(amount), currencyDecimals(currency)));
+}
+
+// 249999 USD -> 2499.99
+function fromMinorUnits(amount, currency = currencyConfig.baseCurrency) {
+    return shiftDecimal(amount, -currencyDecimals(currency));
+}
+
+// Multiplicar un monto por una cantidad o porcentaje, redondeado
+function multiplyAmount(amount, factor) {
+    return roundMinor(amount * factor);
+}
+
+// Convertir un monto en unidades menores entre monedas según la tabla de tipos de cambio
+function convertAmount(amount, from, to = currencyConfig.baseCurrency) {
+    if (from === to) {
+        return amount;
+    }
+    const { rates } = currencyConfig;
+    if (!rates[from] || !rates[to]) {
+        throw new Error(`No hay tipo de cambio para ${from} -> ${to}`);
+    }
+    const major = fromMinorUnits(amount, from) / rates[from] * rates[to];
+    return toMinorUnits(major, to);
+}
+
+// Factor para convertir unidades menores de "from" a unidades menores de "to"
+// (usado en agregaciones, donde no se puede llamar a convertAmount)
+function conversionFactor(from, to = currencyConfig.baseCurrency) {
+    const { rates } = currencyConfig;
+    return rates[to] / rates[from] * Math.pow(10, currencyDecimals(to) - currencyDecimals(from));
+}
+
+// 249999 USD -> "US$ 2.499,99"
+function formatMoney(amount, currency = currencyConfig.baseCurrency, locale = currencyConfig.locale) {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency })
+        .format(fromMinorUnits(amount || 0, currency));
+}
+
+module.exports = {
+    currencyDecimals,
+    roundMinor,
+    isSupportedCurrency,
+    normalizeCurrency,
+    parseCurrencyParam,
+    toMinorUnits,
+    fromMinorUnits,
+    multiplyAmount,
+    convertAmount,
+    conversionFactor,
+    formatMoney
+};
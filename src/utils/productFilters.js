@@ -0,0 +1,167 @@
+const { parseCurrencyParam, toMinorUnits, convertAmount } = require('./money');
+
+// Campos por los que se permite ordenar el listado de productos
+const SORT_FIELDS = ['price', 'title', 'createdAt', 'stock'];
+
+// El precio se compara convertido a la moneda base
+const SORT_PATHS = { price: 'basePrice' };
+
+// Parámetros de filtrado que se conservan en los links de paginación
+const FILTER_PARAMS = ['sort', 'query', 'category', 'status', 'search', 'minPrice', 'maxPrice', 'inStock', 'currency'];
+
+const TRUE_VALUES = ['true', '1', 'yes'];
+const FALSE_VALUES = ['false', '0', 'no'];
+
+// Leer un parámetro de query como string
+// Los parámetros repetidos (?category=a&category=b) se unen con coma
+function readParam(query, name) {
+    let value = query[name];
+    if (Array.isArray(value)) {
+        value = value.filter(item => typeof item === 'string').join(',');
+    }
+    if (typeof value !== 'string') {
+        return undefined;
+    }
+    const trimmed = value.trim();
+    return trimmed === '' ? undefined : trimmed;
+}
+
+// Parsear un precio no negativo
+function parsePrice(value, name, errors) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        errors.push(`${name} debe ser un número mayor o igual a 0`);
+        return undefined;
+    }
+    return number;
+}
+
+// Parsear el ordenamiento: "asc"/"desc" (por precio) o "campo:asc|desc"
+function parseSort(value, errors) {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    let [field, direction] = value.split(':');
+    if (direction === undefined && (field === 'asc' || field === 'desc')) {
+        direction = field;
+        field = 'price';
+    }
+    direction = direction || 'asc';
+
+    if (!SORT_FIELDS.includes(field)) {
+        errors.push(`sort solo permite los campos: ${SORT_FIELDS.join(', ')}`);
+        return undefined;
+    }
+    if (direction !== 'asc' && direction !== 'desc') {
+        errors.push('La dirección de sort debe ser asc o desc');
+        return undefined;
+    }
+
+    return { [SORT_PATHS[field] || field]: direction === 'asc' ? 1 : -1 };
+}
+
+// Construir filtro, ordenamiento y proyección a partir de los query params
+// del listado de productos. Los valores inválidos se devuelven en errors.
+// Las categorías pedidas se devuelven aparte porque requieren consultar la base.
+function parseProductFilters(query = {}) {
+    const errors = [];
+    const filter = {};
+
+    const params = {};
+    FILTER_PARAMS.forEach(name => {
+        const value = readParam(query, name);
+        if (value !== undefined) {
+            params[name] = value;
+        }
+    });
+
+    // Filtro por categoría: una o varias (ID o slug) separadas por coma.
+    // Se resuelven a IDs (incluyendo subcategorías) al ejecutar la consulta.
+    let categories = [];
+    if (params.category) {
+        categories = [...new Set(params.category.split(',').map(c => c.trim()).filter(Boolean))];
+    }
+
+    // Filtro por disponibilidad
+    if (params.status !== undefined) {
+        const statusLower = params.status.toLowerCase();
+        if (TRUE_VALUES.includes(statusLower)) {
+            filter.status = true;
+        } else if (FALSE_VALUES.includes(statusLower)) {
+            filter.status = false;
+        } else {
+            errors.push('status debe ser true o false');
+        }
+    }
+
+    // Si hay query pero no category ni status, usar query como filtro
+    // query puede ser una categoría o disponibilidad (true/false)
+    if (params.query && !params.category && params.status === undefined) {
+        const queryLower = params.query.toLowerCase();
+
+        if (queryLower === 'true' || queryLower === 'false' || queryLower === 'disponible' || queryLower === 'no disponible') {
+            filter.status = queryLower === 'true' || queryLower === 'disponible';
+        } else {
+            categories = [params.query];
+        }
+    }
+
+    // Solo productos con stock libre de reservas (stock > 0 usa el índice { stock, status })
+    if (params.inStock !== undefined) {
+        const inStockLower = params.inStock.toLowerCase();
+        if (TRUE_VALUES.includes(inStockLower)) {
+            if (filter.status === false) {
+                errors.push('inStock=true no se puede combinar con productos no disponibles');
+            }
+            filter.stock = { $gt: 0 };
+            filter.$expr = { $gt: [{ $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] }, 0] };
+            filter.status = true;
+        } else if (!FALSE_VALUES.includes(inStockLower)) {
+            errors.push('inStock debe ser true o false');
+        }
+    }
+
+    // Moneda en la que se muestran los precios y se expresan minPrice/maxPrice
+    const currency = parseCurrencyParam(params.currency, errors);
+
+    // Rango de precios (en unidades de la moneda pedida, ej. 99.99),
+    // comparado contra el precio convertido a la moneda base
+    const minPrice = parsePrice(params.minPrice, 'minPrice', errors);
+    const maxPrice = parsePrice(params.maxPrice, 'maxPrice', errors);
+    if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+        errors.push('minPrice no puede ser mayor que maxPrice');
+    }
+    const toBasePrice = (value) => convertAmount(toMinorUnits(value, currency), currency);
+    if (minPrice !== undefined || maxPrice !== undefined) {
+        filter.basePrice = {};
+        if (minPrice !== undefined) filter.basePrice.$gte = toBasePrice(minPrice);
+        if (maxPrice !== undefined) filter.basePrice.$lte = toBasePrice(maxPrice);
+    }
+
+    // Búsqueda de texto completo sobre título y descripción (índice de texto)
+    if (params.search) {
+        filter.$text = { $search: params.search };
+    }
+
+    // Si no hay sort, no se ordena (según consignas)
+    let sort = parseSort(params.sort, errors);
+    let projection;
+
+    // Con búsqueda se incluye el puntaje de relevancia y se ordena por él
+    if (params.search) {
+        projection = { score: { $meta: 'textScore' } };
+        sort = { ...sort, score: { $meta: 'textScore' } };
+    }
+
+    return { filter, categories, sort, projection, currency, params, errors };
+}
+
+module.exports = {
+    FILTER_PARAMS,
+    SORT_FIELDS,
+    parseProductFilters
+};
@@ -0,0 +1,40 @@
+// Imagen que se muestra cuando el producto no tiene ninguna
+const PLACEHOLDER_IMAGE = '/img/no-image.svg';
+
+// Una URL externa o una ruta absoluta del sitio apuntan a una imagen real;
+// un nombre suelto ("macbook.jpg") no apunta a ningún archivo
+function isImageUrl(value) {
+    return typeof value === 'string' && (/^https?:\/\//i.test(value) || value.startsWith('/'));
+}
+
+// Todas las imágenes del producto: primero las subidas, luego las URLs externas
+function getProductGallery(product) {
+    if (!product) {
+        return [];
+    }
+    const uploaded = (product.images || []).map(image => ({
+        _id: image._id,
+        url: image.url,
+        thumbnailUrl: image.thumbnailUrl
+    }));
+    const external = (product.thumbnails || [])
+        .filter(isImageUrl)
+        .map(url => ({ _id: null, url, thumbnailUrl: url }));
+    return [...uploaded, ...external];
+}
+
+// Imagen principal del producto (size: 'thumbnail' o 'full'), o null si no tiene
+function getProductImage(product, size = 'thumbnail') {
+    const [first] = getProductGallery(product);
+    if (!first) {
+        return null;
+    }
+    return size === 'full' ? first.url : first.thumbnailUrl;
+}
+
+module.exports = {
+    PLACEHOLDER_IMAGE,
+    isImageUrl,
+    getProductGallery,
+    getProductImage
+};
@@ -0,0 +1,191 @@
+// Validación declarativa de params, query y body. Un esquema es un objeto
+// { campo: regla } y cada regla indica el tipo y sus restricciones:
+//
+//   type: 'string' | 'integer' | 'number' | 'boolean' | 'objectId' | 'array' | 'object'
+//   required, default, nullable (acepta null)
+//   min, max (números), values (strings permitidos), multiple (string repetido
+//   en la query: se une con coma), trim (false para no recortar espacios, p. ej.
+//   en contraseñas), items (regla de cada elemento), maxItems,
+//   fields (esquema de un objeto), of (regla de cada valor de un objeto libre)
+//   message: mensaje propio para los errores del campo
+//
+// Los valores de texto se convierten al tipo de la regla (query y formularios
+// llegan como strings) y los campos que no están en el esquema se descartan.
+
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+const TRUE_VALUES = ['true', '1', 'yes'];
+const FALSE_VALUES = ['false', '0', 'no'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function integerMessage(rule) {
+    if (rule.min === 1) {
+        return 'debe ser un número entero mayor a 0';
+    }
+    return rule.min !== undefined
+        ? `debe ser un número entero mayor o igual a ${rule.min}`
+        : 'debe ser un número entero';
+}
+
+function numberMessage(rule) {
+    return rule.min !== undefined
+        ? `debe ser un número mayor o igual a ${rule.min}`
+        : 'debe ser un número';
+}
+
+// Convertir y validar un valor presente según su tipo.
+// Devuelve { value } o { error } (mensaje sin el nombre del campo), o
+// { value, errors } para arrays y objetos con errores en sus elementos.
+const TYPES = {
+    string(value, rule) {
+        if (rule.multiple && Array.isArray(value) && value.every(item => typeof item === 'string')) {
+            value = value.join(',');
+        }
+        if (typeof value !== 'string') {
+            return { error: 'debe ser un texto' };
+        }
+        const text = rule.trim === false ? value : value.trim();
+        if (rule.values && !rule.values.includes(text)) {
+            return { error: `debe ser uno de: ${rule.values.join(', ')}` };
+        }
+        return { value: text };
+    },
+
+    integer(value, rule) {
+        const number = typeof value === 'string' && /^\s*-?\d+\s*$/.test(value) ? Number(value) : value;
+        if (!Number.isInteger(number) || (rule.min !== undefined && number < rule.min)) {
+            return { error: integerMessage(rule) };
+        }
+        if (rule.max !== undefined && number > rule.max) {
+            return { error: `no puede ser mayor a ${rule.max}` };
+        }
+        return { value: number };
+    },
+
+    number(value, rule) {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number) || (rule.min !== undefined && number < rule.min)) {
+            return { error: numberMessage(rule) };
+        }
+        if (rule.max !== undefined && number > rule.max) {
+            return { error: `no puede ser mayor a ${rule.max}` };
+        }
+        return { value: number };
+    },
+
+    boolean(value) {
+        if (typeof value === 'boolean') {
+            return { value };
+        }
+        const text = typeof value === 'string' ? value.trim().toLowerCase() : null;
+        if (TRUE_VALUES.includes(text)) return { value: true };
+        if (FALSE_VALUES.includes(text)) return { value: false };
+        return { error: 'debe ser true o false' };
+    },
+
+    objectId(value) {
+        const id = typeof value === 'string' ? value.trim() : value;
+        if (typeof id !== 'string' || !OBJECT_ID_REGEX.test(id)) {
+            return { error: 'debe ser un ID válido' };
+        }
+        return { value: id };
+    },
+
+    array(value, rule, path) {
+        if (!Array.isArray(value)) {
+            return { error: 'debe ser un array' };
+        }
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+            return { error: `no puede tener más de ${rule.maxItems} elementos` };
+        }
+        if (!rule.items) {
+            return { value };
+        }
+        const errors = [];
+        const items = value.map((item, index) => {
+            const result = validateField(rule.items, item, `${path}[${index}]`);
+            errors.push(...result.errors);
+            return result.value;
+        });
+        return { value: items, errors };
+    },
+
+    object(value, rule, path) {
+        if (!isPlainObject(value)) {
+            return { error: 'debe ser un objeto' };
+        }
+        // Nunca se aceptan operadores de MongoDB ($set, $gt...) como claves
+        const operators = Object.keys(value).filter(key => key.startsWith('$'));
+        if (operators.length > 0) {
+            return { errors: operators.map(key => ({ field: `${path}.${key}`, message: `${path}.${key} no es un campo permitido` })) };
+        }
+        if (rule.fields) {
+            return validateSchema(rule.fields, value, path);
+        }
+        if (rule.of) {
+            const errors = [];
+            const entries = Object.entries(value).map(([key, item]) => {
+                const result = validateField(rule.of, item, `${path}.${key}`);
+                errors.push(...result.errors);
+                return [key, result.value];
+            });
+            return { value: Object.fromEntries(entries), errors };
+        }
+        return { value };
+    }
+};
+
+// Validar un campo. Devuelve { value, errors } (value undefined si no vino).
+function validateField(rule, input, path) {
+    const fail = (message) => ({ errors: [{ field: path, message: rule.message || `${path} ${message}` }] });
+
+    // Vacío en la query o en un formulario equivale a no enviado (salvo en los textos)
+    const missing = input === undefined || (input === null && !rule.nullable) ||
+        (input === '' && rule.type !== 'string');
+
+    if (missing) {
+        if (rule.required) {
+            return fail('es requerido');
+        }
+        return { value: rule.default, errors: [] };
+    }
+    if (input === null) {
+        return { value: null, errors: [] };
+    }
+
+    const result = TYPES[rule.type](input, rule, path);
+    if (result.error) {
+        return fail(result.error);
+    }
+    if (rule.required && rule.type === 'string' && result.value === '') {
+        return fail('es requerido');
+    }
+    return { value: result.value, errors: result.errors || [] };
+}
+
+// Validar un objeto con un esquema. Devuelve { value, errors }: value solo
+// tiene los campos del esquema (ya convertidos) y errors es una lista de
+// { field, message }.
+function validateSchema(schema, input = {}, prefix = '') {
+    const source = isPlainObject(input) ? input : {};
+    const value = {};
+    const errors = [];
+
+    Object.entries(schema).forEach(([name, rule]) => {
+        const path = prefix ? `${prefix}.${name}` : name;
+        const result = validateField(rule, source[name], path);
+        errors.push(...result.errors);
+        if (result.value !== undefined) {
+            value[name] = result.value;
+        }
+    });
+
+    return { value, errors };
+}
+
+module.exports = {
+    OBJECT_ID_REGEX,
+    validateSchema
+};
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Base de datos en memoria para los tests: cada archivo de test levanta su
+// propio mongod, limpia las colecciones entre tests y lo detiene al final.
+
+let mongoServer = null;
+
+async function connect() {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    // Crear los índices (únicos, de texto) antes de usar los modelos
+    await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+}
+
+async function clear() {
+    const collections = Object.values(mongoose.connection.collections);
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+}
+
+async function close() {
+    await mongoose.disconnect();
+    if (mongoServer) {
+        await mongoServer.stop();
+        mongoServer = null;
+    }
+}
+
+module.exports = { connect, clear, close };
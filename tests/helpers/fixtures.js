@@ -0,0 +1,54 @@
+const Cart = require('../../src/models/Cart.model');
+const Category = require('../../src/models/Category.model');
+const Product = require('../../src/models/Product.model');
+const User = require('../../src/models/User.model');
+const { signToken } = require('../../src/middlewares/auth');
+
+// Datos de prueba con valores válidos por defecto (se pisan con "overrides")
+
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+
+let sequence = 0;
+
+async function createCategory(name = 'Audio', parent = null) {
+    return Category.findOrCreateByName(name, parent ? parent._id : null);
+}
+
+async function createProduct(overrides = {}) {
+    sequence++;
+    const category = overrides.category || (await createCategory())._id;
+    return Product.create({
+        title: `Producto de prueba ${sequence}`,
+        description: 'Descripción del producto de prueba',
+        code: `TEST-${sequence}`,
+        price: 10000,
+        stock: 10,
+        ...overrides,
+        category
+    });
+}
+
+// Usuario con carrito y su token JWT (header Authorization: Bearer <token>)
+async function createUser(overrides = {}) {
+    sequence++;
+    const user = await User.create({
+        name: 'Usuario de prueba',
+        email: `usuario${sequence}@test.com`,
+        password: 'password123',
+        ...overrides
+    });
+    await user.ensureCart();
+    return { user, token: signToken(user) };
+}
+
+async function createCart(products = []) {
+    return Cart.create({ products });
+}
+
+module.exports = {
+    ADMIN_API_KEY,
+    createCart,
+    createCategory,
+    createProduct,
+    createUser
+};
@@ -0,0 +1,185 @@
+const Cart = require('../../src/models/Cart.model');
+const Product = require('../../src/models/Product.model');
+const { NotFoundError, OutOfStockError } = require('../../src/utils/errors');
+const db = require('../helpers/db');
+const { createCart, createProduct } = require('../helpers/fixtures');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.close);
+
+// IDs de las líneas del carrito como strings
+function productIds(cart) {
+    return cart.products.map(item => item.product.toString());
+}
+
+describe('Cart.addProduct', () => {
+    test('agrega una línea nueva con la cantidad indicada', async () => {
+        const product = await createProduct({ stock: 5 });
+        const cart = await createCart();
+
+        await cart.addProduct(product._id, 2);
+
+        const saved = await Cart.findById(cart._id);
+        expect(productIds(saved)).toEqual([product._id.toString()]);
+        expect(saved.products[0].quantity).toBe(2);
+    });
+
+    test('suma la cantidad si el producto ya está en el carrito', async () => {
+        const product = await createProduct({ stock: 5 });
+        const cart = await createCart();
+
+        await cart.addProduct(product._id, 2);
+        await cart.addProduct(product._id, 3);
+
+        expect(cart.products).toHaveLength(1);
+        expect(cart.products[0].quantity).toBe(5);
+    });
+
+    test('rechaza una cantidad mayor al stock', async () => {
+        const product = await createProduct({ stock: 2 });
+        const cart = await createCart();
+
+        await expect(cart.addProduct(product._id, 3)).rejects.toThrow('Producto no disponible. Stock disponible: 2');
+        await expect(cart.addProduct(product._id, 3)).rejects.toBeInstanceOf(OutOfStockError);
+        expect((await Cart.findById(cart._id)).products).toHaveLength(0);
+    });
+
+    test('rechaza si la cantidad acumulada supera el stock', async () => {
+        const product = await createProduct({ stock: 5 });
+        const cart = await createCart();
+        await cart.addProduct(product._id, 4);
+
+        await expect(cart.addProduct(product._id, 2)).rejects.toThrow('Stock insuficiente. Disponible: 5, solicitado: 6');
+    });
+
+    test('descuenta las unidades reservadas por otros carritos', async () => {
+        const product = await createProduct({ stock: 5, reserved: 4 });
+        const cart = await createCart();
+
+        await expect(cart.addProduct(product._id, 2)).rejects.toThrow('Stock disponible: 1');
+    });
+
+    test('rechaza productos inexistentes o no disponibles', async () => {
+        const inactive = await createProduct({ status: false });
+        const missing = new Product()._id;
+        const cart = await createCart();
+
+        await expect(cart.addProduct(missing, 1)).rejects.toThrow(`Producto con ID ${missing} no encontrado`);
+        await expect(cart.addProduct(missing, 1)).rejects.toMatchObject({ status: 404, code: 'PRODUCT_NOT_FOUND' });
+        await expect(cart.addProduct(inactive._id, 1)).rejects.toThrow('Producto no disponible');
+    });
+
+    test('exige una variante válida en productos con variantes', async () => {
+        const product = await createProduct({
+            variants: [
+                { sku: 'TEST-V-1', stock: 1 },
+                { sku: 'TEST-V-2', stock: 3, status: false }
+            ]
+        });
+        const [available, disabled] = product.variants;
+        const cart = await createCart();
+
+        await expect(cart.addProduct(product._id, 1)).rejects.toThrow('requiere elegir una variante');
+        await expect(cart.addProduct(product._id, 1, disabled._id)).rejects.toThrow('Variante TEST-V-2 no disponible');
+        await expect(cart.addProduct(product._id, 2, available._id)).rejects.toThrow('Stock disponible: 1');
+
+        await cart.addProduct(product._id, 1, available._id);
+        expect(cart.products[0].variant.toString()).toBe(available._id.toString());
+    });
+});
+
+describe('Cart.updateCart', () => {
+    test('reemplaza todas las líneas del carrito', async () => {
+        const first = await createProduct();
+        const second = await createProduct();
+        const cart = await createCart([{ product: first._id, quantity: 1 }]);
+
+        await cart.updateCart([{ product: second._id.toString(), quantity: 3 }]);
+
+        const saved = await Cart.findById(cart._id);
+        expect(productIds(saved)).toEqual([second._id.toString()]);
+        expect(saved.products[0].quantity).toBe(3);
+    });
+
+    test('valida la estructura de las líneas', async () => {
+        const product = await createProduct();
+        const cart = await createCart();
+
+        await expect(cart.updateCart('no-es-array')).rejects.toThrow('El campo products debe ser un array');
+        await expect(cart.updateCart([{ product: product._id }])).rejects.toThrow('Cada producto debe tener product y quantity');
+        await expect(cart.updateCart([{ product: product._id, quantity: '2' }])).rejects.toThrow('La cantidad debe ser un número mayor a 0');
+        await expect(cart.updateCart([{ product: product._id, quantity: -1 }])).rejects.toThrow('La cantidad debe ser un número mayor a 0');
+    });
+
+    test('no modifica el carrito si alguna línea supera el stock', async () => {
+        const first = await createProduct({ stock: 10 });
+        const second = await createProduct({ stock: 1 });
+        const cart = await createCart([{ product: first._id, quantity: 1 }]);
+
+        await expect(cart.updateCart([
+            { product: first._id, quantity: 2 },
+            { product: second._id, quantity: 2 }
+        ])).rejects.toThrow(`Producto ${second.title} no disponible. Stock: 1`);
+
+        const saved = await Cart.findById(cart._id);
+        expect(productIds(saved)).toEqual([first._id.toString()]);
+        expect(saved.products[0].quantity).toBe(1);
+    });
+});
+
+describe('Cart.removeProduct', () => {
+    test('quita todas las líneas del producto', async () => {
+        const kept = await createProduct();
+        const product = await createProduct({
+            variants: [{ sku: 'TEST-R-1', stock: 5 }, { sku: 'TEST-R-2', stock: 5 }]
+        });
+        const cart = await createCart([
+            { product: product._id, variant: product.variants[0]._id, quantity: 1 },
+            { product: product._id, variant: product.variants[1]._id, quantity: 1 },
+            { product: kept._id, quantity: 1 }
+        ]);
+
+        await cart.removeProduct(product._id);
+
+        expect(productIds(await Cart.findById(cart._id))).toEqual([kept._id.toString()]);
+    });
+
+    test('con variante quita solo esa línea', async () => {
+        const product = await createProduct({
+            variants: [{ sku: 'TEST-R-3', stock: 5 }, { sku: 'TEST-R-4', stock: 5 }]
+        });
+        const [first, second] = product.variants;
+        const cart = await createCart([
+            { product: product._id, variant: first._id, quantity: 1 },
+            { product: product._id, variant: second._id, quantity: 1 }
+        ]);
+
+        await cart.removeProduct(product._id, first._id);
+
+        const saved = await Cart.findById(cart._id);
+        expect(saved.products).toHaveLength(1);
+        expect(saved.products[0].variant.toString()).toBe(second._id.toString());
+    });
+
+    test('falla si el producto no está en el carrito', async () => {
+        const product = await createProduct();
+        const cart = await createCart();
+
+        await expect(cart.removeProduct(product._id)).rejects.toThrow(`Producto con ID ${product._id} no encontrado en el carrito`);
+        await expect(cart.removeProduct(product._id)).rejects.toBeInstanceOf(NotFoundError);
+    });
+});
+
+describe('Cart.updateProductQuantity', () => {
+    test('cambia la cantidad respetando el stock', async () => {
+        const product = await createProduct({ stock: 4 });
+        const cart = await createCart([{ product: product._id, quantity: 1 }]);
+
+        await cart.updateProductQuantity(product._id, 4);
+        expect(cart.products[0].quantity).toBe(4);
+
+        await expect(cart.updateProductQuantity(product._id, 5)).rejects.toThrow('Stock insuficiente. Disponible: 4');
+        await expect(cart.updateProductQuantity(product._id, 0)).rejects.toThrow('La cantidad debe ser mayor a 0');
+    });
+});
@@ -0,0 +1,146 @@
+const Coupon = require('../../src/models/Coupon.model');
+const Order = require('../../src/models/Order.model');
+const Product = require('../../src/models/Product.model');
+const db = require('../helpers/db');
+const { createCart, createProduct } = require('../helpers/fixtures');
+
+beforeAll(db.connect);
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await db.clear();
+});
+afterAll(db.close);
+
+// Orden pendiente comprando "quantity" unidades del producto (o de la variante)
+async function createOrder(product, quantity, variant = null) {
+    const cart = await createCart([{ product: product._id, quantity, variant }]);
+    const { order } = await Order.createFromCart(cart);
+    return order;
+}
+
+function variantProduct(stock = 5) {
+    return createProduct({
+        variants: [{ sku: 'TEST-V-1', attributes: { color: 'rojo' }, stock }]
+    });
+}
+
+describe('Order.createFromCart', () => {
+    test('descuenta el stock de forma atómica y deja afuera lo que no alcanza', async () => {
+        const product = await createProduct({ stock: 2 });
+        const cart = await createCart([{ product: product._id, quantity: 3 }]);
+
+        const { order, unprocessed } = await Order.createFromCart(cart);
+
+        expect(order).toBeNull();
+        expect(unprocessed[0].reason).toBe('Stock insuficiente. Disponible: 2');
+        expect((await Product.findById(product._id)).stock).toBe(2);
+    });
+
+    test('guarda el peso de cada item (el de la variante si tiene)', async () => {
+        const product = await createProduct({
+            weight: 300,
+            variants: [{ sku: 'TEST-V-1', attributes: { color: 'rojo' }, stock: 5, weight: 450 }]
+        });
+        const order = await createOrder(product, 1, product.variants[0]._id);
+
+        expect((await Order.findById(order._id)).items[0].weight).toBe(450);
+    });
+
+    test('si falla a mitad de la compra devuelve el stock ya descontado', async () => {
+        const [first, second] = await Promise.all([createProduct({ stock: 5 }), createProduct({ stock: 5 })]);
+        const cart = await createCart([{ product: first._id, quantity: 2 }, { product: second._id, quantity: 1 }]);
+        const decrementStock = Product.decrementStock;
+        jest.spyOn(Product, 'decrementStock')
+            .mockImplementationOnce((...args) => decrementStock.apply(Product, args))
+            .mockRejectedValueOnce(new Error('sin conexión'));
+
+        await expect(Order.createFromCart(cart)).rejects.toThrow('sin conexión');
+
+        expect((await Product.findById(first._id)).stock).toBe(5);
+        expect((await Product.findById(second._id)).stock).toBe(5);
+        expect(await Order.countDocuments()).toBe(0);
+    });
+});
+
+describe('Order.changeStatus - cancelar', () => {
+    test('devuelve el stock sin pisar una compra hecha mientras tanto', async () => {
+        const product = await createProduct({ stock: 10 });
+        const order = await createOrder(product, 3);
+
+        // Otra compra descuenta stock después de cargar la orden
+        await Product.decrementStock(product._id, 2);
+        await order.changeStatus('cancelled');
+
+        expect((await Product.findById(product._id)).stock).toBe(8);
+    });
+
+    test('devuelve el stock de la variante y el total', async () => {
+        const product = await variantProduct(5);
+        const variantId = product.variants[0]._id;
+        const order = await createOrder(product, 2, variantId);
+
+        await order.changeStatus('cancelled');
+
+        const saved = await Product.findById(product._id);
+        expect(saved.getVariant(variantId).stock).toBe(5);
+        expect(saved.stock).toBe(5);
+    });
+
+    test('omite los productos eliminados', async () => {
+        const product = await createProduct({ stock: 5 });
+        const order = await createOrder(product, 1);
+        await Product.deleteOne({ _id: product._id });
+
+        await expect(order.changeStatus('cancelled')).resolves.toEqual({ order, failed: [] });
+        expect(order.status).toBe('cancelled');
+    });
+
+    test('cancela igual e informa los items cuyo stock no se pudo devolver', async () => {
+        const product = await createProduct({ stock: 5 });
+        const other = await createProduct({ stock: 5 });
+        const cart = await createCart([{ product: product._id, quantity: 1 }, { product: other._id, quantity: 2 }]);
+        const { order } = await Order.createFromCart(cart);
+        jest.spyOn(Product, 'incrementStock').mockRejectedValueOnce(new Error('sin conexión'));
+
+        const { failed } = await order.changeStatus('cancelled');
+
+        expect(failed).toEqual([expect.objectContaining({ code: product.code, quantity: 1 })]);
+        expect(order.status).toBe('cancelled');
+        expect((await Order.findById(order._id)).status).toBe('cancelled');
+        expect((await Product.findById(product._id)).stock).toBe(4);
+        expect((await Product.findById(other._id)).stock).toBe(5);
+    });
+
+    test('no permite cancelar dos veces', async () => {
+        const product = await createProduct({ stock: 5 });
+        const order = await createOrder(product, 2);
+
+        await order.changeStatus('cancelled');
+        await expect(order.changeStatus('cancelled')).rejects.toThrow(/No se puede pasar una orden cancelada/);
+        expect((await Product.findById(product._id)).stock).toBe(5);
+    });
+
+    test('devuelve el uso del cupón', async () => {
+        const product = await createProduct({ stock: 5 });
+        const coupon = await Coupon.create({ code: 'UNICO', type: 'percentage', value: 10, usageLimit: 1 });
+        const cart = await createCart([{ product: product._id, quantity: 1 }]);
+        cart.coupon = coupon._id;
+        const { order } = await Order.createFromCart(cart);
+        expect((await Coupon.findById(coupon._id)).usedCount).toBe(1);
+
+        await order.changeStatus('cancelled');
+
+        expect((await Coupon.findById(coupon._id)).usedCount).toBe(0);
+    });
+});
+
+describe('Coupon.redeem', () => {
+    test('no supera el límite de usos con compras simultáneas', async () => {
+        const coupon = await Coupon.create({ code: 'DOS-USOS', type: 'percentage', value: 10, usageLimit: 2 });
+
+        const results = await Promise.all(Array.from({ length: 5 }, () => Coupon.redeem(coupon._id)));
+
+        expect(results.filter(Boolean)).toHaveLength(2);
+        expect((await Coupon.findById(coupon._id)).usedCount).toBe(2);
+    });
+});
@@ -0,0 +1,61 @@
+const Product = require('../../src/models/Product.model');
+const db = require('../helpers/db');
+const { createProduct } = require('../helpers/fixtures');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.close);
+
+describe('Product.decrementStock', () => {
+    test('compras simultáneas no venden más que el stock', async () => {
+        const product = await createProduct({ stock: 5 });
+
+        const results = await Promise.all(
+            Array.from({ length: 10 }, () => Product.decrementStock(product._id, 1))
+        );
+
+        expect(results.filter(Boolean)).toHaveLength(5);
+        expect((await Product.findById(product._id)).stock).toBe(0);
+    });
+
+    test('no descuenta si no alcanza y deja el stock igual', async () => {
+        const product = await createProduct({ stock: 2 });
+
+        expect(await Product.decrementStock(product._id, 3)).toBeNull();
+        expect((await Product.findById(product._id)).stock).toBe(2);
+    });
+
+    test('no vende las unidades reservadas por otros carritos salvo al dueño de la reserva', async () => {
+        const product = await createProduct({ stock: 5 });
+        await Product.reserveStock(product._id, 3);
+
+        expect(await Product.decrementStock(product._id, 3)).toBeNull();
+
+        const updated = await Product.decrementStock(product._id, 3, null, { reserved: 3 });
+        expect(updated.stock).toBe(2);
+        expect(updated.reserved).toBe(0);
+    });
+
+    test('con variante descuenta la variante y el total', async () => {
+        const product = await createProduct({
+            variants: [
+                { sku: 'TEST-V-1', attributes: { color: 'rojo' }, stock: 2 },
+                { sku: 'TEST-V-2', attributes: { color: 'azul' }, stock: 3 }
+            ]
+        });
+        const [red, blue] = product.variants;
+
+        expect(await Product.decrementStock(product._id, 3, red._id)).toBeNull();
+
+        const updated = await Product.decrementStock(product._id, 2, blue._id);
+        expect(updated.getVariant(blue._id).stock).toBe(1);
+        expect(updated.getVariant(red._id).stock).toBe(2);
+        expect(updated.stock).toBe(3);
+    });
+
+    test('no descuenta productos desactivados', async () => {
+        const product = await createProduct({ stock: 5, status: false });
+
+        expect(await Product.decrementStock(product._id, 1)).toBeNull();
+    });
+});
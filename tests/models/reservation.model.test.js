@@ -0,0 +1,117 @@
+const Product = require('../../src/models/Product.model');
+const Reservation = require('../../src/models/Reservation.model');
+const { releaseExpiredReservations, cartRoom } = require('../../src/services/reservations.service');
+const db = require('../helpers/db');
+const { createCart, createProduct } = require('../helpers/fixtures');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.close);
+
+// Socket.IO falso que registra los avisos enviados a cada sala
+function fakeIo() {
+    const sent = [];
+    return {
+        sent,
+        to: room => ({ emit: (event, payload) => sent.push({ room, event, payload }) })
+    };
+}
+
+async function reservedUnits(productId) {
+    return (await Product.findById(productId)).reserved;
+}
+
+describe('Reservation.hold', () => {
+    test('dos carritos no pueden retener la última unidad', async () => {
+        const product = await createProduct({ stock: 1 });
+        const [first, second] = await Promise.all([createCart(), createCart()]);
+
+        const results = await Promise.all([
+            Reservation.hold(first._id, product._id, null, 1),
+            Reservation.hold(second._id, product._id, null, 1)
+        ]);
+
+        expect(results.filter(Boolean)).toHaveLength(1);
+        expect(await reservedUnits(product._id)).toBe(1);
+        expect((await Product.findById(product._id)).availableStock).toBe(0);
+    });
+
+    test('acumula unidades en la misma línea y renueva el vencimiento', async () => {
+        const product = await createProduct({ stock: 5 });
+        const cart = await createCart();
+
+        const first = await Reservation.hold(cart._id, product._id, null, 1);
+        const second = await Reservation.hold(cart._id, product._id, null, 2);
+
+        expect(second.quantity).toBe(3);
+        expect(second.expiresAt.getTime()).toBeGreaterThanOrEqual(first.expiresAt.getTime());
+        expect(await reservedUnits(product._id)).toBe(3);
+    });
+});
+
+describe('Reservation.release y setQuantity', () => {
+    test('liberar devuelve las unidades al stock libre', async () => {
+        const product = await createProduct({ stock: 5 });
+        const cart = await createCart();
+        await Reservation.hold(cart._id, product._id, null, 3);
+
+        expect(await Reservation.release(cart._id, product._id, null, 1)).toBe(1);
+        expect(await reservedUnits(product._id)).toBe(2);
+
+        expect(await Reservation.release(cart._id, product._id, null)).toBe(2);
+        expect(await reservedUnits(product._id)).toBe(0);
+        expect(await Reservation.countDocuments()).toBe(0);
+    });
+
+    test('ajustar la cantidad reserva o libera solo la diferencia', async () => {
+        const product = await createProduct({ stock: 5 });
+        const cart = await createCart();
+
+        expect(await Reservation.setQuantity(cart._id, product._id, null, 4)).toBe(true);
+        expect(await Reservation.setQuantity(cart._id, product._id, null, 2)).toBe(true);
+        expect(await reservedUnits(product._id)).toBe(2);
+
+        expect(await Reservation.setQuantity(cart._id, product._id, null, 6)).toBe(false);
+        expect(await reservedUnits(product._id)).toBe(2);
+    });
+});
+
+describe('releaseExpiredReservations', () => {
+    test('libera solo las reservas vencidas y avisa a cada carrito', async () => {
+        const product = await createProduct({ stock: 5 });
+        const [expired, active] = await Promise.all([createCart(), createCart()]);
+        await Reservation.hold(expired._id, product._id, null, 2);
+        await Reservation.hold(active._id, product._id, null, 1);
+        await Reservation.updateOne({ cart: expired._id }, { expiresAt: new Date(Date.now() - 1000) });
+        const io = fakeIo();
+
+        const released = await releaseExpiredReservations(io);
+
+        expect(released).toHaveLength(1);
+        expect(await reservedUnits(product._id)).toBe(1);
+        expect(await Reservation.exists({ cart: active._id })).toBeTruthy();
+        expect(io.sent).toEqual([{
+            room: cartRoom(expired._id),
+            event: 'reservationExpired',
+            payload: {
+                cartId: expired._id.toString(),
+                items: [expect.objectContaining({ quantity: 2 })]
+            }
+        }]);
+    });
+
+    test('no libera dos veces la misma reserva', async () => {
+        const product = await createProduct({ stock: 5 });
+        const cart = await createCart();
+        await Reservation.hold(cart._id, product._id, null, 2);
+        await Reservation.updateOne({ cart: cart._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+        const [first, second] = await Promise.all([
+            releaseExpiredReservations(),
+            releaseExpiredReservations()
+        ]);
+
+        expect(first.length + second.length).toBe(1);
+        expect(await reservedUnits(product._id)).toBe(0);
+    });
+});
@@ -0,0 +1,478 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { createApp } = require('../../src/app');
+const Cart = require('../../src/models/Cart.model');
+const Coupon = require('../../src/models/Coupon.model');
+const Product = require('../../src/models/Product.model');
+const db = require('../helpers/db');
+const { createCart, createProduct, createUser } = require('../helpers/fixtures');
+
+const { app } = createApp();
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.close);
+
+const INVALID_ID = 'id-invalido';
+
+function bearer(token) {
+    return { Authorization: `Bearer ${token}` };
+}
+
+// Usuario dueño de un carrito (opcionalmente con productos)
+async function createOwner(products = []) {
+    const { user, token } = await createUser();
+    const cartId = user.cart.toString();
+    if (products.length > 0) {
+        await Cart.updateOne({ _id: cartId }, { products });
+    }
+    return { user, token, cartId, headers: bearer(token) };
+}
+
+// Dueño cuyo carrito ya no existe (para las ramas 404 de las rutas protegidas)
+async function createOwnerWithoutCart() {
+    const owner = await createOwner();
+    await Cart.deleteOne({ _id: owner.cartId });
+    return owner;
+}
+
+function expectError(res, status, message, code) {
+    expect(res.status).toBe(status);
+    expect(res.body.status).toBe('error');
+    if (message) {
+        expect(res.body.message).toEqual(message instanceof RegExp ? expect.stringMatching(message) : message);
+    }
+    if (code) {
+        expect(res.body.code).toBe(code);
+    }
+}
+
+// Respuesta 400 de la validación de la solicitud (middlewares/validate.js)
+function expectInvalid(res, error) {
+    expectError(res, 400, 'Datos de la solicitud inválidos', 'VALIDATION_ERROR');
+    expect(res.body.errors).toContain(error);
+}
+
+describe('POST /api/carts', () => {
+    test('crea un carrito vacío', async () => {
+        const res = await request(app).post('/api/carts');
+
+        expect(res.status).toBe(201);
+        expect(res.body.payload.products).toEqual([]);
+        expect(await Cart.exists({ _id: res.body.payload._id })).toBeTruthy();
+    });
+});
+
+describe('GET /api/carts/:cid', () => {
+    test('devuelve el carrito con productos populados y totales', async () => {
+        const product = await createProduct({ price: 2500 });
+        const cart = await createCart([{ product: product._id, quantity: 2 }]);
+
+        const res = await request(app).get(`/api/carts/${cart._id}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.payload.products[0].product.title).toBe(product.title);
+        expect(res.body.payload.subtotal).toBe(5000);
+        expect(res.body.payload.total).toBe(5000);
+    });
+
+    test('400 con un ID inválido', async () => {
+        expectInvalid(await request(app).get(`/api/carts/${INVALID_ID}`), 'cid debe ser un ID válido');
+    });
+
+    test('404 si el carrito no existe', async () => {
+        const id = new mongoose.Types.ObjectId();
+        expectError(await request(app).get(`/api/carts/${id}`), 404, `Carrito con ID ${id} no encontrado`, 'CART_NOT_FOUND');
+    });
+
+    test('400 con una moneda no soportada', async () => {
+        const cart = await createCart();
+        expectError(await request(app).get(`/api/carts/${cart._id}?currency=XYZ`), 400);
+    });
+});
+
+describe('GET /api/carts/:cid/quote', () => {
+    test('400 con una región inválida', async () => {
+        const cart = await createCart();
+        const res = await request(app).get(`/api/carts/${cart._id}/quote?region=MARTE`);
+
+        expectError(res, 400, 'Parámetros de cotización inválidos');
+        expect(res.body.errors[0]).toMatch(/^region debe ser una de/);
+    });
+
+    test('400 con un ID inválido y 404 si no existe', async () => {
+        expectInvalid(await request(app).get(`/api/carts/${INVALID_ID}/quote`), 'cid debe ser un ID válido');
+        expectError(await request(app).get(`/api/carts/${new mongoose.Types.ObjectId()}/quote`), 404);
+    });
+
+    test('400 si el método de envío no llega a la región', async () => {
+        const product = await createProduct();
+        const cart = await createCart([{ product: product._id, quantity: 1 }]);
+
+        const res = await request(app).get(`/api/carts/${cart._id}/quote?region=UY&shippingMethod=express`);
+
+        expectError(res, 400);
+    });
+});
+
+describe('POST /api/carts/:cid/product/:pid', () => {
+    test('agrega el producto al carrito del usuario', async () => {
+        const product = await createProduct({ stock: 5 });
+        const { cartId, headers } = await createOwner();
+
+        const res = await request(app).post(`/api/carts/${cartId}/product/${product._id}`).set(headers).send({ quantity: 2 });
+
+        expect(res.status).toBe(200);
+        expect(res.body.payload.products[0].quantity).toBe(2);
+        expect(res.body.payload.products[0].product._id).toBe(product._id.toString());
+    });
+
+    test('401 sin sesión y 403 con el carrito de otro usuario', async () => {
+        const product = await createProduct();
+        const { cartId } = await createOwner();
+        const other = await createOwner();
+
+        expectError(await request(app).post(`/api/carts/${cartId}/product/${product._id}`), 401);
+        expectError(await request(app).post(`/api/carts/${cartId}/product/${product._id}`).set(other.headers), 403, 'Solo puedes modificar tu propio carrito');
+    });
+
+    test('404 si el carrito del usuario no existe', async () => {
+        const product = await createProduct();
+        const { cartId, headers } = await createOwnerWithoutCart();
+
+        expectError(await request(app).post(`/api/carts/${cartId}/product/${product._id}`).set(headers), 404, `Carrito con ID ${cartId} no encontrado`);
+    });
+
+    test('400 con un ID de producto inválido', async () => {
+        const { cartId, headers } = await createOwner();
+
+        expectInvalid(await request(app).post(`/api/carts/${cartId}/product/${INVALID_ID}`).set(headers), 'pid debe ser un ID válido');
+    });
+
+    test.each([
+        ['negativa', -2],
+        ['como texto', 'abc'],
+        ['decimal', 1.5]
+    ])('400 con una cantidad %s', async (name, quantity) => {
+        const product = await createProduct();
+        const { cartId, headers } = await createOwner();
+
+        const res = await request(app).post(`/api/carts/${cartId}/product/${product._id}`).set(headers).send({ quantity });
+
+        expectInvalid(res, 'La cantidad debe ser un número entero mayor a 0');
+        expect((await Cart.findById(cartId)).products).toHaveLength(0);
+    });
+
+    test('sin cantidad agrega una unidad', async () => {
+        const product = await createProduct();
+        const { cartId, headers } = await createOwner();
+
+        const res = await request(app).post(`/api/carts/${cartId}/product/${product._id}`).set(headers);
+
+        expect(res.status).toBe(200);
+        expect(res.body.payload.products[0].quantity).toBe(1);
+    });
+
+    test('409 sin stock suficiente y 404 si el producto no existe', async () => {
+        const product = await createProduct({ stock: 1 });
+        const missing = new mongoose.Types.ObjectId();
+        const { cartId, headers } = await createOwner();
+
+        const noStock = await request(app).post(`/api/carts/${cartId}/product/${product._id}`).set(headers).send({ quantity: 3 });
+        const notFound = await request(app).post(`/api/carts/${cartId}/product/${missing}`).set(headers);
+
+        expectError(noStock, 409, 'Producto no disponible. Stock disponible: 1', 'OUT_OF_STOCK');
+        expectError(notFound, 404, `Producto con ID ${missing} no encontrado`, 'PRODUCT_NOT_FOUND');
+    });
+});
+
+describe('DELETE /api/carts/:cid/products/:pid', () => {
+    test('quita el producto del carrito', async () => {
+        const product = await createProduct();
+        const { cartId, headers } = await createOwner([{ product: product._id, quantity: 1 }]);
+
+        const res = await request(app).delete(`/api/carts/${cartId}/products/${product._id}`).set(headers);
+
+        expect(res.status).toBe(200);
+        expect(res.body.payload.products).toEqual([]);
+    });
+
+    test('404 si el carrito no existe', async () => {
+        const { cartId, headers } = await createOwnerWithoutCart();
+
+        expectError(await request(app).delete(`/api/carts/${cartId}/products/${new mongoose.Types.ObjectId()}`).set(headers), 404);
+    });
+
+    test('404 si el producto no está en el carrito', async () => {
+        const product = await createProduct();
+        const { cartId, headers } = await createOwner();
+
+        const res = await request(app).delete(`/api/carts/${cartId}/products/${product._id}`).set(headers);
+
+        expectError(res, 404, `Producto con ID ${product._id} no encontrado en el carrito`, 'PRODUCT_NOT_IN_CART');
+    });
+});
+
+describe('PUT /api/carts/:cid', () => {
+    test('reemplaza los productos del carrito', async () => {
+        const product = await createProduct();
+        const { cartId, headers } = await createOwner();
+
+        const res = await request(app).put(`/api/carts/${cartId}`).set(headers)
+            .send({ products: [{ product: product._id.toString(), quantity: 3 }] });
+
+        expect(res.status).toBe(200);
+        expect(res.body.payload.products[0].quantity).toBe(3);
+    });
+
+    test('400 si products no es un array', async () => {
+        const { cartId, headers } = await createOwner();
+
+        expectInvalid(await request(app).put(`/api/carts/${cartId}`).set(headers).send({ products: 'x' }), 'El campo products debe ser un array');
+    });
+
+    test('404 si el carrito no existe', async () => {
+        const { cartId, headers } = await createOwnerWithoutCart();
+
+        expectError(await request(app).put(`/api/carts/${cartId}`).set(headers).send({ products: [] }), 404);
+    });
+
+    test('400 con un ID de producto inválido', async () => {
+        const { cartId, headers } = await createOwner();
+
+        const res = await request(app).put(`/api/carts/${cartId}`).set(headers)
+            .send({ products: [{ product: INVALID_ID, quantity: 1 }] });
+
+        expectInvalid(res, 'products[0].product debe ser un ID válido');
+    });
+
+    test('400 con líneas inválidas y 409 sin stock', async () => {
+        const product = await createProduct({ stock: 1 });
+        const { cartId, headers } = await createOwner();
+        const put = products => request(app).put(`/api/carts/${cartId}`).set(headers).send({ products });
+
+        expectInvalid(await put([{ product: product._id }]), 'products[0].quantity es requerido');
+        expectError(await put([{ product: product._id, quantity: 5 }]), 409, `Producto ${product.title} no disponible. Stock: 1`, 'OUT_OF_STOCK');
+    });
+});
+
+describe('PUT /api/carts/:cid/products/:pid', () => {
+    test('actualiza la cantidad', async () => {
+        const product = await createProduct({ stock: 5 });
+        const { cartId, headers } = await createOwner([{ product: product._id, quantity: 1 }]);
+
+        const res = await request(app).put(`/api/carts/${cartId}/products/${product._id}`).set(headers).send({ quantity: 4 });
+
+        expect(res.status).toBe(200);
+        expect(res.body.payload.products[0].quantity).toBe(4);
+    });
+
+    test('acepta la cantidad desde un formulario', async () => {
+        const product = await createProduct({ stock: 5 });
+        const { cartId, headers } = await createOwner([{ product: product._id, quantity: 1 }]);
+
+        const res = await request(app).put(`/api/carts/${cartId}/products/${product._id}`).set(headers)
+            .type('form').send('quantity=3');
+
+        expect(res.status).toBe(200);
+        expect(res.body.payload.products[0].quantity).toBe(3);
+    });
+
+    test.each([
+        ['sin cantidad', {}],
+        ['cantidad como texto', { quantity: 'dos' }],
+        ['cantidad cero', { quantity: 0 }],
+        ['cantidad decimal', { quantity: 1.5 }]
+    ])('400 %s', async (name, body) => {
+        const product = await createProduct();
+        const { cartId, headers } = await createOwner([{ product: product._id, quantity: 1 }]);
+
+        const res = await request(app).put(`/api/carts/${cartId}/products/${product._id}`).set(headers).send(body);
+
+        expectInvalid(res, 'La cantidad debe ser un número entero mayor a 0');
+    });
+
+    test('404 si el carrito no existe', async () => {
+        const { cartId, headers } = await createOwnerWithoutCart();
+
+        expectError(await request(app).put(`/api/carts/${cartId}/products/${new mongoose.Types.ObjectId()}`).set(headers).send({ quantity: 1 }), 404);
+    });
+
+    test('404 si el producto no está en el carrito y 409 si no hay stock', async () => {
+        const product = await createProduct({ stock: 2 });
+        const other = await createProduct();
+        const { cartId, headers } = await createOwner([{ product: product._id, quantity: 1 }]);
+
+        const notInCart = await request(app).put(`/api/carts/${cartId}/products/${other._id}`).set(headers).send({ quantity: 1 });
+        const noStock = await request(app).put(`/api/carts/${cartId}/products/${product._id}`).set(headers).send({ quantity: 3 });
+
+        expectError(notInCart, 404, `Producto con ID ${other._id} no encontrado en el carrito`, 'PRODUCT_NOT_IN_CART');
+        expectError(noStock, 409, 'Stock insuficiente. Disponible: 2', 'OUT_OF_STOCK');
+    });
+});
+
+describe('DELETE /api/carts/:cid', () => {
+    test('vacía el carrito', async () => {
+        const product = await createProduct();
+        const { cartId, headers } = await createOwner([{ product: product._id, quantity: 1 }]);
+
+        const res = await request(app).delete(`/api/carts/${cartId}`).set(headers);
+
+        expect(res.status).toBe(200);
+        expect((await Cart.findById(cartId)).products).toHaveLength(0);
+    });
+
+    test('404 si el carrito no existe', async () => {
+        const { cartId, headers } = await createOwnerWithoutCart();
+
+        expectError(await request(app).delete(`/api/carts/${cartId}`).set(headers), 404);
+    });
+});
+
+describe('POST /api/carts/:cid/coupon', () => {
+    test('400 sin código', async () => {
+        const { cartId, headers } = await createOwner();
+
+        expectInvalid(await request(app).post(`/api/carts/${cartId}/coupon`).set(headers).send({}), 'El campo code es requerido');
+    });
+
+    test('404 si el carrito no existe', async () => {
+        const { cartId, headers } = await createOwnerWithoutCart();
+
+        expectError(await request(app).post(`/api/carts/${cartId}/coupon`).set(headers).send({ code: 'PROMO' }), 404);
+    });
+
+    test('400 con el carrito vacío', async () => {
+        const { cartId, headers } = await createOwner();
+
+        expectError(await request(app).post(`/api/carts/${cartId}/coupon`).set(headers).send({ code: 'PROMO' }), 400, 'El carrito está vacío');
+    });
+
+    test('404 si el cupón no existe', async () => {
+        const product = await createProduct();
+        const { cartId, headers } = await createOwner([{ product: product._id, quantity: 1 }]);
+
+        const res = await request(app).post(`/api/carts/${cartId}/coupon`).set(headers).send({ code: 'promo' });
+
+        expectError(res, 404, 'Cupón PROMO no encontrado');
+    });
+
+    test('aplica el cupón y muestra la línea de descuento', async () => {
+        const product = await createProduct({ price: 10000 });
+        const { cartId, headers } = await createOwner([{ product: product._id, quantity: 2 }]);
+        await Coupon.create({ code: 'PROMO10', type: 'percentage', value: 10 });
+
+        const res = await request(app).post(`/api/carts/${cartId}/coupon`).set(headers).send({ code: 'promo10' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.payload.subtotal).toBe(20000);
+        expect(res.body.payload.discounts).toEqual([
+            { code: 'PROMO10', description: '10% de descuento', amount: 2000 }
+        ]);
+        expect(res.body.payload.total).toBe(18000);
+    });
+
+    test('400 si el carrito no alcanza la compra mínima', async () => {
+        const product = await createProduct({ price: 10000 });
+        const { cartId, headers } = await createOwner([{ product: product._id, quantity: 1 }]);
+        await Coupon.create({ code: 'MINIMO', type: 'fixed', value: 1000, minCartTotal: 50000 });
+
+        const res = await request(app).post(`/api/carts/${cartId}/coupon`).set(headers).send({ code: 'MINIMO' });
+
+        expectError(res, 400, /compra mínima/, 'COUPON_NOT_APPLICABLE');
+        expect((await Cart.findById(cartId)).coupon).toBeNull();
+    });
+});
+
+describe('DELETE /api/carts/:cid/coupon', () => {
+    test('404 si el carrito no existe o no tiene cupón', async () => {
+        const withoutCart = await createOwnerWithoutCart();
+        const withoutCoupon = await createOwner();
+
+        expectError(await request(app).delete(`/api/carts/${withoutCart.cartId}/coupon`).set(withoutCart.headers), 404);
+        expectError(await request(app).delete(`/api/carts/${withoutCoupon.cartId}/coupon`).set(withoutCoupon.headers), 404, 'El carrito no tiene un cupón aplicado');
+    });
+
+    test('quita el cupón aplicado', async () => {
+        const { cartId, headers } = await createOwner();
+        await Cart.updateOne({ _id: cartId }, { coupon: new mongoose.Types.ObjectId() });
+
+        const res = await request(app).delete(`/api/carts/${cartId}/coupon`).set(headers);
+
+        expect(res.status).toBe(200);
+        expect(res.body.payload.coupon).toBeNull();
+    });
+});
+
+describe('POST /api/carts/:cid/purchase', () => {
+    test('crea la orden y descuenta el stock', async () => {
+        const product = await createProduct({ stock: 5 });
+        const { cartId, headers } = await createOwner([{ product: product._id, quantity: 2 }]);
+
+        const res = await request(app).post(`/api/carts/${cartId}/purchase`).set(headers).send({});
+
+        expect(res.status).toBe(201);
+        expect(res.body.payload.unprocessed).toEqual([]);
+        expect((await Product.findById(product._id)).stock).toBe(3);
+        expect((await Cart.findById(cartId)).products).toHaveLength(0);
+    });
+
+    test('400 con una región inválida', async () => {
+        const { cartId, headers } = await createOwner();
+
+        const res = await request(app).post(`/api/carts/${cartId}/purchase`).set(headers).send({ region: 'MARTE' });
+
+        expectError(res, 400, 'Datos de compra inválidos');
+    });
+
+    test('404 si el carrito no existe y 400 si está vacío', async () => {
+        const withoutCart = await createOwnerWithoutCart();
+        const empty = await createOwner();
+
+        expectError(await request(app).post(`/api/carts/${withoutCart.cartId}/purchase`).set(withoutCart.headers), 404);
+        expectError(await request(app).post(`/api/carts/${empty.cartId}/purchase`).set(empty.headers), 400, 'El carrito está vacío', 'CART_EMPTY');
+    });
+
+    test('409 si ningún producto tiene stock', async () => {
+        const product = await createProduct({ stock: 5 });
+        const { cartId, headers } = await createOwner([{ product: product._id, quantity: 2 }]);
+        await Product.updateOne({ _id: product._id }, { stock: 0 });
+
+        const res = await request(app).post(`/api/carts/${cartId}/purchase`).set(headers).send({});
+
+        expectError(res, 409, 'Ningún producto del carrito pudo ser procesado', 'NOTHING_PURCHASED');
+        expect(res.body.unprocessed).toHaveLength(1);
+        expect((await Product.findById(product._id)).stock).toBe(0);
+    });
+
+    test('dos compras simultáneas de la última unidad: solo una se procesa', async () => {
+        const product = await createProduct({ stock: 1 });
+        const buyers = await Promise.all([
+            createOwner([{ product: product._id, quantity: 1 }]),
+            createOwner([{ product: product._id, quantity: 1 }])
+        ]);
+
+        const responses = await Promise.all(buyers.map(({ cartId, headers }) =>
+            request(app).post(`/api/carts/${cartId}/purchase`).set(headers).send({})
+        ));
+
+        expect(responses.map(res => res.status).sort()).toEqual([201, 409]);
+        expect((await Product.findById(product._id)).stock).toBe(0);
+    });
+
+    test('aplica el cupón del carrito y registra su uso', async () => {
+        const product = await createProduct({ price: 10000, stock: 5 });
+        const coupon = await Coupon.create({ code: 'UNICO', type: 'fixed', value: 1500, usageLimit: 1 });
+        const { cartId, headers } = await createOwner([{ product: product._id, quantity: 1 }]);
+        await Cart.updateOne({ _id: cartId }, { coupon: coupon._id });
+
+        const res = await request(app).post(`/api/carts/${cartId}/purchase`).set(headers).send({});
+
+        expect(res.status).toBe(201);
+        expect(res.body.payload.couponError).toBeNull();
+        expect(res.body.payload.order.coupon.code).toBe('UNICO');
+        expect(res.body.payload.order.discountTotal).toBe(1500);
+        expect((await Coupon.findById(coupon._id)).usedCount).toBe(1);
+        expect((await Cart.findById(cartId)).coupon).toBeNull();
+    });
+});
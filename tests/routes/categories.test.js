@@ -0,0 +1,34 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const db = require('../helpers/db');
+const { createCategory } = require('../helpers/fixtures');
+
+const { app } = createApp();
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.close);
+
+describe('GET /api/categories', () => {
+    test('filtra por categoría padre o solo las de primer nivel', async () => {
+        const audio = await createCategory('Audio');
+        await createCategory('Auriculares', audio);
+
+        const children = await request(app).get('/api/categories').query({ parent: audio._id.toString() });
+        const roots = await request(app).get('/api/categories').query({ parent: 'root' });
+
+        expect(children.body.payload.map(category => category.name)).toEqual(['Auriculares']);
+        expect(roots.body.payload.map(category => category.name)).toEqual(['Audio']);
+    });
+
+    test.each([
+        ['un operador de MongoDB', 'parent[$ne]=x', 'parent debe ser un texto'],
+        ['un ID inválido', 'parent=abc', 'parent debe ser un ID válido o root']
+    ])('rechaza %s en parent', async (name, query, message) => {
+        const res = await request(app).get(`/api/categories?${query}`);
+
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('VALIDATION_ERROR');
+        expect(res.body.errors).toEqual([message]);
+    });
+});
@@ -0,0 +1,60 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { createApp } = require('../../src/app');
+const db = require('../helpers/db');
+
+const { app } = createApp();
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.close);
+
+describe('Rutas inexistentes', () => {
+    test('404 en JSON con código para la API', async () => {
+        const res = await request(app).get('/api/no-existe');
+
+        expect(res.status).toBe(404);
+        expect(res.body).toEqual({
+            status: 'error',
+            code: 'ROUTE_NOT_FOUND',
+            message: 'Ruta /api/no-existe no encontrada'
+        });
+    });
+
+    test('404 con la página de error para las vistas', async () => {
+        const res = await request(app).get('/no-existe');
+
+        expect(res.status).toBe(404);
+        expect(res.type).toBe('text/html');
+        expect(res.text).toContain('Ruta /no-existe no encontrada');
+        expect(res.text).toContain('ROUTE_NOT_FOUND');
+    });
+});
+
+describe('Vistas', () => {
+    test('404 con la página de error si el producto no existe', async () => {
+        const id = new mongoose.Types.ObjectId();
+
+        const res = await request(app).get(`/products/${id}`);
+
+        expect(res.status).toBe(404);
+        expect(res.text).toContain(`El producto con ID ${id} no existe`);
+        expect(res.text).toContain('PRODUCT_NOT_FOUND');
+    });
+
+    test('400 con los errores de validación si el ID es inválido', async () => {
+        const res = await request(app).get('/carts/id-invalido');
+
+        expect(res.status).toBe(400);
+        expect(res.text).toContain('cid debe ser un ID válido');
+    });
+});
+
+describe('Body inválido', () => {
+    test('400 con código si el JSON está mal formado', async () => {
+        const res = await request(app).post('/api/carts').set('Content-Type', 'application/json').send('{"products":');
+
+        expect(res.status).toBe(400);
+        expect(res.body).toMatchObject({ status: 'error', code: 'INVALID_JSON' });
+    });
+});
@@ -0,0 +1,271 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const mongoose = require('mongoose');
+const db = require('../helpers/db');
+const Product = require('../../src/models/Product.model');
+const { ADMIN_API_KEY, createCategory, createProduct } = require('../helpers/fixtures');
+
+const { app } = createApp();
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.close);
+
+// Crear "count" productos con precios 1000, 2000, 3000... (unidades menores)
+async function createProducts(count, overrides = {}) {
+    const products = [];
+    for (let i = 1; i <= count; i++) {
+        products.push(await createProduct({ price: i * 1000, ...overrides }));
+    }
+    return products;
+}
+
+describe('GET /api/products - paginación', () => {
+    test('devuelve la primera página con 10 productos por defecto', async () => {
+        await createProducts(12);
+
+        const res = await request(app).get('/api/products');
+
+        expect(res.status).toBe(200);
+        expect(res.body.status).toBe('success');
+        expect(res.body.payload).toHaveLength(10);
+        expect(res.body).toMatchObject({
+            page: 1,
+            totalPages: 2,
+            totalDocs: 12,
+            hasPrevPage: false,
+            hasNextPage: true,
+            prevPage: null,
+            nextPage: 2,
+            prevLink: null
+        });
+        expect(res.body.nextLink).toMatch(/\/api\/products\?page=2$/);
+    });
+
+    test('respeta limit y page y arma los links', async () => {
+        await createProducts(12);
+
+        const res = await request(app).get('/api/products?limit=5&page=2');
+
+        expect(res.status).toBe(200);
+        expect(res.body.payload).toHaveLength(5);
+        expect(res.body).toMatchObject({ page: 2, totalPages: 3, hasPrevPage: true, hasNextPage: true });
+        expect(res.body.prevLink).toMatch(/page=1&limit=5$/);
+        expect(res.body.nextLink).toMatch(/page=3&limit=5$/);
+    });
+
+    test('una página posterior a la última viene vacía', async () => {
+        await createProducts(3);
+
+        const res = await request(app).get('/api/products?page=5');
+
+        expect(res.status).toBe(200);
+        expect(res.body.payload).toEqual([]);
+        expect(res.body.hasNextPage).toBe(false);
+    });
+
+    test('sin productos devuelve una página vacía', async () => {
+        const res = await request(app).get('/api/products');
+
+        expect(res.status).toBe(200);
+        expect(res.body.payload).toEqual([]);
+        expect(res.body.totalDocs).toBe(0);
+        expect(res.body.nextLink).toBeNull();
+    });
+
+    test.each([
+        ['page=0', 'page debe ser un número entero mayor a 0'],
+        ['page=-1', 'page debe ser un número entero mayor a 0'],
+        ['page=abc', 'page debe ser un número entero mayor a 0'],
+        ['limit=0', 'limit debe ser un número entero mayor a 0'],
+        ['limit=2.5', 'limit debe ser un número entero mayor a 0'],
+        ['limit=101', 'limit no puede ser mayor a 100']
+    ])('rechaza %s', async (query, error) => {
+        const res = await request(app).get(`/api/products?${query}`);
+
+        expect(res.status).toBe(400);
+        expect(res.body.status).toBe('error');
+        expect(res.body.errors).toContain(error);
+    });
+});
+
+describe('GET /api/products - orden', () => {
+    test('ordena por precio ascendente y descendente', async () => {
+        await createProducts(3);
+
+        const asc = await request(app).get('/api/products?sort=asc');
+        const desc = await request(app).get('/api/products?sort=desc');
+
+        expect(asc.body.payload.map(p => p.price)).toEqual([1000, 2000, 3000]);
+        expect(desc.body.payload.map(p => p.price)).toEqual([3000, 2000, 1000]);
+    });
+
+    test('ordena por otros campos con campo:dirección', async () => {
+        await createProduct({ title: 'Beta', stock: 1 });
+        await createProduct({ title: 'Alfa', stock: 3 });
+
+        const res = await request(app).get('/api/products?sort=title:asc');
+
+        expect(res.body.payload.map(p => p.title)).toEqual(['Alfa', 'Beta']);
+    });
+
+    test('rechaza campos y direcciones inválidos', async () => {
+        const field = await request(app).get('/api/products?sort=code:asc');
+        const direction = await request(app).get('/api/products?sort=price:up');
+
+        expect(field.status).toBe(400);
+        expect(field.body.errors[0]).toMatch(/^sort solo permite los campos/);
+        expect(direction.status).toBe(400);
+        expect(direction.body.errors).toContain('La dirección de sort debe ser asc o desc');
+    });
+});
+
+describe('GET /api/products - filtros', () => {
+    test('filtra por categoría incluyendo subcategorías y conserva el filtro en los links', async () => {
+        const computacion = await createCategory('Computación');
+        const laptops = await createCategory('Laptops', computacion);
+        const audio = await createCategory('Audio');
+        await createProducts(2, { category: laptops._id });
+        await createProduct({ category: computacion._id });
+        await createProduct({ category: audio._id });
+
+        const res = await request(app).get('/api/products?category=computacion&limit=2');
+
+        expect(res.status).toBe(200);
+        expect(res.body.totalDocs).toBe(3);
+        expect(res.body.payload.every(p => p.category.slug !== 'audio')).toBe(true);
+        expect(res.body.nextLink).toContain('category=computacion');
+    });
+
+    test('una categoría inexistente no devuelve productos', async () => {
+        await createProduct();
+
+        const res = await request(app).get('/api/products?category=no-existe');
+
+        expect(res.status).toBe(200);
+        expect(res.body.payload).toEqual([]);
+    });
+
+    test('filtra por disponibilidad y por stock libre', async () => {
+        await createProduct({ code: 'ACTIVO', stock: 5 });
+        await createProduct({ code: 'INACTIVO', status: false });
+        await createProduct({ code: 'SIN-STOCK', stock: 0 });
+        await createProduct({ code: 'RESERVADO', stock: 2, reserved: 2 });
+
+        const inactive = await request(app).get('/api/products?status=false');
+        const inStock = await request(app).get('/api/products?inStock=true');
+
+        expect(inactive.body.payload.map(p => p.code)).toEqual(['INACTIVO']);
+        expect(inStock.body.payload.map(p => p.code)).toEqual(['ACTIVO']);
+        expect(inStock.body.payload[0].availableStock).toBe(5);
+    });
+
+    test('filtra por rango de precios en la moneda base', async () => {
+        await createProducts(5);
+
+        const res = await request(app).get('/api/products?minPrice=20&maxPrice=40&sort=asc');
+
+        expect(res.body.payload.map(p => p.price)).toEqual([2000, 3000, 4000]);
+    });
+
+    test('busca por texto en título y descripción', async () => {
+        await createProduct({ title: 'Auriculares inalámbricos' });
+        await createProduct({ title: 'Monitor curvo' });
+
+        const res = await request(app).get('/api/products?search=auriculares');
+
+        expect(res.status).toBe(200);
+        expect(res.body.payload.map(p => p.title)).toEqual(['Auriculares inalámbricos']);
+    });
+
+    test.each([
+        ['status=quizas', 'status debe ser true o false'],
+        ['inStock=tal-vez', 'inStock debe ser true o false'],
+        ['minPrice=-5', 'minPrice debe ser un número mayor o igual a 0'],
+        ['minPrice=50&maxPrice=10', 'minPrice no puede ser mayor que maxPrice'],
+        ['status=false&inStock=true', 'inStock=true no se puede combinar con productos no disponibles']
+    ])('rechaza %s', async (query, error) => {
+        const res = await request(app).get(`/api/products?${query}`);
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors).toContain(error);
+    });
+});
+
+describe('GET /api/products/:pid', () => {
+    test('400 con un ID inválido', async () => {
+        const res = await request(app).get('/api/products/id-invalido');
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Datos de la solicitud inválidos');
+        expect(res.body.errors).toEqual(['pid debe ser un ID válido']);
+    });
+
+    test('404 con código si el producto no existe', async () => {
+        const id = new mongoose.Types.ObjectId();
+
+        const res = await request(app).get(`/api/products/${id}`);
+
+        expect(res.status).toBe(404);
+        expect(res.body).toMatchObject({
+            status: 'error',
+            code: 'PRODUCT_NOT_FOUND',
+            message: `Producto con ID ${id} no encontrado`
+        });
+    });
+});
+
+describe('POST /api/products', () => {
+    const post = body => request(app).post('/api/products').set('X-API-Key', ADMIN_API_KEY).send(body);
+
+    test('409 con un código repetido', async () => {
+        await createProduct({ code: 'REPETIDO' });
+
+        const res = await post({ title: 'Otro', description: 'Otro producto', code: 'REPETIDO', price: 1000, stock: 1, category: 'Audio' });
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('DUPLICATE_PRODUCT_CODE');
+    });
+
+    test('400 con los errores de validación del modelo', async () => {
+        const res = await post({ title: 'Sin código' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('VALIDATION_ERROR');
+        expect(res.body.errors.length).toBeGreaterThan(0);
+    });
+});
+
+describe('PUT /api/products/:pid', () => {
+    const put = (id, body) => request(app).put(`/api/products/${id}`).set('X-API-Key', ADMIN_API_KEY).send(body);
+
+    test('actualiza los campos permitidos y descarta operadores y campos desconocidos', async () => {
+        const product = await createProduct({ price: 1000, stock: 5 });
+
+        const res = await put(product._id, {
+            price: '1500',
+            status: 'false',
+            $inc: { stock: 100 },
+            reserved: 3,
+            basePrice: 1
+        });
+
+        expect(res.status).toBe(200);
+        const saved = await Product.findById(product._id).lean();
+        expect(saved).toMatchObject({ price: 1500, status: false, stock: 5, reserved: 0 });
+        expect(saved.basePrice).toBe(1500);
+    });
+
+    test('400 con operadores dentro de un campo', async () => {
+        const product = await createProduct({ price: 1000 });
+
+        const res = await put(product._id, { price: { $gt: 0 }, variants: [{ sku: 'A', attributes: { $where: 'x' } }] });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors).toEqual([
+            'price debe ser un número',
+            'variants[0].attributes.$where no es un campo permitido'
+        ]);
+        expect((await Product.findById(product._id)).price).toBe(1000);
+    });
+});
@@ -0,0 +1,112 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const db = require('../helpers/db');
+const { createUser } = require('../helpers/fixtures');
+
+const { app } = createApp();
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.close);
+
+function expectError(res, status, code) {
+    expect(res.status).toBe(status);
+    expect(res.body.status).toBe('error');
+    expect(res.body.code).toBe(code);
+}
+
+describe('POST /api/sessions/login', () => {
+    test('inicia sesión con email y contraseña correctos', async () => {
+        const { user } = await createUser();
+
+        const res = await request(app)
+            .post('/api/sessions/login')
+            .send({ email: user.email, password: 'password123' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.payload.token).toEqual(expect.any(String));
+        expect(res.body.payload.user.password).toBeUndefined();
+    });
+
+    test('rechaza operadores de MongoDB en lugar de textos', async () => {
+        await createUser();
+
+        const res = await request(app)
+            .post('/api/sessions/login')
+            .send({ email: { $ne: null }, password: { $ne: null } });
+
+        expectError(res, 400, 'VALIDATION_ERROR');
+        expect(res.body.errors).toEqual(['email debe ser un texto', 'password debe ser un texto']);
+    });
+
+    test('exige email y contraseña', async () => {
+        const res = await request(app).post('/api/sessions/login').send({ email: 'a@test.com' });
+
+        expectError(res, 400, 'VALIDATION_ERROR');
+        expect(res.body.errors).toEqual(['password es requerido']);
+    });
+
+    test('responde 401 con credenciales incorrectas', async () => {
+        const { user } = await createUser();
+
+        const res = await request(app)
+            .post('/api/sessions/login')
+            .send({ email: user.email, password: 'otra-clave' });
+
+        expectError(res, 401, 'INVALID_CREDENTIALS');
+    });
+});
+
+describe('POST /api/sessions/register', () => {
+    test('registra un usuario con rol user', async () => {
+        const res = await request(app)
+            .post('/api/sessions/register')
+            .send({ name: 'Ana', email: 'ana@test.com', password: 'password123', role: 'admin' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.payload.user.role).toBe('user');
+    });
+
+    test('rechaza un email que no es texto', async () => {
+        const res = await request(app)
+            .post('/api/sessions/register')
+            .send({ name: 'Ana', email: ['ana@test.com'], password: 'password123' });
+
+        expectError(res, 400, 'VALIDATION_ERROR');
+        expect(res.body.errors).toEqual(['email debe ser un texto']);
+    });
+
+    test('responde 409 si el email ya está registrado', async () => {
+        const { user } = await createUser();
+
+        const res = await request(app)
+            .post('/api/sessions/register')
+            .send({ name: 'Otro', email: user.email.toUpperCase(), password: 'password123' });
+
+        expectError(res, 409, 'DUPLICATE_EMAIL');
+    });
+});
+
+describe('GET /login', () => {
+    function redirectTarget(res) {
+        return res.text.match(/data-redirect="([^"]*)"/)[1];
+    }
+
+    test('conserva un destino local', async () => {
+        const res = await request(app).get('/login').query({ redirect: '/carts/abc' });
+
+        expect(res.status).toBe(200);
+        expect(redirectTarget(res)).toBe('/carts/abc');
+    });
+
+    test.each([
+        ['otro dominio', 'https://evil.com'],
+        ['una URL sin protocolo', '//evil.com'],
+        ['una barra invertida', '/\\evil.com'],
+        ['un caracter de control', '/\t/evil.com']
+    ])('ignora un destino con %s', async (name, redirect) => {
+        const res = await request(app).get('/login').query({ redirect });
+
+        expect(redirectTarget(res)).toBe('/products');
+    });
+});
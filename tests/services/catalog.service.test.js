@@ -0,0 +1,47 @@
+const Product = require('../../src/models/Product.model');
+const { bulkUpdateProducts } = require('../../src/services/catalog.service');
+const db = require('../helpers/db');
+const { createProduct } = require('../helpers/fixtures');
+
+beforeAll(db.connect);
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await db.clear();
+});
+afterAll(db.close);
+
+describe('bulkUpdateProducts', () => {
+    test('informa los productos actualizados', async () => {
+        const products = await Promise.all([createProduct({ price: 1000 }), createProduct({ price: 2000 })]);
+
+        const { errors, summary, updatedIds } = await bulkUpdateProducts({
+            ids: products.map(product => product._id.toString()),
+            operation: { type: 'price', amount: 100 }
+        });
+
+        expect(errors).toEqual([]);
+        expect(summary).toEqual(expect.objectContaining({ modified: 2, conflicts: 0 }));
+        expect(updatedIds.map(String).sort()).toEqual(products.map(product => product._id.toString()).sort());
+        expect((await Product.findById(products[1]._id)).price).toBe(2100);
+    });
+
+    test('no incluye en updatedIds los productos que cambiaron mientras tanto', async () => {
+        const [kept, changed] = await Promise.all([createProduct({ stock: 5 }), createProduct({ stock: 5 })]);
+        const bulkWrite = Product.bulkWrite.bind(Product);
+        // Una compra descuenta stock entre la lectura y la escritura
+        jest.spyOn(Product, 'bulkWrite').mockImplementationOnce(async (...args) => {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            await Product.decrementStock(changed._id, 1);
+            return bulkWrite(...args);
+        });
+
+        const { summary, updatedIds } = await bulkUpdateProducts({
+            ids: [kept._id.toString(), changed._id.toString()],
+            operation: { type: 'stock', set: 20 }
+        });
+
+        expect(summary).toEqual(expect.objectContaining({ modified: 1, conflicts: 1 }));
+        expect(updatedIds.map(String)).toEqual([kept._id.toString()]);
+        expect((await Product.findById(changed._id)).stock).toBe(4);
+    });
+});
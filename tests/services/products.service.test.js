@@ -0,0 +1,42 @@
+const Product = require('../../src/models/Product.model');
+const Reservation = require('../../src/models/Reservation.model');
+const { updateProduct } = require('../../src/services/products.service');
+const db = require('../helpers/db');
+const { createCart, createProduct } = require('../helpers/fixtures');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.close);
+
+describe('updateProduct', () => {
+    test('al editar las variantes conserva su _id y las unidades reservadas', async () => {
+        const product = await createProduct({
+            variants: [
+                { sku: 'TEST-V-1', attributes: { color: 'rojo' }, stock: 5 },
+                { sku: 'TEST-V-2', attributes: { color: 'azul' }, stock: 5 }
+            ]
+        });
+        const [red, blue] = product.variants;
+        const cart = await createCart();
+        await Reservation.hold(cart._id, product._id, red._id, 2);
+
+        const { product: updated } = await updateProduct(product._id, {
+            variants: [
+                { _id: red._id.toString(), sku: 'TEST-V-1', attributes: { color: 'rojo' }, stock: 8, reserved: 0 },
+                { sku: 'test-v-2', attributes: { color: 'azul' }, stock: 1 },
+                { sku: 'TEST-V-3', attributes: { color: 'verde' }, stock: 4 }
+            ]
+        });
+
+        expect(updated.getVariant(red._id).stock).toBe(8);
+        expect(updated.getVariant(red._id).reserved).toBe(2);
+        expect(updated.getVariant(blue._id).stock).toBe(1);
+        expect(updated.variants[2].reserved).toBe(0);
+        expect(updated.stock).toBe(13);
+        expect(updated.reserved).toBe(2);
+
+        // La reserva sigue apuntando a la variante y se puede liberar
+        expect(await Reservation.release(cart._id, product._id, red._id)).toBe(2);
+        expect((await Product.findById(product._id)).reserved).toBe(0);
+    });
+});
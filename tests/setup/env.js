@@ -0,0 +1,7 @@
+// Variables de entorno de los tests (se cargan antes que la app, así tienen
+// prioridad sobre el .env local)
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'jwt-secret-de-test';
+process.env.ADMIN_API_KEY = 'api-key-de-test';
+process.env.STOCK_RESERVATIONS = 'false';
+process.env.STORAGE_DRIVER = 'local';
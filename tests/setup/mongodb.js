@@ -0,0 +1,20 @@
+const { MongoBinary } = require('mongodb-memory-server');
+
+// globalSetup de Jest: antes de correr los tests se asegura de que el binario
+// de mongod esté disponible (lo descarga la primera vez y queda en caché), así
+// un problema de red o de plataforma se informa una sola vez y con la solución
+// en lugar de fallar en cada archivo de test.
+module.exports = async function ensureMongoBinary() {
+    try {
+        await MongoBinary.getPath();
+    } catch (error) {
+        throw new Error([
+            'No se pudo obtener el binario de mongod para los tests.',
+            `  Causa: ${error.message.split('\n').join(' ')}`,
+            '  Soluciones:',
+            '  • Usar un mongod ya instalado: MONGOMS_SYSTEM_BINARY=/usr/bin/mongod npm test',
+            '  • Elegir una versión disponible para esta plataforma: MONGOMS_VERSION=7.0.14 npm test',
+            '  Ver la sección "Tests" del README.'
+        ].join('\n'));
+    }
+};
@@ -0,0 +1,197 @@
+const { io: connectClient } = require('socket.io-client');
+const { createApp } = require('../../src/app');
+const Product = require('../../src/models/Product.model');
+const { getStorage, setStorage } = require('../../src/services/storage.service');
+const db = require('../helpers/db');
+const { ADMIN_API_KEY, createCategory, createProduct, createUser } = require('../helpers/fixtures');
+
+const { httpServer, io } = createApp();
+let baseUrl;
+const clients = [];
+
+beforeAll(async () => {
+    await db.connect();
+    await new Promise(resolve => httpServer.listen(0, resolve));
+    baseUrl = `http://localhost:${httpServer.address().port}`;
+});
+
+afterEach(async () => {
+    clients.splice(0).forEach(client => client.disconnect());
+    await db.clear();
+});
+
+afterAll(async () => {
+    // Cierra Socket.IO y el servidor HTTP
+    await new Promise(resolve => io.close(resolve));
+    await db.close();
+});
+
+// Conectar un cliente (auth: { apiKey } o { token }) y esperar la conexión
+function connect(auth = {}) {
+    const client = connectClient(baseUrl, { auth, transports: ['websocket'], forceNew: true });
+    clients.push(client);
+    return new Promise((resolve, reject) => {
+        client.once('connect', () => resolve(client));
+        client.once('connect_error', reject);
+    });
+}
+
+function emitWithAck(client, event, data) {
+    return client.timeout(5000).emitWithAck(event, data);
+}
+
+function waitFor(client, event) {
+    return new Promise(resolve => client.once(event, resolve));
+}
+
+// Cliente suscripto a todo el catálogo (ya recibió la primera página)
+async function subscriber() {
+    const client = await connect();
+    const snapshot = waitFor(client, 'products:snapshot');
+    client.emit('products:subscribe', {});
+    await snapshot;
+    return client;
+}
+
+function productData(overrides = {}) {
+    return {
+        title: 'Teclado mecánico',
+        description: 'Teclado mecánico con switches rojos',
+        code: 'TECLADO-01',
+        price: 8999,
+        stock: 7,
+        category: 'audio',
+        ...overrides
+    };
+}
+
+describe('socket addProduct', () => {
+    test('un admin crea el producto y los suscriptos reciben product:created', async () => {
+        await createCategory('Audio');
+        const admin = await connect({ apiKey: ADMIN_API_KEY });
+        const listener = await subscriber();
+        const created = waitFor(listener, 'product:created');
+
+        const response = await emitWithAck(admin, 'addProduct', productData());
+
+        expect(response.status).toBe('success');
+        expect(response.payload.code).toBe('TECLADO-01');
+        expect(await Product.exists({ code: 'TECLADO-01' })).toBeTruthy();
+
+        const event = await created;
+        expect(event._id).toBe(response.payload._id);
+        expect(event.category.slug).toBe('audio');
+        expect(event.availableStock).toBe(7);
+    });
+
+    test('responde los errores de validación por campo', async () => {
+        await createCategory('Audio');
+        const admin = await connect({ apiKey: ADMIN_API_KEY });
+
+        const response = await emitWithAck(admin, 'addProduct', productData({ price: -1, title: '' }));
+
+        expect(response.status).toBe('error');
+        expect(response.message).toBe('Datos de producto inválidos');
+        expect(response.errors).toEqual(expect.arrayContaining(['El precio debe ser mayor o igual a 0']));
+        expect(Object.keys(response.fields)).toEqual(expect.arrayContaining(['price', 'title']));
+        expect(await Product.countDocuments()).toBe(0);
+    });
+
+    test('rechaza un código repetido', async () => {
+        const category = await createCategory('Audio');
+        await createProduct({ code: 'TECLADO-01', category: category._id });
+        const admin = await connect({ apiKey: ADMIN_API_KEY });
+
+        const response = await emitWithAck(admin, 'addProduct', productData());
+
+        expect(response).toMatchObject({
+            status: 'error',
+            message: 'El código de producto ya existe',
+            errors: ['El código de producto ya existe'],
+            fields: { code: 'El código de producto ya existe' }
+        });
+    });
+
+    test('solo los administradores pueden agregar productos', async () => {
+        await createCategory('Audio');
+        const { token } = await createUser();
+        const anonymous = await connect();
+        const user = await connect({ token });
+
+        const anonymousResponse = await emitWithAck(anonymous, 'addProduct', productData());
+        const userResponse = await emitWithAck(user, 'addProduct', productData());
+
+        expect(anonymousResponse).toEqual({ status: 'error', message: 'Debes iniciar sesión para agregar productos' });
+        expect(userResponse).toEqual({ status: 'error', message: 'Solo un administrador puede agregar productos' });
+        expect(await Product.countDocuments()).toBe(0);
+    });
+});
+
+describe('socket updateProduct', () => {
+    test('responde error si el payload no es un objeto', async () => {
+        const admin = await connect({ apiKey: ADMIN_API_KEY });
+
+        expect(await emitWithAck(admin, 'updateProduct', null)).toEqual({ status: 'error', message: 'Se espera { id, changes }' });
+        expect(await emitWithAck(admin, 'updateProduct', 'texto')).toEqual({ status: 'error', message: 'Se espera { id, changes }' });
+    });
+
+    test('verifica el rol antes de leer el payload', async () => {
+        const anonymous = await connect();
+
+        const response = await emitWithAck(anonymous, 'updateProduct', null);
+
+        expect(response).toEqual({ status: 'error', message: 'Debes iniciar sesión para editar productos' });
+    });
+});
+
+describe('socket deleteProduct', () => {
+    test('un admin elimina el producto y los suscriptos reciben product:deleted', async () => {
+        const product = await createProduct();
+        const admin = await connect({ apiKey: ADMIN_API_KEY });
+        const listener = await subscriber();
+        const deleted = waitFor(listener, 'product:deleted');
+
+        const response = await emitWithAck(admin, 'deleteProduct', product._id.toString());
+
+        expect(response.status).toBe('success');
+        expect(await Product.exists({ _id: product._id })).toBeNull();
+        expect(await deleted).toEqual({ _id: product._id.toString(), category: product.category.toString() });
+    });
+
+    test('borra del almacenamiento las imágenes subidas del producto', async () => {
+        const removed = [];
+        const storage = getStorage();
+        setStorage({ ...storage, remove: async key => { removed.push(key); } });
+        const product = await createProduct({
+            images: [{ url: '/uploads/a.webp', thumbnailUrl: '/uploads/a-thumb.webp', key: 'a.webp', thumbnailKey: 'a-thumb.webp' }]
+        });
+        const admin = await connect({ apiKey: ADMIN_API_KEY });
+
+        try {
+            const response = await emitWithAck(admin, 'deleteProduct', product._id.toString());
+
+            expect(response.status).toBe('success');
+            expect(removed.sort()).toEqual(['a-thumb.webp', 'a.webp']);
+        } finally {
+            setStorage(storage);
+        }
+    });
+
+    test('responde error si el producto no existe o el ID es inválido', async () => {
+        const admin = await connect({ apiKey: ADMIN_API_KEY });
+        const missing = new Product()._id.toString();
+
+        expect(await emitWithAck(admin, 'deleteProduct', missing)).toEqual({ status: 'error', message: 'Producto no encontrado' });
+        expect(await emitWithAck(admin, 'deleteProduct', 'id-invalido')).toEqual({ status: 'error', message: 'ID de producto inválido' });
+    });
+
+    test('solo los administradores pueden eliminar productos', async () => {
+        const product = await createProduct();
+        const anonymous = await connect();
+
+        const response = await emitWithAck(anonymous, 'deleteProduct', product._id.toString());
+
+        expect(response).toEqual({ status: 'error', message: 'Debes iniciar sesión para eliminar productos' });
+        expect(await Product.exists({ _id: product._id })).toBeTruthy();
+    });
+});
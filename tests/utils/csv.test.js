@@ -0,0 +1,27 @@
+const { parseCsv, toCsvLine, unescapeCsvValue } = require('../../src/utils/csv');
+
+describe('toCsvLine', () => {
+    test('encierra entre comillas los valores con comas, comillas o saltos de línea', () => {
+        expect(toCsvLine(['a,b', 'dice "hola"', 'dos\nlíneas', 10, null])).toBe('"a,b","dice ""hola""","dos\nlíneas",10,\r\n');
+    });
+
+    test.each(['=HYPERLINK("http://x")', '+1', '-2+3', '@SUM(A1)', '\tTAB', '\rCR'])(
+        'prefija con un apóstrofo la celda que empieza como fórmula: %j',
+        (value) => {
+            const [cell] = parseCsv(toCsvLine([value]))[0].values;
+            expect(cell).toBe(`'${value}`);
+        }
+    );
+
+    test('no cambia los números negativos ni los textos comunes', () => {
+        expect(toCsvLine([-5, 'Auriculares', 'a=b'])).toBe('-5,Auriculares,a=b\r\n');
+    });
+});
+
+describe('unescapeCsvValue', () => {
+    test('quita solo el apóstrofo agregado al exportar', () => {
+        expect(unescapeCsvValue("'=1+1")).toBe('=1+1');
+        expect(unescapeCsvValue("'hola")).toBe("'hola");
+        expect(unescapeCsvValue('=1+1')).toBe('=1+1');
+    });
+});
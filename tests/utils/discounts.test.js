@@ -0,0 +1,101 @@
+const { allocateAmount, evaluateCoupon, summarizeCart } = require('../../src/utils/discounts');
+
+// Motor de descuentos con objetos planos (no necesita base de datos)
+
+const AUDIO = 'aaaaaaaaaaaaaaaaaaaaaaaa';
+const VIDEO = 'bbbbbbbbbbbbbbbbbbbbbbbb';
+
+function line(price, quantity, category = AUDIO) {
+    return { product: `${price}-${category}`, variant: null, title: 'Producto', category, price, weight: 0, quantity };
+}
+
+function coupon(overrides = {}) {
+    return {
+        code: 'PROMO',
+        type: 'percentage',
+        value: 10,
+        currency: 'USD',
+        freeQuantity: 1,
+        eligibleCategories: [],
+        minCartTotal: 0,
+        usageLimit: null,
+        usedCount: 0,
+        startsAt: null,
+        expiresAt: null,
+        active: true,
+        ...overrides
+    };
+}
+
+describe('summarizeCart', () => {
+    test('sin cupón el total es el subtotal', () => {
+        const summary = summarizeCart([line(1000, 2), line(500, 1)]);
+
+        expect(summary).toEqual(expect.objectContaining({ subtotal: 2500, discounts: [], total: 2500, couponError: null }));
+    });
+
+    test('porcentaje sobre todo el carrito', () => {
+        const summary = summarizeCart([line(1000, 2), line(500, 1)], coupon({ value: 20 }));
+
+        expect(summary.discounts).toEqual([{ code: 'PROMO', description: '20% de descuento', amount: 500 }]);
+        expect(summary.total).toBe(2000);
+        expect(summary.lineDiscounts).toEqual([400, 100]);
+    });
+
+    test('el monto fijo no supera el subtotal', () => {
+        const summary = summarizeCart([line(1000, 1)], coupon({ type: 'fixed', value: 5000 }));
+
+        expect(summary.discountTotal).toBe(1000);
+        expect(summary.total).toBe(0);
+    });
+
+    test('unidades gratis: las más baratas entre las alcanzadas', () => {
+        const summary = summarizeCart([line(3000, 1), line(800, 2)], coupon({ type: 'free_item', freeQuantity: 2 }));
+
+        expect(summary.discountTotal).toBe(1600);
+    });
+
+    test('con categorías solo descuenta las líneas alcanzadas', () => {
+        const lines = [line(1000, 1, AUDIO), line(4000, 1, VIDEO)];
+        const summary = summarizeCart(lines, coupon({ value: 50, eligibleCategories: [VIDEO] }));
+
+        expect(summary.discountTotal).toBe(2000);
+        expect(summary.lineDiscounts).toEqual([0, 2000]);
+    });
+
+    test('informa el motivo si el cupón no aplica y no descuenta', () => {
+        const summary = summarizeCart([line(1000, 1)], coupon({ minCartTotal: 5000 }));
+
+        expect(summary.discounts).toEqual([]);
+        expect(summary.total).toBe(1000);
+        expect(summary.couponError).toMatch(/compra mínima/);
+    });
+});
+
+describe('evaluateCoupon', () => {
+    const now = new Date('2026-01-15T00:00:00Z');
+    const lines = [line(1000, 1)];
+
+    test.each([
+        ['inactivo', { active: false }, /no está activo/],
+        ['todavía no vigente', { startsAt: new Date('2026-02-01T00:00:00Z') }, /todavía no está vigente/],
+        ['vencido', { expiresAt: new Date('2026-01-01T00:00:00Z') }, /está vencido/],
+        ['sin usos disponibles', { usageLimit: 3, usedCount: 3 }, /límite de usos/],
+        ['sin productos alcanzados', { eligibleCategories: [VIDEO] }, /Ningún producto/]
+    ])('rechaza un cupón %s', (name, overrides, reason) => {
+        const evaluation = evaluateCoupon(coupon(overrides), lines, { now });
+
+        expect(evaluation.applicable).toBe(false);
+        expect(evaluation.reason).toMatch(reason);
+        expect(evaluation.amount).toBe(0);
+    });
+});
+
+describe('allocateAmount', () => {
+    test('reparte el monto exacto en proporción al importe de cada línea', () => {
+        const parts = allocateAmount(100, [line(1000, 1), line(1000, 1), line(1000, 1)]);
+
+        expect(parts.reduce((sum, part) => sum + part, 0)).toBe(100);
+        expect(Math.max(...parts) - Math.min(...parts)).toBeLessThanOrEqual(1);
+    });
+});